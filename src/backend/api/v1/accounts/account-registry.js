@@ -0,0 +1,162 @@
+// ------------------------------------------------------------
+// 🔑 Cloud Accounts (accounts: section + credentials store)
+// ------------------------------------------------------------
+//
+// Google service accounts and OneDrive / SharePoint app
+// registrations are named in the config and picked per slide
+// with `account:`, so several can run on one hub:
+//
+//   accounts:
+//     family-drive:
+//       type: google
+//     work-sharepoint:
+//       type: onedrive
+//       tenant_id: 00000000-…
+//       client_id: 00000000-…
+//       site_id: contoso.sharepoint.com,…
+//       drive_id: b!…
+//
+//   slides:
+//     - { id: album, type: google-drive, account: family-drive, folderId: … }
+//
+// Secrets never go in the YAML: each account's credentials live
+// in database/credentials/<name>.json (or the file named by
+// `credentials:`, relative to that directory and never outside
+// it) —
+//
+//   google     the service-account JSON key
+//   onedrive   { "client_secret": "…" } (may also hold the IDs)
+//
+// PUT /api/v1/accounts/:name/credentials stores them.
+//
+// Slides without `account:` keep using the environment
+// (GOOGLE_CREDENTIALS_PATH, ONEDRIVE_* from ENV_PATH).
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { DATABASE_DIR } from "../../../shared/paths.js";
+
+export const ACCOUNT_TYPES = ["google", "onedrive"];
+
+export const CREDENTIALS_DIR = process.env.CREDENTIALS_DIR || path.join(DATABASE_DIR, "credentials");
+
+// Settings allowed in the YAML per type (secrets are not)
+export const ACCOUNT_SETTINGS = {
+  google: ["scopes"],
+  onedrive: ["tenant_id", "client_id", "site_id", "drive_id"],
+};
+
+export const ACCOUNT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+function accountError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Account `name` from the config: { name, type, credentialsFile,
+ * ...settings }. Throws (status 404) for an unknown name.
+ */
+export function getAccount(name, config) {
+  const accounts = config.accounts || {};
+  const entry = Object.hasOwn(accounts, name) ? accounts[name] : null;
+  if (!entry || typeof entry !== "object") {
+    throw accountError(404, `Unknown account '${name}'`);
+  }
+
+  return {
+    ...entry,
+    name,
+    credentialsFile: credentialsFile(name, entry),
+  };
+}
+
+/** Every configured account, without secrets */
+export function listAccounts(config) {
+  return Object.keys(config.accounts || {}).map((name) => {
+    try {
+      const { credentialsFile: file, ...account } = getAccount(name, config);
+      return { ...account, credentials: file, hasCredentials: fs.existsSync(file) };
+    } catch (err) {
+      return { name, type: config.accounts[name]?.type, hasCredentials: false, error: err.message };
+    }
+  });
+}
+
+/** Parsed credentials file of an account */
+export function readCredentials(account) {
+  const file = account.credentialsFile;
+  if (!fs.existsSync(file)) {
+    throw accountError(503, `Account '${account.name}' has no credentials (${file})`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw accountError(503, `Account '${account.name}': unreadable credentials: ${err.message}`);
+  }
+}
+
+/** Stamp that changes whenever an account's credentials do */
+export function credentialsVersion(account) {
+  try {
+    return String(fs.statSync(account.credentialsFile).mtimeMs);
+  } catch {
+    return "missing";
+  }
+}
+
+/**
+ * Store the credentials of a configured account (owner-only
+ * file, written atomically). Returns the file path.
+ */
+export function saveCredentials(name, credentials, config) {
+  const account = getAccount(name, config);
+  if (!credentials || typeof credentials !== "object" || Array.isArray(credentials)) {
+    throw accountError(400, "Credentials must be a JSON object");
+  }
+
+  const problem = credentialsProblem(account.type, credentials);
+  if (problem) throw accountError(400, `Account '${name}' (${account.type}): ${problem}`);
+
+  const file = account.credentialsFile;
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return file;
+}
+
+function credentialsProblem(type, c) {
+  if (type === "google") {
+    return c.client_email && c.private_key
+      ? null
+      : "expected a service-account key with client_email and private_key";
+  }
+  if (type === "onedrive") {
+    return c.client_secret ? null : "expected client_secret";
+  }
+  return null;
+}
+
+/**
+ * Why a `credentials:` value can't be used (null if it can):
+ * it must name a file inside CREDENTIALS_DIR, as config edits
+ * and PUT …/credentials would otherwise write anywhere.
+ */
+export function credentialsPathProblem(file) {
+  if (typeof file !== "string" || !file) return "must be a file name";
+  if (path.isAbsolute(file)) return "must be relative to the credentials directory";
+
+  const rel = path.relative(CREDENTIALS_DIR, path.resolve(CREDENTIALS_DIR, file));
+  if (!rel || rel === ".." || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) {
+    return "must be a file inside the credentials directory";
+  }
+  return null;
+}
+
+function credentialsFile(name, entry) {
+  const file = typeof entry.credentials === "string" ? entry.credentials : `${name}.json`;
+  const problem = credentialsPathProblem(file);
+  if (problem) throw accountError(400, `Account '${name}': credentials ${problem}`);
+  return path.resolve(CREDENTIALS_DIR, file);
+}
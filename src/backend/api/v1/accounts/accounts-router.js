@@ -0,0 +1,72 @@
+// ------------------------------------------------------------
+// 🔑 Accounts Router (API v1)
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import { listAccounts, getAccount, saveCredentials } from "./account-registry.js";
+import { testGoogleAccount } from "../images/google-images.js";
+import { testOneDriveAccount } from "../images/onedrive-images.js";
+import { getLiveConfig } from "../slideshow/slideshow-live.js";
+
+const router = Router();
+
+const TESTERS = {
+  google: testGoogleAccount,
+  onedrive: testOneDriveAccount,
+};
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+// GET /api/v1/accounts
+// Configured accounts and whether their credentials are stored
+// (secrets are never returned)
+router.get("/", (req, res) => {
+  const accounts = listAccounts(getLiveConfig());
+  res.json({ ok: true, count: accounts.length, accounts });
+});
+
+// PUT /api/v1/accounts/:name/credentials
+// Body: the service-account key (google) or { client_secret }
+// (onedrive); written to database/credentials/
+router.put("/:name/credentials", (req, res) => {
+  try {
+    const file = saveCredentials(req.params.name, req.body, getLiveConfig());
+    res.json({ ok: true, account: req.params.name, credentials: file });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// POST /api/v1/accounts/:name/test
+// Signs in and reports who / what the account reaches
+router.post("/:name/test", async (req, res) => {
+  let account;
+  try {
+    account = getAccount(req.params.name, getLiveConfig());
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const test = TESTERS[account.type];
+  if (!test) {
+    return res.status(400).json({ error: `Account type '${account.type}' can't be tested` });
+  }
+
+  const started = Date.now();
+  try {
+    const details = await test(account.name);
+    res.json({ ok: true, account: account.name, type: account.type, ms: Date.now() - started, ...details });
+  } catch (err) {
+    res.status(502).json({
+      ok: false,
+      account: account.name,
+      type: account.type,
+      ms: Date.now() - started,
+      error: err.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,203 @@
+// ------------------------------------------------------------
+// 🖥️ Client Registry (who is playing what)
+// ------------------------------------------------------------
+//
+// Every player that asks for a playlist is identified and
+// recorded in <database>/clients.json (the clients table with
+// CONFIG_STORE=sqlite):
+//
+//   1. ?client-host=<hostname>   (make kiosk, scripts/kiosk.sh)
+//   2. casthub_client cookie     (set on first visit)
+//   3. source IP                 (incognito kiosks without a host)
+//
+// The slideshow it plays is, in order: ?slideshow=, the
+// slideshows: entry named after its host (kiosk1.local,
+// EGR-JL-RAK1-SRV — case-insensitive, with or without the
+// domain), an entry named after its IP, else default.
+// ------------------------------------------------------------
+
+import path from "path";
+import crypto from "crypto";
+import { DATABASE_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { usingSqlite, createTableStore } from "../../../shared/db.js";
+
+export const CLIENT_COOKIE = "casthub_client";
+const COOKIE_MAX_AGE_MS = 10 * 365 * 24 * 3600 * 1000;
+
+const CLIENTS_FILE = path.join(DATABASE_DIR, "clients.json");
+
+// id → { id, host, ip, userAgent, firstSeen, lastSeen, slideshow, via }
+const store = usingSqlite()
+  ? createTableStore("clients", {
+      key: "id",
+      toRow: (id, c) => ({
+        id,
+        host: c.host ?? null,
+        ip: c.ip ?? null,
+        user_agent: c.userAgent ?? null,
+        first_seen: c.firstSeen ?? null,
+        last_seen: c.lastSeen ?? null,
+        slideshow: c.slideshow ?? null,
+        via: c.via ?? null,
+      }),
+      fromRow: (r) => ({
+        id: r.id,
+        host: r.host,
+        ip: r.ip,
+        userAgent: r.user_agent,
+        firstSeen: r.first_seen,
+        lastSeen: r.last_seen,
+        slideshow: r.slideshow,
+        via: r.via,
+      }),
+      seedFrom: CLIENTS_FILE,
+    })
+  : createJsonStore(CLIENTS_FILE, { label: "Client registry" });
+
+// ------------------------------------------------------------
+// PUBLIC: identify the client and pick its slideshow
+// ------------------------------------------------------------
+//
+// Records the visit and (re)sets the client cookie on `res`.
+// Returns { slideshow, client }.
+//
+export function resolveClientSlideshow(req, res, config) {
+  const client = identifyClient(req, res);
+  const { slideshow, via } = slideshowFor(client, req.query.slideshow, config);
+
+  client.slideshow = slideshow;
+  client.via = via;
+  store.save();
+
+  return { slideshow, client };
+}
+
+/**
+ * Same choice for a slideshow and client as above, without
+ * recording a visit (preview, CLI). `query` takes slideshow,
+ * client-host and client (a registry id).
+ */
+export function peekClientSlideshow(query, config) {
+  const clients = store.load();
+  const host = String(query["client-host"] || "").trim() || null;
+
+  const client =
+    (query.client && clients[query.client]) ||
+    (host && Object.values(clients).find((c) => c.host?.toLowerCase() === host.toLowerCase())) ||
+    { id: null, host };
+
+  const { slideshow } = slideshowFor(client, query.slideshow, config);
+  return { slideshow, client };
+}
+
+export function listClients() {
+  return Object.values(store.load()).sort((a, b) =>
+    String(b.lastSeen).localeCompare(String(a.lastSeen))
+  );
+}
+
+export function getClient(id) {
+  return store.load()[id] || null;
+}
+
+export function forgetClient(id) {
+  const clients = store.load();
+  if (!clients[id]) return false;
+
+  delete clients[id];
+  store.save();
+  return true;
+}
+
+/**
+ * Config key of a slideshow name, matched case-insensitively
+ * (the router has always lowercased ?slideshow=), or null.
+ */
+export function findSlideshowName(config, name) {
+  if (!name) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  return (
+    Object.keys(config.slideshows || {}).find((key) => key.toLowerCase() === wanted) ||
+    null
+  );
+}
+
+// ------------------------------------------------------------
+// Identity
+// ------------------------------------------------------------
+
+function identifyClient(req, res) {
+  const clients = store.load();
+  const host = String(req.query["client-host"] || "").trim() || null;
+  const ip = clientIp(req);
+  const cookieId = readCookie(req, CLIENT_COOKIE);
+
+  const all = Object.values(clients);
+  let client =
+    (host && all.find((c) => c.host?.toLowerCase() === host.toLowerCase())) ||
+    (cookieId && clients[cookieId]) ||
+    (!host && all.find((c) => !c.host && c.ip === ip)) ||
+    null;
+
+  const now = new Date().toISOString();
+
+  if (!client) {
+    client = { id: crypto.randomUUID(), host: null, firstSeen: now };
+    clients[client.id] = client;
+  }
+
+  if (host) client.host = host;
+  client.ip = ip;
+  client.userAgent = req.get("user-agent") || null;
+  client.lastSeen = now;
+
+  if (cookieId !== client.id) {
+    res.cookie(CLIENT_COOKIE, client.id, {
+      maxAge: COOKIE_MAX_AGE_MS,
+      httpOnly: true,
+      sameSite: "lax",
+    });
+  }
+
+  return client;
+}
+
+function slideshowFor(client, requested, config) {
+  if (requested) {
+    return {
+      slideshow: findSlideshowName(config, requested) || String(requested).toLowerCase(),
+      via: "query",
+    };
+  }
+
+  if (client.host) {
+    const name =
+      findSlideshowName(config, client.host) ||
+      findSlideshowName(config, client.host.split(".")[0]) ||
+      findSlideshowName(config, `${client.host}.local`);
+    if (name) return { slideshow: name, via: "host" };
+  }
+
+  const byIp = findSlideshowName(config, client.ip);
+  if (byIp) return { slideshow: byIp, via: "ip" };
+
+  return { slideshow: "default", via: "default" };
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function clientIp(req) {
+  return String(req.ip || req.socket?.remoteAddress || "").replace(/^::ffff:/, "");
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
@@ -0,0 +1,33 @@
+// ------------------------------------------------------------
+// 🖥️ Client Router (API v1)
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import { listClients, getClient, forgetClient } from "./client-registry.js";
+
+const router = Router();
+
+// GET /api/v1/clients
+// Every player seen, most recent first
+router.get("/", (req, res) => {
+  const clients = listClients();
+  res.json({ ok: true, count: clients.length, clients });
+});
+
+// GET /api/v1/clients/:id
+router.get("/:id", (req, res) => {
+  const client = getClient(req.params.id);
+  if (!client) return res.status(404).json({ error: "Unknown client" });
+  res.json({ ok: true, client });
+});
+
+// DELETE /api/v1/clients/:id
+// Forget a retired player (it is re-registered if it returns)
+router.delete("/:id", (req, res) => {
+  if (!forgetClient(req.params.id)) {
+    return res.status(404).json({ error: "Unknown client" });
+  }
+  res.json({ ok: true });
+});
+
+export default router;
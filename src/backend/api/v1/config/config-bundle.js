@@ -0,0 +1,667 @@
+// ------------------------------------------------------------
+// 📦 Slideshow Bundles (export / import with assets)
+// ------------------------------------------------------------
+//
+// A bundle is a .tar.gz holding one slideshow and everything it
+// needs from this hub:
+//
+//   bundle.yaml   manifest: the slideshow, the slideshows it
+//                 extends / @includes, and every master slide
+//                 they reach (config vars filled in)
+//   photos/…      local photos, paths relative to PHOTOS_DIR
+//                 (optionally resized derivatives instead)
+//   photos/_drive/<slide>/…
+//                 Google Drive snapshots (--snapshot-drive);
+//                 those slides become local folder slides
+//
+// Drive, OneDrive, YouTube, web pages and movies otherwise stay
+// references. Import merges into this hub's config through
+// editConfig() (validated + versioned), renaming slide IDs and
+// slideshow names that collide with different definitions,
+// and unpacks photos under PHOTOS_DIR/bundles/<slideshow>.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { pipeline } from "stream/promises";
+import tar from "tar-stream";
+import sharp from "sharp";
+import { globSync } from "glob";
+import { parseDocument } from "yaml";
+import { PHOTOS_DIR, RUNTIME_DIR } from "../../../shared/paths.js";
+import { stringifySlideshowConfig } from "../../../shared/config-loader.js";
+import { normalizeSlide } from "../slideshow/slideshow-util.js";
+import { queryPhotos, photoQuery } from "../photos/photo-index.js";
+import { memoriesQuery } from "../slideshow/slideshow-memories.js";
+import { slideshowReferences, resolveSlideshowEntry } from "../slideshow/slideshow-entry.js";
+import { minimatch } from "minimatch";
+import { isSlideQuery, parseSlideQuery, selectSlides } from "../slideshow/slideshow-query.js";
+import { substituteVars, varLookup } from "../slideshow/slideshow-vars.js";
+import { listGoogleImages, googleListOptions, downloadGoogleImage } from "../images/google-images.js";
+import { editConfig, readConfig, editError, addSlide, addSlideshow } from "./config-editor.js";
+
+export const BUNDLE_VERSION = 1;
+const MANIFEST = "bundle.yaml";
+const DRIVE_DIR = "_drive";
+const PHOTO_RE = /\.(jpg|jpeg|png)$/i;
+
+// Drive-only keys dropped when a slide becomes a local folder
+const DRIVE_KEYS = [
+  "account",
+  "folderId",
+  "files",
+  "drive_id",
+  "recursive",
+  "match",
+  "mime_types",
+  "modified_after",
+  "modified_before",
+  "group_by_folder",
+];
+
+// ------------------------------------------------------------
+// EXPORT
+// ------------------------------------------------------------
+
+/**
+ * Write `slideshow` as a bundle to `out`.
+ *   resize         — long edge in px: bundle derivatives, not originals
+ *   snapshotDrive  — copy Google Drive images into the bundle
+ *   onProgress     — (message) => void
+ *
+ * Returns { file, slides, slideshows, assets, references, warnings }.
+ */
+export async function exportBundle(
+  slideshow,
+  out,
+  { resize = null, snapshotDrive = false, onProgress = () => {} } = {}
+) {
+  const { config } = readConfig();
+  const shows = config.slideshows || {};
+  if (!shows[slideshow]) throw editError(404, `Unknown slideshow '${slideshow}'`);
+
+  const warnings = [];
+
+  // A slideshow without any include plays the default one's
+  const root = { ...(shows[slideshow] ?? {}) };
+  if (!root.include && !root.extends && !root.schedule && !root.add) {
+    root.include = shows.default?.include || (config.slides || []).map((s) => s.id);
+  }
+
+  const patched = { ...shows, [slideshow]: root };
+  const names = slideshowClosure(slideshow, patched);
+  const bundledShows = Object.fromEntries(names.map((n) => [n, patched[n] ?? {}]));
+
+  // Config/slideshow vars are this hub's — fill them in. The
+  // environment is left out on purpose (secrets); ${ENV} refs
+  // stay for the receiving hub to define.
+  const { clientCfg } = resolveSlideshowEntry(slideshow, config);
+  const lookup = varLookup(config, clientCfg, null, {});
+
+  const slides = reachableSlides(bundledShows, config.slides || []).map((raw) => {
+    const { value, missing } = substituteVars(raw, lookup);
+    if (missing.length) {
+      warnings.push(`${raw.id}: \${${missing.join("}, ${")}} left for the receiving hub`);
+    }
+    return value;
+  });
+
+  // Local assets, and Drive snapshots
+  const assets = new Map(); // bundle path → { abs } | { buffer }
+  const references = [];
+
+  for (const slide of slides) {
+    const type = normalizeSlide(slide).type;
+    const local = localAssetField(slide);
+
+    if (local) {
+      const files = await localFiles(slide, local);
+      if (!files.length) warnings.push(`${slide.id}: no photos found for '${slide[local] ?? ""}'`);
+
+      for (const abs of files) {
+        const rel = path.relative(PHOTOS_DIR, abs).split(path.sep).join("/");
+        if (rel.startsWith("..")) continue;
+        assets.set(`photos/${rel}`, { abs });
+      }
+      continue;
+    }
+
+    if (type === "google-drive" && snapshotDrive) {
+      const snapped = await snapshotDriveSlide(slide, assets, onProgress).catch((err) => {
+        warnings.push(`${slide.id}: Drive snapshot failed (${err.message}) — kept as reference`);
+        return false;
+      });
+      if (snapped) continue;
+    }
+
+    const source = remoteSource(slide, type);
+    if (source) references.push({ slide: slide.id, source });
+  }
+
+  const manifest = {
+    casthub_bundle: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    slideshow,
+    resized: resize || undefined,
+    slideshows: bundledShows,
+    slides,
+    assets: [...assets.keys()].sort(),
+    references,
+  };
+
+  await writeArchive(out, manifest, assets, { resize, onProgress });
+
+  return {
+    file: out,
+    slides: slides.length,
+    slideshows: names.length,
+    assets: assets.size,
+    references,
+    warnings,
+  };
+}
+
+// The slideshow plus every slideshow it extends / @includes
+function slideshowClosure(name, shows) {
+  const seen = [];
+  const stack = [name];
+
+  while (stack.length) {
+    const n = stack.pop();
+    if (seen.includes(n) || !shows[n]) continue;
+    seen.push(n);
+    stack.push(...slideshowReferences(shows[n]));
+  }
+
+  return seen;
+}
+
+// Master slides named (or matched by query) anywhere in the
+// slideshows, plus MUX panel slides, in library order
+function reachableSlides(shows, master) {
+  const byId = new Map(master.map((s) => [s.id, s]));
+  const wanted = new Set();
+
+  const visit = (ref) => {
+    if (typeof ref !== "string" || ref.startsWith("@")) return;
+
+    if (isSlideQuery(ref)) {
+      try {
+        selectSlides(master, ref).forEach((s) => visit(s.id));
+      } catch {
+        // The validator reports bad queries
+      }
+      return;
+    }
+
+    if (wanted.has(ref) || !byId.has(ref)) return;
+    wanted.add(ref);
+    for (const panel of byId.get(ref).panels || []) (panel.slides || []).forEach(visit);
+  };
+
+  for (const show of Object.values(shows)) {
+    for (const list of showLists(show)) list.forEach(visit);
+    for (const rule of show.interstitials || []) visit(rule?.slide);
+  }
+
+  return master.filter((s) => wanted.has(s.id));
+}
+
+// include / add / remove / schedule block includes
+function showLists(show) {
+  return [
+    show?.include,
+    show?.add,
+    show?.remove,
+    ...(Array.isArray(show?.schedule) ? show.schedule.map((b) => b?.include) : []),
+  ].filter(Array.isArray);
+}
+
+/** Which key of a slide names files under PHOTOS_DIR, if any */
+function localAssetField(slide) {
+  const type = normalizeSlide(slide).type;
+  if (type === "folder") return "path";
+  if (type === "memories" && (slide.source ?? "folder") === "folder") return "path";
+  if ((type === "image" || type === "multi-frame") && slide.file) return "file";
+  return null;
+}
+
+async function localFiles(slide, field) {
+  try {
+    if (field === "path") {
+      const query = normalizeSlide(slide).type === "memories" ? memoriesQuery(slide) : photoQuery(slide);
+      const photos = await queryPhotos(query, { wait: true });
+      return photos.map((p) => path.join(PHOTOS_DIR, p.path));
+    }
+
+    if (slide.file.includes("*")) {
+      return globSync(path.join(PHOTOS_DIR, slide.file), { nodir: true });
+    }
+
+    const abs = path.join(PHOTOS_DIR, slide.file);
+    return fs.existsSync(abs) ? [abs] : [];
+  } catch {
+    return [];
+  }
+}
+
+function remoteSource(slide, type) {
+  if (type === "google-drive" || type === "one-drive" || type === "youtube") return type;
+  if (type === "memories") return slide.source;
+  if (type === "movie") return "movie";
+  if (type === "remote-image" || type === "webpage") return "url";
+  if (type === "html" && /^https?:/i.test(slide.url || "")) return "url";
+  return null;
+}
+
+async function snapshotDriveSlide(slide, assets, onProgress) {
+  const items = await listGoogleImages(googleListOptions(slide));
+  if (items.length === 0) throw new Error("no images listed");
+
+  const dir = `${DRIVE_DIR}/${safeName(slide.id)}`;
+  onProgress(`Snapshotting ${items.length} Drive image(s) for '${slide.id}'`);
+
+  for (const item of items) {
+    let buffer = await downloadGoogleImage(item.id, slide.account);
+    let name = safeName(item.name || item.id);
+
+    // Local folders only list JPEG / PNG
+    if (!PHOTO_RE.test(name)) {
+      buffer = await sharp(buffer).rotate().jpeg().toBuffer();
+      name = `${name.replace(/\.[^.]*$/, "")}.jpg`;
+    }
+    assets.set(`photos/${dir}/${name}`, { buffer });
+  }
+
+  // The slide itself becomes a local folder slide
+  for (const key of DRIVE_KEYS) delete slide[key];
+  slide.type = "folder";
+  slide.path = dir;
+  return true;
+}
+
+function safeName(name) {
+  return String(name).replace(/[\\/:*?"<>|]+/g, "_");
+}
+
+async function writeArchive(out, manifest, assets, { resize, onProgress }) {
+  const pack = tar.pack();
+  const done = pipeline(pack, zlib.createGzip(), fs.createWriteStream(out));
+
+  const add = (name, buffer) =>
+    new Promise((resolve, reject) =>
+      pack.entry({ name, size: buffer.length }, buffer, (err) => (err ? reject(err) : resolve()))
+    );
+
+  await add(MANIFEST, Buffer.from(stringifySlideshowConfig(manifest)));
+
+  let n = 0;
+  for (const [name, asset] of [...assets].sort(([a], [b]) => a.localeCompare(b))) {
+    let buffer = asset.buffer ?? fs.readFileSync(asset.abs);
+    if (resize) buffer = await derivative(buffer, resize);
+    await add(name, buffer);
+    if (++n % 25 === 0) onProgress(`${n}/${assets.size} file(s)`);
+  }
+
+  pack.finalize();
+  await done;
+}
+
+// Fits a square of `px`, never enlarged; EXIF orientation applied
+function derivative(buffer, px) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: px, height: px, fit: "inside", withoutEnlargement: true })
+    .toBuffer();
+}
+
+// ------------------------------------------------------------
+// IMPORT
+// ------------------------------------------------------------
+
+/**
+ * Merge a bundle into this hub.
+ *   photosDir — where photos go, relative to PHOTOS_DIR
+ *               (default bundles/<slideshow>)
+ *   dryRun    — plan only: nothing written
+ *
+ * Returns { slideshow, added, reused, renamed, files, photosDir,
+ *           references, version, warnings }.
+ */
+export async function importBundle(file, { photosDir = null, dryRun = false, message = "" } = {}) {
+  const staging = path.join(RUNTIME_DIR, "tmp", `bundle-${process.pid}-${Date.now()}`);
+
+  try {
+    const manifest = await extractArchive(file, staging);
+    const targetDir = photosDir ?? `bundles/${safeName(manifest.slideshow)}`;
+
+    const { config } = readConfig();
+    const plan = planImport(manifest, config, targetDir);
+
+    const result = {
+      slideshow: plan.renamed.slideshows[manifest.slideshow] ?? manifest.slideshow,
+      added: { slides: plan.slides.map((s) => s.id), slideshows: Object.keys(plan.slideshows) },
+      reused: plan.reused,
+      renamed: plan.renamed,
+      files: manifest.assets.length,
+      photosDir: targetDir,
+      references: manifest.references || [],
+      version: null,
+      warnings: [],
+    };
+    if (dryRun) return result;
+
+    // Photos first: the config must never point at missing files.
+    // A rejected edit takes the files it brought back out.
+    const copied = copyNewFiles(path.join(staging, "photos"), path.join(PHOTOS_DIR, targetDir));
+
+    let edit;
+    try {
+      edit = editConfig(
+        (doc) => {
+          plan.slides.forEach((s) => addSlide(doc, s));
+          for (const [name, show] of Object.entries(plan.slideshows)) addSlideshow(doc, name, show);
+        },
+        { message: message || `bundle import: ${manifest.slideshow}` }
+      );
+    } catch (err) {
+      removeCopies(copied);
+      throw err;
+    }
+
+    return { ...result, version: edit.version, warnings: edit.warnings };
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Copy the tree `from` into `to`. Returns what didn't exist
+ * before — files, then folders, deepest last — for removeCopies().
+ */
+function copyNewFiles(from, to) {
+  const created = { files: [], dirs: [] };
+  if (!fs.existsSync(from)) return created;
+
+  const mkdir = (dir) => {
+    if (fs.existsSync(dir)) return;
+    mkdir(path.dirname(dir));
+    fs.mkdirSync(dir);
+    created.dirs.push(dir);
+  };
+
+  const walk = (src, dest) => {
+    mkdir(dest);
+    for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+      const s = path.join(src, entry.name);
+      const d = path.join(dest, entry.name);
+      if (entry.isDirectory()) {
+        walk(s, d);
+        continue;
+      }
+      if (!fs.existsSync(d)) created.files.push(d);
+      fs.copyFileSync(s, d);
+    }
+  };
+
+  walk(from, to);
+  return created;
+}
+
+function removeCopies({ files, dirs }) {
+  for (const file of files) fs.rmSync(file, { force: true });
+  for (const dir of dirs.reverse()) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      // something else lives there now
+    }
+  }
+}
+
+async function extractArchive(file, dir) {
+  let manifest = null;
+  const extract = tar.extract();
+
+  extract.on("entry", (header, stream, next) => {
+    const name = path.posix.normalize(header.name);
+
+    if (header.type !== "file" || name.startsWith("..") || path.posix.isAbsolute(name)) {
+      stream.resume();
+      stream.on("end", next);
+      return;
+    }
+
+    if (name === MANIFEST) {
+      const chunks = [];
+      stream.on("data", (c) => chunks.push(c));
+      stream.on("end", () => {
+        manifest = parseDocument(Buffer.concat(chunks).toString("utf8")).toJS();
+        next();
+      });
+      return;
+    }
+
+    const dest = path.join(dir, name);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    pipeline(stream, fs.createWriteStream(dest)).then(() => next(), next);
+  });
+
+  try {
+    await pipeline(fs.createReadStream(file), zlib.createGunzip(), extract);
+  } catch (err) {
+    throw editError(400, `${file} is not a readable bundle: ${err.message}`);
+  }
+
+  if (!manifest || manifest.casthub_bundle === undefined) {
+    throw editError(400, `${file} is not a casthub bundle (no ${MANIFEST})`);
+  }
+  if (manifest.casthub_bundle > BUNDLE_VERSION) {
+    throw editError(400, `Bundle format ${manifest.casthub_bundle} is newer than this hub understands`);
+  }
+
+  manifest.slides ||= [];
+  manifest.slideshows ||= {};
+  manifest.assets ||= [];
+  return manifest;
+}
+
+/**
+ * What an import adds. Incoming slides get their photo paths
+ * moved under `targetDir`; an ID / name that exists with an
+ * identical definition is reused, a different one is renamed
+ * (id_2, id_3, …) and every reference follows.
+ */
+export function planImport(manifest, config, targetDir) {
+  const existingSlides = new Map((config.slides || []).map((s) => [s.id, s]));
+  const existingShows = config.slideshows || {};
+
+  const slides = manifest.slides.map((s) => relocate(s, targetDir));
+
+  // Whether a definition is identical depends on how the slides
+  // and slideshows it references were renamed, so names are
+  // decided in dependency order. An identical copy from an
+  // earlier import (id_2, …) is reused rather than duplicated.
+  const slideIds = {};
+  const showNames = {};
+  const reusedSlides = new Set();
+  const reusedShows = new Set();
+  const slideNames = slides.map((s) => s.id);
+  const incomingShows = Object.keys(manifest.slideshows);
+  const showMap = new Map(Object.entries(existingShows));
+  const bySlideId = new Map(slides.map((s) => [s.id, s]));
+
+  inDependencyOrder(
+    slideNames,
+    (id) => (bySlideId.get(id).panels || []).flatMap((p) => p?.slides || []),
+    (id) => {
+      if (!existingSlides.has(id)) return;
+      const slide = bySlideId.get(id);
+      const same = (as) =>
+        sameDefinition(existingSlides.get(as), renameSlide(slide, { ...slideIds, [id]: as }));
+
+      const { name, reuse } = same(id) ? { name: id, reuse: true } : pickName(id, existingSlides, slideNames, same);
+      if (name !== id) slideIds[id] = name;
+      if (reuse) reusedSlides.add(id);
+    }
+  );
+
+  inDependencyOrder(
+    incomingShows,
+    (name) => slideshowReferences(manifest.slideshows[name]),
+    (name) => {
+      if (!showMap.has(name)) return;
+      const show = manifest.slideshows[name];
+      const same = (as) =>
+        sameDefinition(showMap.get(as), renameRefs(show, slides, slideIds, { ...showNames, [name]: as }));
+
+      const picked = same(name) ? { name, reuse: true } : pickName(name, showMap, incomingShows, same);
+      if (picked.name !== name) showNames[name] = picked.name;
+      if (picked.reuse) reusedShows.add(name);
+    }
+  );
+
+  const outSlides = slides
+    .filter((s) => !reusedSlides.has(s.id))
+    .map((s) => renameSlide(s, slideIds));
+
+  const outShows = {};
+  for (const [name, show] of Object.entries(manifest.slideshows)) {
+    if (reusedShows.has(name)) continue;
+    outShows[showNames[name] ?? name] = renameRefs(show, slides, slideIds, showNames);
+  }
+
+  const reused = { slides: [...reusedSlides], slideshows: [...reusedShows] };
+
+  return {
+    slides: outSlides,
+    slideshows: outShows,
+    reused,
+    renamed: { slides: slideIds, slideshows: showNames },
+  };
+}
+
+function relocate(slide, targetDir) {
+  const field = localAssetField(slide);
+  if (!field) return slide;
+  return { ...slide, [field]: path.posix.join(targetDir, slide[field] || "") };
+}
+
+function sameDefinition(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// name_2, name_3, …: the first identical one, else the first free
+function pickName(name, existing, incoming, same) {
+  for (let n = 2; ; n++) {
+    const candidate = `${name}_${n}`;
+    if (existing.has(candidate) && same(candidate)) return { name: candidate, reuse: true };
+    if (!existing.has(candidate) && !incoming.includes(candidate)) {
+      return { name: candidate, reuse: false };
+    }
+  }
+}
+
+// visit(key) once each key's deps (among `keys`) are visited;
+// cycles are broken in list order
+function inDependencyOrder(keys, depsOf, visit) {
+  const done = new Set();
+  const pending = new Set(keys);
+
+  const run = (key, chain) => {
+    if (done.has(key) || chain.has(key) || !pending.has(key)) return;
+    chain.add(key);
+    for (const dep of depsOf(key)) run(dep, chain);
+    chain.delete(key);
+
+    done.add(key);
+    visit(key);
+  };
+
+  for (const key of keys) run(key, new Set());
+}
+
+function renameSlide(slide, slideIds) {
+  const out = { ...slide, id: slideIds[slide.id] ?? slide.id };
+  if (Array.isArray(slide.panels)) {
+    out.panels = slide.panels.map((p) =>
+      Array.isArray(p?.slides) ? { ...p, slides: p.slides.map((id) => slideIds[id] ?? id) } : p
+    );
+  }
+  return out;
+}
+
+// `incoming` are the bundle's slides under their own IDs (what
+// its queries were written against)
+function renameRefs(show, incoming, slideIds, showNames) {
+  if (!show || typeof show !== "object") return show;
+
+  const ref = (r) => {
+    if (typeof r !== "string") return r;
+    if (r.startsWith("@")) return `@${showNames[r.slice(1)] ?? r.slice(1)}`;
+    if (isSlideQuery(r)) return renameQuery(r, incoming, slideIds);
+    return slideIds[r] ?? r;
+  };
+  const list = (l) => (Array.isArray(l) ? l.map(ref) : l);
+  const overrides = (o) =>
+    o && typeof o === "object"
+      ? Object.fromEntries(Object.entries(o).map(([id, v]) => [slideIds[id] ?? id, v]))
+      : o;
+
+  const out = { ...show };
+  for (const key of ["include", "add", "remove"]) if (key in show) out[key] = list(show[key]);
+  if ("overrides" in show) out.overrides = overrides(show.overrides);
+  if (show.extends) out.extends = showNames[show.extends] ?? show.extends;
+  if (Array.isArray(show.schedule)) {
+    out.schedule = show.schedule.map((b) => ({
+      ...b,
+      ...("include" in (b || {}) ? { include: list(b.include) } : {}),
+      ...("overrides" in (b || {}) ? { overrides: overrides(b.overrides) } : {}),
+    }));
+  }
+  if (Array.isArray(show.interstitials)) {
+    out.interstitials = show.interstitials.map((r) => (r?.slide ? { ...r, slide: ref(r.slide) } : r));
+  }
+  return out;
+}
+
+/**
+ * A query picks from the whole library, so renaming the slides
+ * it matched in the bundle means: id: terms naming them follow
+ * the new IDs (globs gain the new IDs as alternatives), and the
+ * hub's own slides of the old IDs are left out.
+ */
+function renameQuery(text, incoming, slideIds) {
+  let query;
+  try {
+    query = parseSlideQuery(text);
+  } catch {
+    return text; // the validator reports bad queries
+  }
+
+  const matched = selectSlides(incoming, query).filter((s) => slideIds[s.id]);
+  const named = query.terms.some((t) => t.key === "id" && Object.hasOwn(slideIds, t.value));
+  if (!matched.length && !named) return text;
+
+  const glob = (id, pattern) => minimatch(id, pattern, { nocase: true });
+
+  const terms = query.terms.map((t) => {
+    if (t.key !== "id") return t;
+    if (Object.hasOwn(slideIds, t.value)) return { ...t, value: slideIds[t.value] };
+    if (t.negate) return t;
+
+    const missing = matched.map((s) => slideIds[s.id]).filter((id) => !glob(id, t.value));
+    return missing.length ? { ...t, value: `{${[t.value, ...missing].join(",")}}` } : t;
+  });
+
+  for (const s of matched) {
+    if (selectSlides([s], { terms, sort: null }).length) {
+      terms.push({ key: "id", value: s.id, negate: true });
+    }
+  }
+
+  const out = terms.map((t) => `${t.negate ? "-" : ""}${t.key}:${t.value}`);
+  if (query.sort) out.push(`sort:${query.sort.field}${query.sort.desc ? ":desc" : ""}`);
+  return out.join(" ");
+}
@@ -0,0 +1,361 @@
+// ------------------------------------------------------------
+// ✏️ Slideshow Config Editor (API writes)
+// ------------------------------------------------------------
+//
+// Every write goes through editConfig():
+//
+//   read YAML → (If-Match check) → edit the YAML document →
+//   validate → snapshot history → write (tmp + rename, or one
+//   database transaction with CONFIG_STORE=sqlite) → reload
+//
+// Edits are made on a `yaml` Document, so comments survive. The
+// `yaml` printer also re-spaces the whole file, though, so only
+// the lines that actually changed are spliced back into the
+// original text; hand formatting elsewhere stays as it was.
+// ------------------------------------------------------------
+
+import { parseDocument, isMap, isSeq } from "yaml";
+import {
+  readSlideshowConfigText,
+  writeSlideshowConfigText,
+  flowScalarLists,
+} from "../../../shared/config-loader.js";
+import { diffLines, splitLines } from "../../../shared/text-diff.js";
+import { validateSlideshowConfigText } from "../slideshow/slideshow-validator.js";
+import { reloadSlideshowConfig } from "../slideshow/slideshow-live.js";
+import { recordVersion, revisionOf } from "./config-history.js";
+
+/** Error carrying an HTTP status (and extra JSON for the body) */
+export function editError(status, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+// ------------------------------------------------------------
+// Reading
+// ------------------------------------------------------------
+
+export function readConfigText() {
+  return readSlideshowConfigText();
+}
+
+/** { config, revision } straight from the store (not the live copy) */
+export function readConfig() {
+  const text = readConfigText();
+  return { config: parseDocument(text).toJS() || {}, revision: revisionOf(text) };
+}
+
+// ------------------------------------------------------------
+// Writing
+// ------------------------------------------------------------
+
+/**
+ * Apply `mutate(doc)` to the config file. mutate() may throw
+ * editError()s; its return value is passed back as `result`.
+ *
+ * Returns { changed, revision, version, warnings, result }.
+ */
+export function editConfig(mutate, { message = "", ifMatch = null } = {}) {
+  const text = readConfigText();
+  checkRevision(text, ifMatch);
+
+  const doc = parseDocument(text);
+  if (doc.errors.length) {
+    throw editError(409, "Config file has YAML errors — fix it by hand first", {
+      errors: doc.errors.map((e) => e.message.split("\n")[0]),
+    });
+  }
+
+  const result = mutate(doc);
+  // lineWidth 0: long [ a, b, … ] lists stay on one line, as written
+  const print = (d) => d.toString({ lineWidth: 0 });
+  const next = spliceChanges(text, print(parseDocument(text)), print(doc));
+
+  return { ...writeConfigText(next, { message, base: text }), result };
+}
+
+/**
+ * Validate and write a whole new config text (rollback, import).
+ * `source` is recorded in the history ("api", "cli").
+ */
+export function writeConfigText(
+  next,
+  { message = "", ifMatch = null, base = readConfigText(), source = "api" } = {}
+) {
+  checkRevision(base, ifMatch);
+
+  if (next === base) {
+    return { changed: false, revision: revisionOf(base), version: null, warnings: [] };
+  }
+
+  const report = validateSlideshowConfigText(next);
+  if (!report.ok) {
+    throw editError(422, "Config validation failed", {
+      errors: report.errors,
+      warnings: report.warnings,
+    });
+  }
+
+  // Keep whatever is on disk now (hand edits included) first
+  recordVersion(base, { message: "before API edit", source: "file" });
+
+  writeSlideshowConfigText(next);
+  const version = recordVersion(next, { message, source });
+
+  reloadSlideshowConfig();
+
+  return {
+    changed: true,
+    revision: version.revision,
+    version: version.id,
+    warnings: report.warnings,
+  };
+}
+
+function checkRevision(text, ifMatch) {
+  if (!ifMatch) return;
+
+  const wanted = String(ifMatch).replace(/^W\//, "").replace(/"/g, "");
+  const revision = revisionOf(text);
+  if (wanted !== "*" && wanted !== revision) {
+    throw editError(409, "Config changed since it was read (If-Match mismatch)", { revision });
+  }
+}
+
+// ------------------------------------------------------------
+// Formatting-preserving splice
+// ------------------------------------------------------------
+//
+// original   — text on disk
+// reprinted  — original parsed and printed unchanged
+// edited     — original parsed, edited and printed
+//
+// The reprinted → edited line diff is the real change; it is
+// mapped onto the original through the original → reprinted
+// diff. Falls back to `edited` if the result doesn't parse to
+// the same data.
+//
+function spliceChanges(original, reprinted, edited) {
+  const O = splitLines(original);
+  const R = splitLines(reprinted);
+  const E = splitLines(edited);
+
+  // R line boundary → O line boundary. Inside blocks the printer
+  // reformatted there is no exact match: snap outward.
+  const toO = new Array(R.length + 1);
+  toO[0] = 0;
+  toO[R.length] = O.length;
+  for (const o of diffLines(O, R)) {
+    if (o.op !== "equal") continue;
+    for (let k = 0; k <= o.lines.length; k++) toO[o.b + k] = o.a + k;
+  }
+
+  // Nearest exact boundary at or before / after each R boundary
+  const snapBack = new Array(R.length + 1);
+  const snapFwd = new Array(R.length + 1);
+  for (let r = 0, last = 0; r <= R.length; r++) {
+    if (toO[r] !== undefined) last = r;
+    snapBack[r] = last;
+  }
+  for (let r = R.length, next = R.length; r >= 0; r--) {
+    if (toO[r] !== undefined) next = r;
+    snapFwd[r] = next;
+  }
+
+  // Hunks of the real edit, in R / E coordinates, widened to
+  // exact boundaries
+  const hunks = [];
+  for (const o of diffLines(R, E)) {
+    if (o.op === "equal") continue;
+
+    const rs = o.a;
+    const re = o.op === "delete" ? o.a + o.lines.length : o.a;
+    const es = o.b;
+    const ee = o.op === "insert" ? o.b + o.lines.length : o.b;
+
+    const wrs = snapBack[rs];
+    const wre = snapFwd[re];
+    const hunk = { rs: wrs, re: wre, es: es - (rs - wrs), ee: ee + (wre - re) };
+
+    const prev = hunks[hunks.length - 1];
+    if (prev && hunk.rs <= prev.re) {
+      prev.re = Math.max(prev.re, hunk.re);
+      prev.ee = Math.max(prev.ee, hunk.ee);
+    } else {
+      hunks.push(hunk);
+    }
+  }
+
+  const out = [...O];
+  for (const h of hunks.reverse()) {
+    const start = toO[h.rs];
+    const end = toO[h.re];
+    const lines = E.slice(h.es, h.ee);
+
+    // Don't double up blank lines the original already has
+    if (lines[0] === "" && out[start - 1] === "") lines.shift();
+    if (lines.at(-1) === "" && out[end] === "") lines.pop();
+
+    out.splice(start, end - start, ...lines);
+  }
+
+  const spliced = out.join("\n") + "\n";
+
+  const same =
+    JSON.stringify(parseDocument(spliced).toJS()) === JSON.stringify(parseDocument(edited).toJS());
+  return same ? spliced : edited;
+}
+
+// ------------------------------------------------------------
+// Document helpers
+// ------------------------------------------------------------
+
+// Short lists of plain values print as [ a, b ] like the hand-
+// written config does
+function toNode(doc, value) {
+  const node = doc.createNode(value);
+  flowScalarLists(node);
+  return node;
+}
+
+function patchMap(doc, map, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) map.delete(key);
+    else map.set(key, toNode(doc, value));
+  }
+}
+
+function requireObject(body, what) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw editError(400, `${what} must be a JSON object`);
+  }
+}
+
+// ------------------------------------------------------------
+// Master slides
+// ------------------------------------------------------------
+
+function slidesSeq(doc, create = false) {
+  let seq = doc.get("slides");
+  if (!seq && create) {
+    doc.set("slides", doc.createNode([]));
+    seq = doc.get("slides");
+  }
+  if (seq && !isSeq(seq)) throw editError(409, "slides: is not a list");
+  return seq;
+}
+
+function slideIndex(seq, id) {
+  const idx = seq ? seq.items.findIndex((n) => isMap(n) && n.get("id") === id) : -1;
+  if (idx === -1) throw editError(404, `Unknown slide '${id}'`);
+  return idx;
+}
+
+export function addSlide(doc, slide) {
+  requireObject(slide, "Slide");
+  if (!slide.id) throw editError(400, "Slide is missing id");
+
+  const seq = slidesSeq(doc, true);
+  if (seq.items.some((n) => isMap(n) && n.get("id") === slide.id)) {
+    throw editError(409, `Slide '${slide.id}' already exists`);
+  }
+
+  const node = toNode(doc, slide);
+  node.spaceBefore = true;
+  seq.items.push(node);
+  return slide.id;
+}
+
+export function replaceSlide(doc, id, slide) {
+  requireObject(slide, "Slide");
+  const seq = slidesSeq(doc);
+  const idx = slideIndex(seq, id);
+
+  const old = seq.items[idx];
+  const node = toNode(doc, { id, ...slide });
+  node.commentBefore = old.commentBefore;
+  node.comment = old.comment;
+  seq.items[idx] = node;
+  return slide.id || id;
+}
+
+export function patchSlide(doc, id, patch) {
+  requireObject(patch, "Patch");
+  const seq = slidesSeq(doc);
+  patchMap(doc, seq.items[slideIndex(seq, id)], patch);
+  return patch.id || id;
+}
+
+export function deleteSlide(doc, id) {
+  const seq = slidesSeq(doc);
+  seq.items.splice(slideIndex(seq, id), 1);
+  return id;
+}
+
+// ------------------------------------------------------------
+// Slideshows
+// ------------------------------------------------------------
+
+function slideshowsMap(doc, create = false) {
+  let map = doc.get("slideshows");
+  if (!map && create) {
+    doc.set("slideshows", doc.createNode({}));
+    map = doc.get("slideshows");
+  }
+  if (map && !isMap(map)) throw editError(409, "slideshows: is not a map");
+  return map;
+}
+
+function slideshowNode(doc, name) {
+  const map = slideshowsMap(doc);
+  if (!map?.has(name)) throw editError(404, `Unknown slideshow '${name}'`);
+  return map.get(name, true);
+}
+
+export function addSlideshow(doc, name, show) {
+  if (!name) throw editError(400, "Slideshow is missing name");
+  requireObject(show, "Slideshow");
+
+  const map = slideshowsMap(doc, true);
+  if (map.has(name)) throw editError(409, `Slideshow '${name}' already exists`);
+
+  // Blank line before, like the hand-written entries
+  const key = doc.createNode(name);
+  key.spaceBefore = true;
+  map.set(key, toNode(doc, show));
+  return name;
+}
+
+export function replaceSlideshow(doc, name, show) {
+  requireObject(show, "Slideshow");
+  const old = slideshowNode(doc, name);
+
+  const node = toNode(doc, show);
+  node.commentBefore = old?.commentBefore;
+  node.comment = old?.comment;
+  slideshowsMap(doc).set(name, node);
+  return name;
+}
+
+export function patchSlideshow(doc, name, patch) {
+  requireObject(patch, "Patch");
+  const node = slideshowNode(doc, name);
+
+  // `name: {}` in YAML can come back as a null scalar
+  if (!isMap(node)) {
+    const map = doc.createNode({});
+    slideshowsMap(doc).set(name, map);
+    patchMap(doc, map, patch);
+  } else {
+    patchMap(doc, node, patch);
+  }
+  return name;
+}
+
+export function deleteSlideshow(doc, name) {
+  slideshowNode(doc, name);
+  slideshowsMap(doc).delete(name);
+  return name;
+}
@@ -0,0 +1,94 @@
+// ------------------------------------------------------------
+// 🕰️ Slideshow Config History
+// ------------------------------------------------------------
+//
+// Every API write keeps a full snapshot of the resulting file
+// under <database>/config-history/ :
+//
+//   index.json     [{ id, at, message, source, revision, bytes }]
+//   000042.yaml    file contents of version 42
+//
+// Hand edits made between API writes are snapshotted (source:
+// "file") just before the next write, so rollback can always
+// get back to what was on disk.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DATABASE_DIR } from "../../../shared/paths.js";
+
+const HISTORY_DIR = path.join(DATABASE_DIR, "config-history");
+const INDEX_FILE = path.join(HISTORY_DIR, "index.json");
+const MAX_VERSIONS = 200;
+
+/** Short content hash used as ETag / If-Match */
+export function revisionOf(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+export function listVersions() {
+  try {
+    return JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+export function getVersion(id) {
+  return listVersions().find((v) => v.id === Number(id)) || null;
+}
+
+/** Text of version `id`, or null when unknown or pruned */
+export function readVersionText(id) {
+  const version = getVersion(id);
+  if (!version) return null;
+  try {
+    return fs.readFileSync(versionFile(version.id), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Snapshot `text` as a new version, unless it is identical to
+ * the latest one. Returns the (new or latest) version entry.
+ */
+export function recordVersion(text, { message = "", source = "api" } = {}) {
+  const versions = listVersions();
+  const revision = revisionOf(text);
+  const latest = versions[versions.length - 1];
+
+  if (latest?.revision === revision) return latest;
+
+  const version = {
+    id: (latest?.id || 0) + 1,
+    at: new Date().toISOString(),
+    message,
+    source,
+    revision,
+    bytes: Buffer.byteLength(text),
+  };
+
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  fs.writeFileSync(versionFile(version.id), text);
+
+  versions.push(version);
+  for (const old of versions.splice(0, Math.max(0, versions.length - MAX_VERSIONS))) {
+    fs.rmSync(versionFile(old.id), { force: true });
+  }
+
+  writeAtomic(INDEX_FILE, JSON.stringify(versions, null, 2));
+  return version;
+}
+
+export function writeAtomic(file, text) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, file);
+}
+
+function versionFile(id) {
+  return path.join(HISTORY_DIR, `${String(id).padStart(6, "0")}.yaml`);
+}
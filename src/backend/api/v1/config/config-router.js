@@ -0,0 +1,268 @@
+// ------------------------------------------------------------
+// ✏️ Config Editing Router (API v1)
+// ------------------------------------------------------------
+//
+//   GET    /api/v1/slides                 master slides
+//   GET    /api/v1/slides/:id
+//   POST   /api/v1/slides                 { id, type, … }
+//   PUT    /api/v1/slides/:id             replace
+//   PATCH  /api/v1/slides/:id             merge (null deletes a key)
+//   DELETE /api/v1/slides/:id
+//
+//   (same for /api/v1/slideshows[/:name]; POST takes { name, … })
+//
+//   GET    /api/v1/config/versions        write history
+//   GET    /api/v1/config/versions/:id    YAML of a version
+//   GET    /api/v1/config/diff?from=&to=  unified diff (ids or "current")
+//   POST   /api/v1/config/rollback        { version }
+//
+// Writes answer with the new revision as ETag and honor
+// If-Match; ?message= is stored in the history.
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import {
+  readConfig,
+  readConfigText,
+  editConfig,
+  writeConfigText,
+  editError,
+  addSlide,
+  replaceSlide,
+  patchSlide,
+  deleteSlide,
+  addSlideshow,
+  replaceSlideshow,
+  patchSlideshow,
+  deleteSlideshow,
+} from "./config-editor.js";
+import {
+  listVersions,
+  getVersion,
+  readVersionText,
+  revisionOf,
+} from "./config-history.js";
+import { unifiedDiff } from "../../../shared/text-diff.js";
+
+const router = Router();
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function sendError(res, err) {
+  if (!err.status) console.error("❌ Config edit error:", err);
+  res.status(err.status || 500).json({ error: err.message, ...(err.details || {}) });
+}
+
+// Run an edit and answer with the changed item read back
+function edit(req, res, mutate, describe, readBack) {
+  try {
+    const out = editConfig(mutate, {
+      message: req.query.message || describe,
+      ifMatch: req.get("if-match"),
+    });
+
+    res.set("ETag", `"${out.revision}"`);
+    res.status(req.method === "POST" ? 201 : 200).json({
+      ok: true,
+      changed: out.changed,
+      revision: out.revision,
+      version: out.version,
+      warnings: out.warnings,
+      ...(readBack ? readBack(out.result) : {}),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+function read(res, pick) {
+  try {
+    const { config, revision } = readConfig();
+    res.set("ETag", `"${revision}"`);
+    res.json({ ok: true, revision, ...pick(config) });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+const slideById = (id) => () => {
+  const slide = (readConfig().config.slides || []).find((s) => s?.id === id);
+  return { slide };
+};
+
+const slideshowByName = (name) => () => ({
+  name,
+  slideshow: readConfig().config.slideshows?.[name] ?? null,
+});
+
+// ------------------------------------------------------------
+// Master slides
+// ------------------------------------------------------------
+
+router.get("/slides", (req, res) =>
+  read(res, (config) => ({ slides: config.slides || [] }))
+);
+
+router.get("/slides/:id", (req, res) =>
+  read(res, (config) => {
+    const slide = (config.slides || []).find((s) => s?.id === req.params.id);
+    if (!slide) throw editError(404, `Unknown slide '${req.params.id}'`);
+    return { slide };
+  })
+);
+
+router.post("/slides", (req, res) =>
+  edit(
+    req, res,
+    (doc) => addSlide(doc, req.body),
+    `add slide ${req.body?.id}`,
+    (id) => slideById(id)()
+  )
+);
+
+router.put("/slides/:id", (req, res) =>
+  edit(
+    req, res,
+    (doc) => replaceSlide(doc, req.params.id, req.body),
+    `replace slide ${req.params.id}`,
+    (id) => slideById(id)()
+  )
+);
+
+router.patch("/slides/:id", (req, res) =>
+  edit(
+    req, res,
+    (doc) => patchSlide(doc, req.params.id, req.body),
+    `edit slide ${req.params.id}`,
+    (id) => slideById(id)()
+  )
+);
+
+router.delete("/slides/:id", (req, res) =>
+  edit(
+    req, res,
+    (doc) => deleteSlide(doc, req.params.id),
+    `delete slide ${req.params.id}`
+  )
+);
+
+// ------------------------------------------------------------
+// Slideshows
+// ------------------------------------------------------------
+
+router.get("/slideshows", (req, res) =>
+  read(res, (config) => ({ slideshows: config.slideshows || {} }))
+);
+
+router.get("/slideshows/:name", (req, res) =>
+  read(res, (config) => {
+    const name = req.params.name;
+    if (!Object.hasOwn(config.slideshows || {}, name)) {
+      throw editError(404, `Unknown slideshow '${name}'`);
+    }
+    return { name, slideshow: config.slideshows[name] };
+  })
+);
+
+router.post("/slideshows", (req, res) => {
+  const { name, ...show } = req.body || {};
+  edit(
+    req, res,
+    (doc) => addSlideshow(doc, name, show),
+    `add slideshow ${name}`,
+    (n) => slideshowByName(n)()
+  );
+});
+
+router.put("/slideshows/:name", (req, res) =>
+  edit(
+    req, res,
+    (doc) => replaceSlideshow(doc, req.params.name, req.body),
+    `replace slideshow ${req.params.name}`,
+    (n) => slideshowByName(n)()
+  )
+);
+
+router.patch("/slideshows/:name", (req, res) =>
+  edit(
+    req, res,
+    (doc) => patchSlideshow(doc, req.params.name, req.body),
+    `edit slideshow ${req.params.name}`,
+    (n) => slideshowByName(n)()
+  )
+);
+
+router.delete("/slideshows/:name", (req, res) =>
+  edit(
+    req, res,
+    (doc) => deleteSlideshow(doc, req.params.name),
+    `delete slideshow ${req.params.name}`
+  )
+);
+
+// ------------------------------------------------------------
+// History, diff, rollback
+// ------------------------------------------------------------
+
+router.get("/config/versions", (req, res) => {
+  const text = readConfigText();
+  res.json({
+    ok: true,
+    current: revisionOf(text),
+    versions: listVersions().reverse(),
+  });
+});
+
+router.get("/config/versions/:id", (req, res) => {
+  const text = readVersionText(req.params.id);
+  if (text == null) return res.status(404).json({ error: "Unknown version" });
+  res.type("text/yaml").send(text);
+});
+
+// from defaults to the latest version, to to the file on disk
+router.get("/config/diff", (req, res) => {
+  const latest = listVersions().at(-1);
+  const from = req.query.from ?? latest?.id ?? "current";
+  const to = req.query.to ?? "current";
+
+  const load = (ref) => (ref === "current" ? readConfigText() : readVersionText(ref));
+  const a = load(from);
+  const b = load(to);
+
+  if (a == null || b == null) {
+    return res.status(404).json({ error: `Unknown version '${a == null ? from : to}'` });
+  }
+
+  res.type("text/plain").send(
+    unifiedDiff(a, b, {
+      from: from === "current" ? "current" : `v${from}`,
+      to: to === "current" ? "current" : `v${to}`,
+    })
+  );
+});
+
+router.post("/config/rollback", (req, res) => {
+  const id = req.body?.version;
+  let text;
+  try {
+    text = id != null ? readVersionText(id) : null;
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (text == null) return res.status(404).json({ error: `No such version '${id}'` });
+
+  try {
+    const out = writeConfigText(text, {
+      message: req.query.message || `rollback to v${getVersion(id).id}`,
+      ifMatch: req.get("if-match"),
+    });
+    res.set("ETag", `"${out.revision}"`);
+    res.json({ ok: true, ...out });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
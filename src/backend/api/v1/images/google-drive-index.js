@@ -0,0 +1,268 @@
+// ------------------------------------------------------------
+// 🗂️ Google Drive folder index (full crawl + changes API)
+// ------------------------------------------------------------
+//
+// The first listing of a folder crawls it completely — every
+// page, optionally every subfolder, My Drive or Shared Drive —
+// and remembers the result together with a Drive changes
+// token. Later listings only ask Drive what changed since that
+// token and patch the index, so refreshing a big album costs one
+// or two requests instead of one per page per folder.
+//
+// Changes that can't be patched safely (a tracked folder moved,
+// renamed or deleted; a new subfolder) trigger a full crawl, as
+// does an index older than FULL_CRAWL_MAX_AGE_MS.
+//
+// Indexes live in runtime/cache/google-drive-index.json, along
+// with the files of explicit `files:` lists; the image proxy
+// only downloads files found there (listedDriveFile), at the
+// version recorded there.
+// ------------------------------------------------------------
+
+import path from "path";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { log } from "../../../shared/log.js";
+import { exifDate } from "../../../shared/exif.js";
+
+const FOLDER_MIME = "application/vnd.google-apps.folder";
+const FILE_FIELDS =
+  "id,name,mimeType,modifiedTime,parents,webViewLink,webContentLink,imageMediaMetadata(time)";
+const PAGE_SIZE = 1000;
+
+// Bumped when indexed fields change: older indexes are re-crawled
+const INDEX_VERSION = 2;
+
+// Re-crawl now and then anyway (changes can be missed, e.g.
+// after permissions change)
+const FULL_CRAWL_MAX_AGE_MS = 24 * 3600 * 1000;
+
+// Files of explicit lists stay servable this long after their
+// last listing
+const LISTED_FILE_MAX_AGE_MS = 7 * 24 * 3600 * 1000;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "google-drive-index.json"), {
+  label: "Google Drive index",
+});
+
+/**
+ * All images under `folderId`:
+ *   [{ id, name, mimeType, modifiedTime, taken, folder, webViewLink, webContentLink }]
+ * `folder` is the subfolder path ("" for the folder itself);
+ * `taken` is the EXIF capture time Drive read, or null.
+ */
+export async function listDriveFolder(drive, { account = null, folderId, driveId = null, recursive = false }) {
+  const key = JSON.stringify([account, folderId, driveId, recursive]);
+  const indexes = store.load();
+  let index = indexes[key];
+
+  const fresh =
+    index?.version === INDEX_VERSION &&
+    Date.now() - Date.parse(index.crawledAt) < FULL_CRAWL_MAX_AGE_MS;
+
+  if (fresh && index.pageToken) {
+    const ok = await applyChanges(drive, index);
+    if (!ok) index = null;
+  } else {
+    index = null;
+  }
+
+  if (!index) {
+    index = await crawl(drive, { folderId, driveId, recursive });
+    indexes[key] = index;
+  }
+
+  store.save();
+
+  return Object.values(index.files).map((f) => ({
+    ...f,
+    folder: folderPath(index, f.parents),
+  }));
+}
+
+/** Note the files of an explicit `files:` list as listed */
+export function rememberDriveFiles(account, files) {
+  const key = JSON.stringify([account, "files"]);
+  const indexes = store.load();
+  const listed = (indexes[key] ||= { files: {} });
+  const now = Date.now();
+
+  for (const { id, modifiedTime } of files) listed.files[id] = { modifiedTime, listedAt: now };
+  for (const [id, f] of Object.entries(listed.files)) {
+    if (!(now - f.listedAt <= LISTED_FILE_MAX_AGE_MS)) delete listed.files[id];
+  }
+  store.save();
+}
+
+/**
+ * File `id` as last listed for `account` — in a folder index or
+ * an explicit `files:` list — as { modifiedTime }, or null.
+ */
+export function listedDriveFile(id, account = null) {
+  for (const [key, index] of Object.entries(store.load())) {
+    if (JSON.parse(key)[0] !== account || !Object.hasOwn(index.files || {}, id)) continue;
+    return { modifiedTime: index.files[id].modifiedTime };
+  }
+  return null;
+}
+
+// ------------------------------------------------------------
+// Full crawl
+// ------------------------------------------------------------
+
+async function crawl(drive, { folderId, driveId, recursive }) {
+  // Token first: anything changing during the crawl shows up in
+  // the next changes query
+  const { data } = await drive.changes.getStartPageToken({
+    supportsAllDrives: true,
+    ...(driveId ? { driveId } : {}),
+  });
+
+  const index = {
+    version: INDEX_VERSION,
+    folderId,
+    driveId,
+    recursive,
+    // id → { path, name, parents } ("" path for the root)
+    folders: { [folderId]: { path: "", name: null, parents: null } },
+    files: {},
+    pageToken: data.startPageToken,
+    crawledAt: new Date().toISOString(),
+  };
+
+  const queue = [folderId];
+  while (queue.length) {
+    const parent = queue.shift();
+    const kinds = recursive
+      ? `(mimeType contains 'image/' or mimeType = '${FOLDER_MIME}')`
+      : "mimeType contains 'image/'";
+
+    for await (const file of listAll(drive, driveId, `'${parent}' in parents and ${kinds} and trashed=false`)) {
+      if (file.mimeType === FOLDER_MIME) {
+        if (Object.hasOwn(index.folders, file.id)) continue;
+        const base = index.folders[parent].path;
+        index.folders[file.id] = {
+          path: base ? `${base}/${file.name}` : file.name,
+          name: file.name,
+          parents: file.parents,
+        };
+        queue.push(file.id);
+      } else {
+        index.files[file.id] = pickFile(file);
+      }
+    }
+  }
+
+  log(
+    `Google Drive: crawled ${Object.keys(index.folders).length} folder(s), ` +
+      `${Object.keys(index.files).length} image(s) under ${folderId}`
+  );
+  return index;
+}
+
+async function* listAll(drive, driveId, q) {
+  let pageToken;
+  do {
+    const res = await drive.files.list({
+      q,
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      pageSize: PAGE_SIZE,
+      pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      ...(driveId ? { corpora: "drive", driveId } : {}),
+    });
+    yield* res.data.files || [];
+    pageToken = res.data.nextPageToken;
+  } while (pageToken);
+}
+
+// ------------------------------------------------------------
+// Incremental update — false means "crawl again"
+// ------------------------------------------------------------
+
+async function applyChanges(drive, index) {
+  let pageToken = index.pageToken;
+  const updates = [];
+
+  while (pageToken) {
+    const res = await drive.changes.list({
+      pageToken,
+      fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS},trashed))`,
+      pageSize: PAGE_SIZE,
+      includeRemoved: true,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      ...(index.driveId ? { driveId: index.driveId } : {}),
+    });
+
+    updates.push(...(res.data.changes || []));
+    if (res.data.newStartPageToken) {
+      index.pageToken = res.data.newStartPageToken;
+      break;
+    }
+    pageToken = res.data.nextPageToken;
+  }
+
+  const tracked = (parents) => (parents || []).some((p) => Object.hasOwn(index.folders, p));
+
+  for (const { fileId, removed, file } of updates) {
+    const gone = removed || file?.trashed;
+
+    // A tracked folder: fine unless it moved, was renamed or went
+    const folder = index.folders[fileId];
+    if (folder) {
+      if (gone) return false;
+      if (fileId === index.folderId) continue;
+      if (file.name !== folder.name || !sameParents(file.parents, folder.parents)) return false;
+      continue;
+    }
+
+    if (gone) {
+      delete index.files[fileId];
+      continue;
+    }
+
+    if (file.mimeType === FOLDER_MIME) {
+      if (index.recursive && tracked(file.parents)) return false;
+      continue;
+    }
+
+    if (file.mimeType?.startsWith("image/") && tracked(file.parents)) {
+      index.files[fileId] = pickFile(file);
+    } else {
+      delete index.files[fileId];
+    }
+  }
+
+  if (updates.length) {
+    log(`Google Drive: applied ${updates.length} change(s) to ${index.folderId}`);
+  }
+  return true;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function pickFile(f) {
+  return {
+    id: f.id,
+    name: f.name,
+    mimeType: f.mimeType,
+    modifiedTime: f.modifiedTime,
+    taken: exifDate(f.imageMediaMetadata?.time),
+    parents: f.parents,
+    webViewLink: f.webViewLink,
+    webContentLink: f.webContentLink,
+  };
+}
+
+function folderPath(index, parents) {
+  const known = (parents || []).find((p) => Object.hasOwn(index.folders, p));
+  return known ? index.folders[known].path : "";
+}
+
+function sameParents(a = [], b = []) {
+  return a.length === b.length && a.every((p) => b.includes(p));
+}
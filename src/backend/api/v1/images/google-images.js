@@ -1,10 +1,21 @@
-// googleimages.js  —  Public CDN–aware version with automatic fallback and warnings
+// googleimages.js  —  Drive listings served through the hub's image proxy
 import fs from "fs";
 import { google } from "googleapis";
 import dotenv from "dotenv";
+import { minimatch } from "minimatch";
+import { shuffle, shuffleGroups } from "../../../shared/random.js";
+import { listDriveFolder, rememberDriveFiles } from "./google-drive-index.js";
+import { proxiedImageUrl } from "./image-proxy.js";
+import { exifDate } from "../../../shared/exif.js";
+import {
+  getAccount,
+  readCredentials,
+  credentialsVersion,
+} from "../accounts/account-registry.js";
+import { getLiveConfig } from "../slideshow/slideshow-live.js";
 
 // Load env (path provided by ENV_PATH or fallback to /home/john/.env)
-dotenv.config({ path: process.env.ENV_PATH || "/home/john/.env" });
+dotenv.config({ path: process.env.ENV_PATH || "/home/john/.env", quiet: true });
 
 let driveClient = null;
 
@@ -23,18 +34,7 @@ export async function initGoogleDrive() {
 
   try {
     const creds = JSON.parse(fs.readFileSync(credPath, "utf8"));
-    const scopes = [
-      process.env.GOOGLE_API_SCOPES ||
-        "https://www.googleapis.com/auth/drive.readonly",
-    ];
-
-    const auth = new google.auth.JWT({
-      email: creds.client_email,
-      key: creds.private_key,
-      scopes,
-    });
-
-    driveClient = google.drive({ version: "v3", auth });
+    driveClient = driveFromKey(creds, process.env.GOOGLE_API_SCOPES);
     return driveClient;
   } catch (err) {
     console.error("❌ Failed to initialize Google Drive:", err.message);
@@ -42,14 +42,121 @@ export async function initGoogleDrive() {
   }
 }
 
+// account name → { version, drive }
+const accountClients = new Map();
+
 /**
- * Retrieve a list of image URLs from Google Drive.
- *  - `folderId`: ID of a Drive folder
+ * Drive client of a named `accounts:` entry (type: google), or
+ * of the environment's service account without a name. Named
+ * accounts throw when unusable; the environment one returns null.
+ */
+export async function googleDrive(accountName = null) {
+  if (!accountName) return initGoogleDrive();
+
+  const account = getAccount(accountName, getLiveConfig());
+  if (account.type !== "google") {
+    throw Object.assign(new Error(`Account '${accountName}' is not a google account`), {
+      status: 400,
+    });
+  }
+
+  const version = credentialsVersion(account);
+  const cached = accountClients.get(accountName);
+  if (cached?.version === version) return cached.drive;
+
+  const drive = driveFromKey(readCredentials(account), account.scopes);
+  accountClients.set(accountName, { version, drive });
+  return drive;
+}
+
+// `scopes`: one scope or a list
+function driveFromKey(creds, scopes) {
+  const auth = new google.auth.JWT({
+    email: creds.client_email,
+    key: creds.private_key,
+    scopes: [scopes || "https://www.googleapis.com/auth/drive.readonly"].flat(),
+  });
+  return google.drive({ version: "v3", auth });
+}
+
+/** Which service account an account signs in as (test-connection) */
+export async function testGoogleAccount(accountName) {
+  const drive = await googleDrive(accountName);
+  const { data } = await drive.about.get({ fields: "user(emailAddress,displayName)" });
+  return { user: data.user?.emailAddress, name: data.user?.displayName };
+}
+
+/** Original bytes of a Drive file, via the (named) service account */
+export async function downloadGoogleImage(id, account = null) {
+  const drive = await googleDrive(account);
+  if (!drive) {
+    throw Object.assign(new Error("Google Drive is not configured"), { status: 503 });
+  }
+
+  const res = await drive.files.get(
+    { fileId: id, alt: "media", supportsAllDrives: true },
+    { responseType: "arraybuffer" }
+  );
+  return Buffer.from(res.data);
+}
+
+/**
+ * Drive listing options of a google-drive slide:
+ *
+ *   account          accounts: entry to sign in with (default:
+ *                    GOOGLE_CREDENTIALS_PATH)
+ *   folderId         folder to list
+ *   files            explicit file IDs (instead of a folder)
+ *   drive_id         Shared Drive holding the folder (optional;
+ *                    Shared Drive folders work without it too)
+ *   recursive        descend into subfolders
+ *   match            name glob(s), e.g. "IMG_*" or [ "*.jpg", "*.png" ]
+ *   mime_types       e.g. [ image/jpeg, image/png ]
+ *   modified_after   YYYY-MM-DD or ISO time (inclusive)
+ *   modified_before  YYYY-MM-DD or ISO time (exclusive)
+ *   group_by_folder  order: random shuffles subfolders as blocks
+ */
+export function googleListOptions(slide) {
+  return {
+    account: slide.account,
+    folderId: slide.folderId,
+    files: slide.files,
+    driveId: slide.drive_id,
+    recursive: slide.recursive === true,
+    match: slide.match,
+    mimeTypes: slide.mime_types,
+    modifiedAfter: slide.modified_after,
+    modifiedBefore: slide.modified_before,
+  };
+}
+
+/**
+ * Retrieve a list of image URLs (hub proxy URLs) from Google Drive.
+ *  - `folderId`: ID of a Drive folder (every page; subfolders
+ *    too with `recursive`)
  *  - `files`: explicit list of file IDs (optional)
- *  - `order`: "sorted" | "random"
+ *  - `order`: "sorted" | "random"; `groupByFolder` keeps each
+ *    subfolder's images together when shuffling
+ *  - `account`, filters: see googleListOptions()
+ *
+ * Results: [{ id, name, url, folder, modifiedTime, taken }] —
+ * `folder` is the subfolder path ("" for the folder itself),
+ * `taken` the EXIF capture time Drive read (or null).
  */
-export async function listGoogleImages({ folderId, files, order = "sorted" }) {
-  const drive = await initGoogleDrive();
+export async function listGoogleImages({
+  account = null,
+  folderId,
+  files,
+  order = "sorted",
+  groupByFolder = false,
+  driveId = null,
+  recursive = false,
+  match,
+  mimeTypes,
+  modifiedAfter,
+  modifiedBefore,
+}) {
+  const drive = await googleDrive(account);
   if (!drive) return [];
 
   const logFile =
@@ -71,50 +178,51 @@ export async function listGoogleImages({ folderId, files, order = "sorted" }) {
       for (const fid of files) {
         const res = await drive.files.get({
           fileId: fid,
-          fields: "id,name,webViewLink,webContentLink,mimeType",
+          fields: "id,name,webViewLink,webContentLink,mimeType,modifiedTime,imageMediaMetadata(time)",
+          supportsAllDrives: true,
         });
-        if (res.data.mimeType?.startsWith("image/")) items.push(res.data);
+        if (res.data.mimeType?.startsWith("image/")) {
+          const { imageMediaMetadata, ...file } = res.data;
+          items.push({ ...file, taken: exifDate(imageMediaMetadata?.time), folder: "" });
+        }
       }
+      rememberDriveFiles(account, items);
     }
 
-    // --- Folder listing ---
+    // --- Folder listing (paged, indexed, changes-API refreshed) ---
     else if (folderId) {
-      const res = await drive.files.list({
-        q: `'${folderId}' in parents and mimeType contains 'image/' and trashed=false`,
-        fields: "files(id,name,webViewLink,webContentLink)",
-        pageSize: 200,
-      });
-      items = res.data.files || [];
+      items = await listDriveFolder(drive, { account, folderId, driveId, recursive });
     }
 
-    // --- Sort or shuffle ---
-    if (order === "random") items.sort(() => 0.5 - Math.random());
-    else items.sort((a, b) => a.name.localeCompare(b.name));
+    items = items.filter(
+      imageFilter({ match, mimeTypes, modifiedAfter, modifiedBefore })
+    );
+
+    // --- Sort (subfolder, then name) or shuffle ---
+    items.sort(
+      (a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name)
+    );
+    if (order === "random") {
+      items = groupByFolder ? shuffleGroups(items, (f) => f.folder) : shuffle(items);
+    }
 
     // --- Warn if nothing found ---
     if (items.length === 0) {
-      const warn = `⚠️  Google Drive folder '${folderId}' returned 0 images. Possible permission issue — share folder with your service account email or make it public.`;
+      const warn = `⚠️  Google Drive folder '${folderId}' returned 0 images. Possible permission issue — share the folder with your service account email.`;
       console.warn(warn);
       appendLog(warn);
     }
 
-    // --- Generate robust URLs ---
-    const results = items.map((f) => {
-      // ✅ Fast public CDN form
-      const cdnUrl = `https://lh3.googleusercontent.com/d/${f.id}=s1600`;
-
-      // fallback for private/shared folders
-      const fallbackUrl =
-        f.webContentLink?.replace("export=download", "export=view") ||
-        f.webViewLink ||
-        cdnUrl;
-
-      return {
-        id: f.id,
-        name: f.name,
-        url: cdnUrl || fallbackUrl,
-      };
-    });
+    // --- Hub proxy URLs: private files work too, and kiosks
+    //     never need to reach Google (see image-proxy.js) ---
+    const results = items.map((f) => ({
+      id: f.id,
+      name: f.name,
+      url: proxiedImageUrl("google", f.id, { account, modifiedTime: f.modifiedTime }),
+      folder: f.folder,
+      modifiedTime: f.modifiedTime,
+      taken: f.taken ?? null,
+    }));
 
     appendLog(
       `✅ Google Drive: ${results.length} images loaded from folder ${folderId}`
@@ -124,6 +232,25 @@ export async function listGoogleImages({ folderId, files, order = "sorted" }) {
     const msg = `❌ Error listing Google Drive images: ${err.message}`;
     console.error(msg);
     appendLog(msg);
-    return [];
+    // Let the expansion cache fall back to the last good listing
+    throw err;
   }
 }
+
+// name glob(s), MIME types and a modified-time window
+function imageFilter({ match, mimeTypes, modifiedAfter, modifiedBefore }) {
+  const globs = [match].flat().filter(Boolean).map(String);
+  const mimes = [mimeTypes].flat().filter(Boolean).map((m) => String(m).toLowerCase());
+  const after = modifiedAfter ? new Date(modifiedAfter).getTime() : null;
+  const before = modifiedBefore ? new Date(modifiedBefore).getTime() : null;
+
+  return (f) => {
+    if (globs.length && !globs.some((g) => minimatch(f.name, g, { nocase: true }))) return false;
+    if (mimes.length && !mimes.includes(String(f.mimeType).toLowerCase())) return false;
+
+    const modified = Date.parse(f.modifiedTime);
+    if (after !== null && !(modified >= after)) return false;
+    if (before !== null && !(modified < before)) return false;
+    return true;
+  };
+}
@@ -0,0 +1,332 @@
+// ------------------------------------------------------------
+// 🪄 Local image derivatives (GET /api/v1/images/<path>)
+// ------------------------------------------------------------
+//
+// Camera originals (several MB each) are too heavy for a
+// Raspberry Pi to fetch and decode every few seconds, so players
+// get derivatives of PHOTOS_DIR files — EXIF-rotated, resized,
+// re-encoded:
+//
+//   /api/v1/images/2025-Stuart-Ave/20250302-055A2848.jpg
+//     ?w=1920&h=1080&fit=inside&format=webp&q=82&v=<mtime ms>
+//
+//   w, h     bounding box in px (either may be left out; neither =
+//            full size); never enlarged
+//   fit      inside (default) | cover | contain | fill | outside
+//   format   auto (default: WebP when the browser accepts it,
+//            else JPEG) | webp | avif | jpeg | png
+//   q        quality 1–100 (default 82)
+//   v        the photo's mtime; slideshow responses add it, so a
+//            current URL is cached by players for good
+//
+// Only the option sets of configured images: settings are
+// rendered (isConfiguredDerivative); anything else is a 400, so a
+// client can't keep the Pi busy with sizes nobody is sent.
+//
+// Results are kept in runtime/cache/local-images/<content hash>/
+// (one file per option set), so a touched, moved or duplicated
+// photo reuses its renders, and trimmed like the cloud proxy
+// caches (IMAGE_PROXY_CACHE_MB). Renders run
+// IMAGE_RENDER_CONCURRENCY (default 2) at a time; `casthub media
+// precache` renders every profile ahead of time.
+//
+// The size players get is set per hub, or per kiosk:
+//
+//   images:
+//     width: 1920
+//     height: 1080
+//     format: auto
+//     derivatives: true     # false: originals from /media/photos
+//   clients:
+//     tv-room: { images: { width: 3840, height: 2160 } }
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { PHOTOS_DIR } from "../../../shared/paths.js";
+import { PHOTO_EXTS, photoHash } from "../photos/photo-index.js";
+import { clientEntry } from "../slideshow/slideshow-vars.js";
+import { proxyCacheDir, pruneImageCacheSoon, touch, MAX_SIZE } from "./image-proxy.js";
+
+export const DERIVATIVE_FORMATS = ["auto", "webp", "avif", "jpeg", "png"];
+export const DERIVATIVE_FITS = ["inside", "cover", "contain", "fill", "outside"];
+
+export const IMAGE_DEFAULTS = {
+  derivatives: true,
+  width: 1920,
+  height: 1080,
+  fit: "inside",
+  format: "auto",
+  quality: 82,
+};
+
+const CACHE_SOURCE = "local";
+const EXTS = { webp: "webp", avif: "avif", jpeg: "jpg", png: "png" };
+const PHOTO_RE = new RegExp(`\\.(${PHOTO_EXTS.join("|")})$`, "i");
+const MAX_RENDERS = Math.max(1, Number(process.env.IMAGE_RENDER_CONCURRENCY) || 2);
+const HASH_RE = /^[0-9a-f]{40}$/;
+
+// cache file → Promise of it being written
+const inFlight = new Map();
+const waiting = [];
+let renders = 0;
+
+/** images: settings for a client (top level, then its clients: entry) */
+export function imageSettings(config = {}, client = null) {
+  return {
+    ...IMAGE_DEFAULTS,
+    ...(config.images || {}),
+    ...(clientEntry(config, client).images || {}),
+  };
+}
+
+/**
+ * Every distinct derivative the config's players are sent — the
+ * top-level images: settings and each client's — as route options
+ * (format auto is rendered as WebP, what players negotiate).
+ */
+export function imageProfiles(config = {}) {
+  const profiles = new Map();
+  for (const settings of derivativeSettings(config)) {
+    const options = {
+      width: settings.width || null,
+      height: settings.height || null,
+      fit: settings.fit,
+      format: settings.format === "auto" ? "webp" : settings.format,
+      quality: settings.quality,
+    };
+    profiles.set(JSON.stringify(options), options);
+  }
+  return [...profiles.values()];
+}
+
+/**
+ * True when route options (from derivativeOptions) are those of
+ * the top-level images: settings or a client's. format auto
+ * settings match both WebP and JPEG, what players negotiate.
+ */
+export function isConfiguredDerivative(options, config = {}) {
+  return derivativeSettings(config).some(
+    (s) =>
+      (s.width || null) === options.width &&
+      (s.height || null) === options.height &&
+      s.fit === options.fit &&
+      s.quality === options.quality &&
+      (s.format === "auto" ? ["webp", "jpeg"].includes(options.format) : s.format === options.format)
+  );
+}
+
+// images: settings of everyone who gets derivatives
+function derivativeSettings(config) {
+  return [null, ...Object.keys(config.clients || {})]
+    .map((client) => imageSettings(config, client))
+    .filter((settings) => settings.derivatives !== false);
+}
+
+/**
+ * Photo `rel` (relative to PHOTOS_DIR) as { abs, rel, stat }, or
+ * null when it isn't an image file inside PHOTOS_DIR. A wrong-case
+ * extension (IMG_1.jpg for IMG_1.JPG) is forgiven, as the player
+ * always did.
+ */
+export function resolvePhoto(rel) {
+  const clean = String(rel).replace(/\\/g, "/").replace(/^\/+/, "");
+  if (!PHOTO_RE.test(clean)) return null;
+  if (clean.split("/").some((part) => part === "" || part.startsWith("."))) return null;
+
+  const ext = path.extname(clean);
+  const base = clean.slice(0, -ext.length);
+
+  for (const candidate of new Set([clean, base + ext.toLowerCase(), base + ext.toUpperCase()])) {
+    const abs = path.join(PHOTOS_DIR, candidate);
+    if (!abs.startsWith(PHOTOS_DIR + path.sep)) return null;
+    try {
+      const stat = fs.statSync(abs);
+      if (stat.isFile()) return { abs, rel: candidate, stat };
+    } catch {
+      // try the next spelling
+    }
+  }
+  return null;
+}
+
+/** Derivative URL of photo `rel`, or null (no such file / derivatives off) */
+export function derivativeUrl(rel, settings = IMAGE_DEFAULTS) {
+  if (settings.derivatives === false) return null;
+  const photo = resolvePhoto(rel);
+  if (!photo) return null;
+
+  const q = new URLSearchParams();
+  if (settings.width) q.set("w", settings.width);
+  if (settings.height) q.set("h", settings.height);
+  if (settings.fit && settings.fit !== IMAGE_DEFAULTS.fit) q.set("fit", settings.fit);
+  q.set("format", settings.format || IMAGE_DEFAULTS.format);
+  if (settings.quality && settings.quality !== IMAGE_DEFAULTS.quality) q.set("q", settings.quality);
+  q.set("v", mtimeVersion(photo.stat));
+
+  return `/api/v1/images/${photo.rel.split("/").map(encodeURIComponent).join("/")}?${q}`;
+}
+
+/**
+ * Local image slides (and collage / mux panel images) get their
+ * derivative URL as `src`; `file` stays the photo path (play
+ * history, bundles). Players fall back to /media/photos/<file>.
+ */
+export function applyDerivatives(slides, settings) {
+  if (settings.derivatives === false) return slides;
+
+  const visit = (slide) => {
+    if (slide.type === "image" && slide.file && !slide.file.includes("*")) {
+      const src = derivativeUrl(slide.file, settings);
+      return src ? { ...slide, src } : slide;
+    }
+    if (slide.type === "image-folder" && Array.isArray(slide.images)) {
+      return {
+        ...slide,
+        images: slide.images.map((i) => ({ ...i, url: derivativeUrl(i.file, settings) ?? i.url })),
+      };
+    }
+    if (slide.type === "mux" && Array.isArray(slide.panels)) {
+      return {
+        ...slide,
+        panels: slide.panels.map((p) =>
+          Array.isArray(p.resolvedSlides) ? { ...p, resolvedSlides: p.resolvedSlides.map(visit) } : p
+        ),
+      };
+    }
+    return slide;
+  };
+
+  return slides.map(visit);
+}
+
+/**
+ * Route query → { width, height, fit, format, quality, negotiated }.
+ * `accept` is the request's Accept header (format=auto). Throws
+ * (status 400) on bad values.
+ */
+export function derivativeOptions(query, accept = "") {
+  const bad = (message) => Object.assign(new Error(message), { status: 400 });
+
+  const px = (name) => {
+    if (query[name] === undefined || query[name] === "") return null;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_SIZE) throw bad(`${name} must be 1..${MAX_SIZE}`);
+    return n;
+  };
+
+  const fit = String(query.fit ?? IMAGE_DEFAULTS.fit);
+  if (!DERIVATIVE_FITS.includes(fit)) throw bad(`fit must be one of: ${DERIVATIVE_FITS.join(", ")}`);
+
+  let format = String(query.format ?? IMAGE_DEFAULTS.format).toLowerCase();
+  if (format === "jpg") format = "jpeg";
+  if (!DERIVATIVE_FORMATS.includes(format)) {
+    throw bad(`format must be one of: ${DERIVATIVE_FORMATS.join(", ")}`);
+  }
+  const negotiated = format === "auto";
+  if (negotiated) format = /image\/webp/i.test(accept) ? "webp" : "jpeg";
+
+  const quality = query.q === undefined ? IMAGE_DEFAULTS.quality : Number(query.q);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) throw bad("q must be 1..100");
+
+  return { width: px("w"), height: px("h"), fit, format, quality, negotiated };
+}
+
+/** Version stamp of a photo, as put in derivative URLs (v=) */
+export function mtimeVersion(stat) {
+  return String(Math.round(stat.mtimeMs));
+}
+
+/**
+ * Cached (or freshly rendered) derivative of `photo` (from
+ * resolvePhoto). Returns the absolute path to send — the original
+ * itself for animated GIFs, which would lose their frames.
+ */
+export async function derivativeFile(photo, options) {
+  const file = derivativePath(await photoHash(photo.rel, photo.stat), options);
+  const { width, height, fit, format, quality } = options;
+
+  if (fs.existsSync(file)) {
+    touch(file);
+    return file;
+  }
+  if (inFlight.has(file)) return inFlight.get(file);
+
+  const job = limited(async () => {
+    const meta = await sharp(photo.abs).metadata();
+    if (meta.format === "gif" && (meta.pages || 1) > 1) return photo.abs;
+
+    let img = sharp(photo.abs, { failOn: "none" }).rotate();
+    if (width || height) {
+      img = img.resize({ width, height, fit, withoutEnlargement: true });
+    }
+
+    if (format === "webp") img = img.webp({ quality });
+    else if (format === "avif") img = img.avif({ quality, effort: 2 });
+    else if (format === "png") img = img.png();
+    else img = img.jpeg({ quality, mozjpeg: true });
+
+    // written in one go: a cache prune drops empty folders
+    const data = await img.toBuffer();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+
+    pruneImageCacheSoon(CACHE_SOURCE);
+    return file;
+  }).finally(() => inFlight.delete(file));
+
+  inFlight.set(file, job);
+  return job;
+}
+
+/** Cache file of a derivative of the photo with content `hash` */
+export function derivativePath(hash, { width, height, fit, format, quality }) {
+  const name = `${width || 0}x${height || 0}-${fit}-q${quality}.${EXTS[format]}`;
+  return path.join(proxyCacheDir(CACHE_SOURCE), hash, name);
+}
+
+/**
+ * Remove the derivatives of photos no longer in the library
+ * (content hashes not in `live`). Folders touched in the last
+ * `minAgeMs` are kept — a photo may be rendered before the index
+ * has seen it. Returns the number of photos whose renders went.
+ */
+export function pruneDerivatives(live, { minAgeMs = 10 * 60 * 1000 } = {}) {
+  const root = proxyCacheDir(CACHE_SOURCE);
+  if (!fs.existsSync(root)) return 0;
+
+  let removed = 0;
+  for (const name of fs.readdirSync(root)) {
+    if (live.has(name)) continue;
+    const dir = path.join(root, name);
+    try {
+      const st = fs.statSync(dir);
+      // older cache layouts are always dropped
+      if (HASH_RE.test(name) && Date.now() - st.mtimeMs < minAgeMs) continue;
+      fs.rmSync(dir, { recursive: true, force: true });
+      removed++;
+    } catch {
+      // gone already
+    }
+  }
+  return removed;
+}
+
+// At most MAX_RENDERS sharp pipelines at once (a collage can ask
+// for dozens of images together)
+async function limited(render) {
+  // A finished render hands its slot straight to the next in line
+  if (renders >= MAX_RENDERS) await new Promise((resolve) => waiting.push(resolve));
+  else renders++;
+
+  try {
+    return await render();
+  } finally {
+    const next = waiting.shift();
+    if (next) next();
+    else renders--;
+  }
+}
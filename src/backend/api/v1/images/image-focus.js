@@ -0,0 +1,264 @@
+// ------------------------------------------------------------
+// 🎯 Focal points (Ken Burns targets, cover crops)
+// ------------------------------------------------------------
+//
+// Each image slide is sent with the point players should keep
+// in view — where Ken Burns zooms end, what pans track, where
+// collage boxes and cover-fit mux cells crop around:
+//
+//   focus: { x: 0.62, y: 0.31 }      (fractions of the image)
+//
+// Slides choose how it is found with `focus:`
+//
+//   attention   sharp's saliency strategy (default: faces, skin,
+//               bright colour)
+//   entropy     the busiest region
+//   center      no focal point (zoom on the middle)
+//   "30% 20%"   fixed: x then y; also "left top", "right", …
+//   { x: 0.3, y: 0.2 }
+//
+// Computed points are kept per photo content (or cloud image
+// version) in runtime/cache/focus-points.json. Slideshow
+// responses never wait for one: a missing point is worked out
+// in the background and sent from the next fetch on; media
+// precache jobs compute attention points ahead of time. Cloud
+// images get computed points once the hub proxy has a copy.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { warn } from "../../../shared/log.js";
+import { photoHash } from "../photos/photo-index.js";
+import { cachedProxyImage } from "./image-proxy.js";
+import { resolvePhoto } from "./image-derivatives.js";
+
+export const FOCUS_STRATEGIES = ["attention", "entropy"];
+export const DEFAULT_FOCUS = "attention";
+
+const KEYWORDS = { left: 0, top: 0, center: 0.5, right: 1, bottom: 1 };
+// the thumbnail the strategies run on
+const FOCUS_SIZE = 320;
+// a third of each axis is kept when cropping for it
+const WINDOW = 1 / 3;
+const MAX_PENDING = 1000;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "focus-points.json"), {
+  label: "Focus points",
+});
+
+// key|strategy → queued / running background computations
+const pending = new Set();
+let backlog = Promise.resolve();
+
+/**
+ * A slide's `focus:` value →
+ *   { x, y }              fixed point
+ *   { strategy }          attention | entropy
+ *   { center: true }      none
+ * or null when it can't be read.
+ */
+export function parseFocus(value = DEFAULT_FOCUS) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const { x, y } = value;
+    return isFraction(x) && isFraction(y) && Object.keys(value).length === 2 ? { x, y } : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const v = value.trim().toLowerCase();
+  if (FOCUS_STRATEGIES.includes(v)) return { strategy: v };
+  if (v === "center" || v === "none") return { center: true };
+
+  const parts = v.split(/\s+/);
+  if (parts.length > 2) return null;
+
+  // keywords in either order ("top left"); one per axis
+  if (parts.every((p) => p in KEYWORDS)) {
+    const point = { x: 0.5, y: 0.5 };
+    const set = new Set();
+    for (const p of parts) {
+      const axis = p === "left" || p === "right" ? "x" : p === "top" || p === "bottom" ? "y" : null;
+      if (!axis) continue;
+      if (set.has(axis)) return null;
+      set.add(axis);
+      point[axis] = KEYWORDS[p];
+    }
+    return point;
+  }
+
+  const pct = parts.map((p) => (/^\d+(\.\d+)?%$/.test(p) ? Number(p.slice(0, -1)) / 100 : NaN));
+  if (pct.length === 2 && pct.every(isFraction)) return { x: pct[0], y: pct[1] };
+  return null;
+}
+
+/**
+ * Focal point of an image (file path or buffer) by `strategy`,
+ * as { x, y } fractions of the EXIF-rotated picture.
+ */
+export async function computeFocus(input, strategy = DEFAULT_FOCUS) {
+  const { data, info } = await sharp(input, { failOn: "none" })
+    .rotate()
+    .resize(FOCUS_SIZE, FOCUS_SIZE, { fit: "inside" })
+    .toBuffer({ resolveWithObject: true });
+
+  // Crop a narrow, then a short window the way the strategy
+  // likes best; their centres are the point
+  const centre = async (width, height) => {
+    const { info: crop } = await sharp(data)
+      .resize(width, height, { fit: "cover", position: sharp.strategy[strategy] })
+      .toBuffer({ resolveWithObject: true });
+    return {
+      x: (-crop.cropOffsetLeft + width / 2) / info.width,
+      y: (-crop.cropOffsetTop + height / 2) / info.height,
+    };
+  };
+
+  const { x } = await centre(Math.max(1, Math.round(info.width * WINDOW)), info.height);
+  const { y } = await centre(info.width, Math.max(1, Math.round(info.height * WINDOW)));
+  return { x: round(x), y: round(y) };
+}
+
+/** Focal point of a local photo (from resolvePhoto), cached */
+export async function photoFocus(photo, strategy = DEFAULT_FOCUS) {
+  const key = await photoHash(photo.rel, photo.stat);
+  return cached(key, strategy) ?? remember(key, strategy, await computeFocus(photo.abs, strategy));
+}
+
+/**
+ * Give image slides (and collage / mux panel images) their
+ * focus: { x, y } — fixed, or computed when known (queued
+ * otherwise). `focus: center` slides get none.
+ */
+export async function applyFocus(slides) {
+  const pointFor = async (spec, item) => {
+    if (!spec) return undefined;
+    if (!spec.strategy) return spec.center ? undefined : spec;
+    return knownFocus(item, spec.strategy);
+  };
+
+  const visit = async (slide) => {
+    const spec = parseFocus(slide.focus ?? DEFAULT_FOCUS);
+
+    if (Array.isArray(slide.images)) {
+      const images = [];
+      for (const image of slide.images) {
+        const item = { ...image, type: slide.type, account: slide.account };
+        images.push(withFocus(image, await pointFor(spec, item)));
+      }
+      return withFocus({ ...slide, images }, undefined);
+    }
+    if (slide.type === "mux" && Array.isArray(slide.panels)) {
+      const panels = [];
+      for (const p of slide.panels) {
+        panels.push(
+          Array.isArray(p.resolvedSlides) ? { ...p, resolvedSlides: await Promise.all(p.resolvedSlides.map(visit)) } : p
+        );
+      }
+      return { ...slide, panels };
+    }
+    if (slide.type === "image" || slide.type === "remote-image") {
+      return withFocus(slide, await pointFor(spec, slide));
+    }
+    return slide;
+  };
+
+  const out = [];
+  for (const slide of slides) out.push(await visit(slide));
+  return out;
+}
+
+// ------------------------------------------------------------
+// Lookup / background computation
+// ------------------------------------------------------------
+
+// Known point of a slide / collage image, queueing it if not
+async function knownFocus(item, strategy) {
+  const source = item.googleId ? "google" : item.onedriveId ? "onedrive" : null;
+
+  if (source) {
+    const file = cachedProxyImage(source, item.googleId || item.onedriveId, item.account);
+    if (!file) return undefined;
+    const key = `${source}/${path.basename(path.dirname(file))}/${path.basename(file)}`;
+    return cached(key, strategy) ?? computeLater(key, strategy, file);
+  }
+
+  if (item.type !== "image" && item.type !== "image-folder") return undefined;
+  const photo = item.file && !item.file.includes("*") ? resolvePhoto(item.file) : null;
+  if (!photo) return undefined;
+
+  try {
+    const key = await photoHash(photo.rel, photo.stat);
+    return cached(key, strategy) ?? computeLater(key, strategy, photo.abs);
+  } catch {
+    return undefined;
+  }
+}
+
+function computeLater(key, strategy, file) {
+  const id = `${key}|${strategy}`;
+  if (pending.has(id) || pending.size >= MAX_PENDING) return undefined;
+  pending.add(id);
+
+  // one at a time: players are waiting on image renders too
+  backlog = backlog
+    .then(async () => {
+      if (!fs.existsSync(file)) return;
+      remember(key, strategy, await computeFocus(file, strategy));
+    })
+    .catch((err) => warn(`Focus of ${path.basename(file)} failed: ${err.message}`))
+    .finally(() => pending.delete(id));
+  return undefined;
+}
+
+/**
+ * Forget the points of local photos whose content hash is not in
+ * `live` (a full media precache). Returns how many went.
+ */
+export function pruneFocusPoints(live) {
+  const points = store.load().points || {};
+  let removed = 0;
+  for (const key of Object.keys(points)) {
+    // cloud image keys are "<source>/<id>/<file>"
+    if (key.includes("/") || live.has(key)) continue;
+    delete points[key];
+    removed++;
+  }
+  if (removed) store.save();
+  return removed;
+}
+
+/** Write pending points now (before a CLI run exits) */
+export function flushFocusPoints() {
+  store.flush();
+}
+
+function cached(key, strategy) {
+  return store.load().points?.[key]?.[strategy];
+}
+
+function remember(key, strategy, point) {
+  const data = store.load();
+  data.points ||= {};
+  data.points[key] = { ...data.points[key], [strategy]: point };
+  store.save();
+  return point;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function withFocus(item, point) {
+  const { focus: _focus, ...rest } = item;
+  return point ? { ...rest, focus: point } : rest;
+}
+
+function isFraction(n) {
+  return typeof n === "number" && n >= 0 && n <= 1;
+}
+
+function round(n) {
+  return Math.round(Math.min(Math.max(n, 0), 1) * 1000) / 1000;
+}
@@ -0,0 +1,253 @@
+// ------------------------------------------------------------
+// 🔐 Cloud image proxy (GET /api/v1/images/<source>/:id)
+// ------------------------------------------------------------
+//
+// Kiosks and Chromecasts can't sign in to Google or Microsoft:
+// public lh3.googleusercontent.com URLs only work for files
+// shared publicly, and OneDrive download URLs expire after
+// about an hour. The hub downloads with its own credentials
+// instead, resizes and keeps the result on disk:
+//
+//   runtime/cache/<source>-images/<id>[@<account>]/<size>-<version>.<ext>
+//
+// `size` is the longest edge in pixels (0 = original bytes),
+// snapped up to one of PROXY_SIZES so a client can't make the
+// hub render every size in between. `version` is the file's
+// modified time as recorded in the Drive / OneDrive index. The
+// listing also puts it in the URL (`v=`) so an edited photo gets
+// a new URL, but the cache key always uses the indexed one: a
+// made-up `v=` can neither force a download nor evict the copy
+// on disk.
+//
+// `a=` names the accounts: entry to download with; each account
+// gets its own cache folders, as item IDs of two OneDrive
+// accounts can collide.
+//
+// Older versions are deleted when a new one is cached; each
+// source's cache is trimmed to IMAGE_PROXY_CACHE_MB (default
+// 1024), least recently used first.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { log, warn } from "../../../shared/log.js";
+
+// source → ID pattern (also keeps IDs safe as directory names)
+export const PROXY_SOURCES = {
+  google: /^[A-Za-z0-9_-]+$/,
+  onedrive: /^[A-Za-z0-9_!-]+$/,
+};
+
+export const DEFAULT_SIZE = 1600;
+export const MAX_SIZE = 4096;
+export const PROXY_SIZES = [0, 480, 960, 1600, 2560, MAX_SIZE];
+
+const CACHE_LIMIT_BYTES = Number(process.env.IMAGE_PROXY_CACHE_MB || 1024) * 1024 * 1024;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Formats a browser shows as is; anything else becomes JPEG
+const WEB_FORMATS = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif" };
+
+// cache file → Promise of it being written
+const inFlight = new Map();
+const lastPrune = {};
+const cachedListeners = new Set();
+
+export function proxyCacheDir(source) {
+  return path.join(RUNTIME_DIR, "cache", `${source}-images`);
+}
+
+/** Hub URL of a cloud image (what slides get instead of provider URLs) */
+export function proxiedImageUrl(source, id, { size = DEFAULT_SIZE, modifiedTime, account } = {}) {
+  const v = proxyVersion(modifiedTime);
+  return (
+    `/api/v1/images/${source}/${encodeURIComponent(id)}?s=${size}` +
+    (v ? `&v=${v}` : "") +
+    (account ? `&a=${encodeURIComponent(account)}` : "")
+  );
+}
+
+/** Cache version of a file modified at `modifiedTime` ("" if unknown) */
+export function proxyVersion(modifiedTime) {
+  const t = Date.parse(modifiedTime);
+  return Number.isFinite(t) ? String(t) : "";
+}
+
+/** Requested longest edge → the proxy size that serves it */
+export function snapProxySize(size) {
+  return size === 0 ? 0 : PROXY_SIZES.find((s) => s >= size) ?? MAX_SIZE;
+}
+
+/**
+ * Cached (or freshly downloaded) copy of `source` file `id`;
+ * `download()` resolves to the original bytes.
+ * Returns the absolute path of the cache file.
+ */
+export async function proxiedImageFile(source, id, { size = DEFAULT_SIZE, version = "", account = null }, download) {
+  const dir = imageCacheDir(source, id, account);
+  const prefix = `${size}-${version || "0"}.`;
+
+  const hit = cachedFile(dir, prefix);
+  if (hit) {
+    touch(hit);
+    return hit;
+  }
+
+  const key = path.join(dir, prefix);
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const job = (async () => {
+    const original = await download();
+    const { buffer, ext } = await derivative(original, size);
+
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, prefix + ext);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, file);
+
+    dropOtherVersions(dir, size, file);
+    pruneImageCacheSoon(source);
+    for (const listener of cachedListeners) listener(source, id, file, account);
+    return file;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, job);
+  return job;
+}
+
+// ------------------------------------------------------------
+// Resizing
+// ------------------------------------------------------------
+
+async function derivative(buffer, size) {
+  const meta = await sharp(buffer).metadata();
+  const ext = WEB_FORMATS[meta.format];
+
+  if (!size && ext) return { buffer, ext };
+
+  let img = sharp(buffer).rotate();
+  if (size) {
+    img = img.resize({ width: size, height: size, fit: "inside", withoutEnlargement: true });
+  }
+
+  // Animated GIFs would lose their frames; keep them as they are
+  if (meta.format === "gif" && (meta.pages || 1) > 1) return { buffer, ext: "gif" };
+
+  if (ext === "png" || ext === "webp") return { buffer: await img.toBuffer(), ext };
+  return { buffer: await img.jpeg({ quality: 85 }).toBuffer(), ext: "jpg" };
+}
+
+// ------------------------------------------------------------
+// Cache housekeeping
+// ------------------------------------------------------------
+
+function cachedFile(dir, prefix) {
+  try {
+    const name = fs.readdirSync(dir).find((f) => f.startsWith(prefix) && !f.endsWith(".tmp"));
+    return name ? path.join(dir, name) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Call `listener(source, id, file, account)` for each newly cached download */
+export function onProxyImageCached(listener) {
+  cachedListeners.add(listener);
+  return () => cachedListeners.delete(listener);
+}
+
+/** A cached copy of cloud image `id` (any size), or null */
+export function cachedProxyImage(source, id, account = null) {
+  return cachedFile(imageCacheDir(source, id, account), "");
+}
+
+/** Every cached cloud image of `source`: [{ id, account, file }] */
+export function cachedProxyImages(source) {
+  const root = proxyCacheDir(source);
+  if (!fs.existsSync(root)) return [];
+
+  return fs
+    .readdirSync(root)
+    .map((name) => {
+      const [id, account = null] = name.split("@");
+      return { id: id.replace(/\./g, "!"), account, file: cachedFile(path.join(root, name), "") };
+    })
+    .filter((i) => i.file);
+}
+
+// mtime doubles as "last used" for pruning
+export function touch(file) {
+  const now = new Date();
+  fs.utimes(file, now, now, () => {});
+}
+
+function dropOtherVersions(dir, size, keep) {
+  for (const name of fs.readdirSync(dir)) {
+    const file = path.join(dir, name);
+    if (file !== keep && name.startsWith(`${size}-`) && !name.endsWith(".tmp")) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+}
+
+/** Trim `source`'s cache in the background, at most once a minute */
+export function pruneImageCacheSoon(source) {
+  if (Date.now() - (lastPrune[source] || 0) < PRUNE_INTERVAL_MS) return;
+  lastPrune[source] = Date.now();
+  setImmediate(() => {
+    try {
+      pruneImageCache(source);
+    } catch (err) {
+      warn(`${source} image cache prune failed: ${err.message}`);
+    }
+  });
+}
+
+export function pruneImageCache(source, limit = CACHE_LIMIT_BYTES) {
+  const root = proxyCacheDir(source);
+  if (!fs.existsSync(root)) return 0;
+
+  const files = [];
+  for (const id of fs.readdirSync(root)) {
+    const dir = path.join(root, id);
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      const st = fs.statSync(file);
+      files.push({ file, size: st.size, used: st.mtimeMs });
+    }
+  }
+
+  let total = files.reduce((n, f) => n + f.size, 0);
+  let removed = 0;
+  for (const f of files.sort((a, b) => a.used - b.used)) {
+    if (total <= limit) break;
+    fs.rmSync(f.file, { force: true });
+    total -= f.size;
+    removed++;
+  }
+
+  for (const id of fs.readdirSync(root)) {
+    const dir = path.join(root, id);
+    if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+  }
+
+  if (removed) log(`${source} image cache: removed ${removed} least recently used file(s)`);
+  return removed;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+// <id>@<account>: neither IDs nor account names contain "@"
+function imageCacheDir(source, id, account) {
+  return path.join(proxyCacheDir(source), safeId(id) + (account ? `@${account}` : ""));
+}
+
+// OneDrive IDs carry "!" — "." never occurs in an ID, so no clashes
+function safeId(id) {
+  return String(id).replace(/!/g, ".").replace(/[^A-Za-z0-9_.-]|^\.+$/g, "_");
+}
@@ -0,0 +1,132 @@
+// ------------------------------------------------------------
+// 🖼️ Images Router (API v1)
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import { downloadGoogleImage } from "./google-images.js";
+import { downloadOneDriveImage } from "./onedrive-images.js";
+import {
+  proxiedImageFile,
+  proxyVersion,
+  snapProxySize,
+  PROXY_SOURCES,
+  DEFAULT_SIZE,
+  MAX_SIZE,
+} from "./image-proxy.js";
+import { listedDriveFile } from "./google-drive-index.js";
+import { listedOneDriveItem } from "./onedrive-index.js";
+import {
+  resolvePhoto,
+  derivativeOptions,
+  isConfiguredDerivative,
+  derivativeFile,
+  mtimeVersion,
+} from "./image-derivatives.js";
+import { getLiveConfig } from "../slideshow/slideshow-live.js";
+import { ACCOUNT_NAME_RE } from "../accounts/account-registry.js";
+
+const router = Router();
+
+const DOWNLOADERS = {
+  google: downloadGoogleImage,
+  onedrive: downloadOneDriveImage,
+};
+
+// Only files a listing handed out are downloaded — not anything
+// else the hub's credentials can read — at the listed version
+const LISTED = {
+  google: listedDriveFile,
+  onedrive: listedOneDriveItem,
+};
+
+// GET /api/v1/images/<path under PHOTOS_DIR>?w=1920&h=1080&fit=inside&format=auto&q=82&v=<mtime ms>
+// Local photo, rotated, resized and re-encoded, cached on disk
+// (see image-derivatives.js). Only configured images: option sets
+// are rendered. Anything that isn't a photo file falls through to
+// the cloud proxy below.
+router.get("/*path", async (req, res, next) => {
+  const photo = resolvePhoto(req.params.path.join("/"));
+  if (!photo) return next();
+
+  let options;
+  try {
+    options = derivativeOptions(req.query, req.get("accept"));
+  } catch (err) {
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+  if (!isConfiguredDerivative(options, getLiveConfig())) {
+    return res.status(400).json({ error: "Not a configured image size (see images: in the config)" });
+  }
+
+  try {
+    const file = await derivativeFile(photo, options);
+
+    // v= of the current file: the URL never changes content
+    const current = req.query.v === mtimeVersion(photo.stat);
+    res.set("Cache-Control", current ? "public, max-age=31536000, immutable" : "public, max-age=3600");
+    if (options.negotiated) res.vary("Accept");
+    res.sendFile(file);
+  } catch (err) {
+    console.error(`❌ Image derivative ${photo.rel}: ${err.message}`);
+    res.status(500).json({ error: err.message || "Image derivative error" });
+  }
+});
+
+// GET /api/v1/images/google/:id?s=1600&v=<modifiedTime ms>&a=<account>
+// GET /api/v1/images/onedrive/:id?s=1600&v=<modifiedTime ms>&a=<account>
+// Cloud image fetched with the hub's credentials, resized
+// (longest edge `s` snapped to PROXY_SIZES, 0 = original) and
+// cached (see image-proxy.js). 404 for files no Drive / OneDrive
+// listing has returned. The cached version is the indexed
+// modifiedTime; `v` only decides how long browsers may keep it.
+router.get("/:source/:id", async (req, res, next) => {
+  const { source, id } = req.params;
+  if (!Object.hasOwn(DOWNLOADERS, source)) return next();
+
+  const size = req.query.s === undefined ? DEFAULT_SIZE : Number(req.query.s);
+  const v = String(req.query.v ?? "");
+  const account = req.query.a ? String(req.query.a) : null;
+
+  if (!PROXY_SOURCES[source].test(id)) {
+    return res.status(400).json({ error: "Invalid file id" });
+  }
+  if (!Number.isInteger(size) || size < 0 || size > MAX_SIZE) {
+    return res.status(400).json({ error: `s must be 0..${MAX_SIZE}` });
+  }
+  if (!/^\d*$/.test(v)) {
+    return res.status(400).json({ error: "Invalid v" });
+  }
+  if (account && !ACCOUNT_NAME_RE.test(account)) {
+    return res.status(400).json({ error: "Invalid account" });
+  }
+
+  const listed = LISTED[source](id, account);
+  if (!listed) {
+    return res.status(404).json({ error: `${source} file ${id} is not in any listing` });
+  }
+  const version = proxyVersion(listed.modifiedTime);
+
+  try {
+    const file = await proxiedImageFile(source, id, { size: snapProxySize(size), version, account }, () =>
+      DOWNLOADERS[source](id, account)
+    );
+
+    // A URL naming the current version never changes content
+    res.set(
+      "Cache-Control",
+      version && v === version ? "public, max-age=31536000, immutable" : "public, max-age=3600"
+    );
+    res.sendFile(file);
+  } catch (err) {
+    const status = err.status ?? err.response?.status ?? err.code;
+    console.error(`❌ ${source} image ${id}: ${err.message}`);
+
+    if (status === 404 || status === 403) {
+      return res.status(status).json({ error: `${source} file ${id}: ${err.message}` });
+    }
+    if (status === 400 || status === 503) return res.status(status).json({ error: err.message });
+    res.status(502).json({ error: err.message || "Image proxy error" });
+  }
+});
+
+export default router;
@@ -1,35 +1,75 @@
 // onedriveimages.js — Drop-in OneDrive/SharePoint photo loader
-import fs from "fs";
 import dotenv from "dotenv";
+import { shuffle } from "../../../shared/random.js";
+import { listOneDriveFolder } from "./onedrive-index.js";
+import { proxiedImageUrl } from "./image-proxy.js";
+import {
+  getAccount,
+  readCredentials,
+  ACCOUNT_SETTINGS,
+} from "../accounts/account-registry.js";
+import { getLiveConfig } from "../slideshow/slideshow-live.js";
 
 // Load environment from ~/.env or ENV_PATH
-dotenv.config({ path: process.env.ENV_PATH || "/home/john/.env" });
+dotenv.config({ path: process.env.ENV_PATH || "/home/john/.env", quiet: true });
 
-const TENANT_ID = process.env.ONEDRIVE_TENANT_ID;
-const CLIENT_ID = process.env.ONEDRIVE_CLIENT_ID;
-const CLIENT_SECRET = process.env.ONEDRIVE_CLIENT_SECRET;
-const SITE_ID = process.env.ONEDRIVE_SITE_ID;
-const DRIVE_ID = process.env.ONEDRIVE_DRIVE_ID;
+// App registration of slides without `account:`
+const ENV_SETTINGS = {
+  tenant_id: process.env.ONEDRIVE_TENANT_ID,
+  client_id: process.env.ONEDRIVE_CLIENT_ID,
+  client_secret: process.env.ONEDRIVE_CLIENT_SECRET,
+  site_id: process.env.ONEDRIVE_SITE_ID,
+  drive_id: process.env.ONEDRIVE_DRIVE_ID,
+};
 
-// Token cache (so we don't fetch on every request)
-let tokenCache = { access_token: null, expires_at: 0 };
+/**
+ * Tenant, app and drive of a named `accounts:` entry (type:
+ * onedrive; client_secret from its credentials file), or of the
+ * environment without a name.
+ */
+function oneDriveSettings(accountName = null) {
+  if (!accountName) return { name: null, ...ENV_SETTINGS };
+
+  const account = getAccount(accountName, getLiveConfig());
+  if (account.type !== "onedrive") {
+    throw Object.assign(new Error(`Account '${accountName}' is not a onedrive account`), {
+      status: 400,
+    });
+  }
+
+  const settings = { name: accountName, ...readCredentials(account) };
+  for (const key of ACCOUNT_SETTINGS.onedrive) {
+    if (account[key] !== undefined) settings[key] = account[key];
+  }
+  return settings;
+}
+
+// Token cache per tenant + app (so we don't fetch on every request)
+const tokenCache = new Map();
 
 /**
  * Obtain a valid Microsoft Graph access token.
  */
-async function getAccessToken() {
+async function getAccessToken(settings) {
+  const { tenant_id, client_id, client_secret, site_id, drive_id } = settings;
+  if (!tenant_id || !client_id || !client_secret || !site_id || !drive_id) {
+    const what = settings.name ? `Account '${settings.name}'` : "OneDrive";
+    throw Object.assign(new Error(`${what} is not configured`), { status: 503 });
+  }
+
+  const key = `${tenant_id}/${client_id}`;
   const now = Math.floor(Date.now() / 1000);
-  if (tokenCache.access_token && now < tokenCache.expires_at - 60)
-    return tokenCache.access_token;
+  const cached = tokenCache.get(key);
+  if (cached && now < cached.expires_at - 60) return cached.access_token;
 
   const res = await fetch(
-    `https://login.microsoftonline.com/${TENANT_ID}/oauth2/v2.0/token`,
+    `https://login.microsoftonline.com/${tenant_id}/oauth2/v2.0/token`,
     {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded" },
       body: new URLSearchParams({
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
+        client_id,
+        client_secret,
         grant_type: "client_credentials",
         scope: "https://graph.microsoft.com/.default",
       }),
@@ -45,48 +85,92 @@ async function getAccessToken() {
     );
   }
 
-  tokenCache.access_token = data.access_token;
-  tokenCache.expires_at = now + (data.expires_in || 3600);
+  tokenCache.set(key, {
+    access_token: data.access_token,
+    expires_at: now + (data.expires_in || 3600),
+  });
   return data.access_token;
 }
 
+function driveUrl(settings) {
+  return `https://graph.microsoft.com/v1.0/sites/${settings.site_id}/drives/${settings.drive_id}`;
+}
+
 /**
- * List images in a OneDrive/SharePoint folder.
- * @param {object} opts - { folderId, folderPath, order }
- * - folderPath: e.g. "/Kiosk-Photos"
- * - order: "random" | "sorted"
+ * GET a Graph resource of the account's drive — a path
+ * relative to it ("/root/children") or a full URL (nextLink,
+ * deltaLink). Errors carry the HTTP `status`.
  */
-export async function listOneDriveImages({
-  folderPath = "/Kiosk-Photos",
-  order = "sorted",
-} = {}) {
-  const token = await getAccessToken();
+async function graph(settings, pathOrUrl) {
+  const token = await getAccessToken(settings);
+  const url = /^https:/.test(pathOrUrl) ? pathOrUrl : `${driveUrl(settings)}${pathOrUrl}`;
 
-  const apiUrl =
-    folderPath === "/"
-      ? `https://graph.microsoft.com/v1.0/sites/${SITE_ID}/drives/${DRIVE_ID}/root/children`
-      : `https://graph.microsoft.com/v1.0/sites/${SITE_ID}/drives/${DRIVE_ID}/root:${folderPath}:/children`;
-
-  const res = await fetch(apiUrl, {
+  const res = await fetch(url, {
     headers: { Authorization: `Bearer ${token}` },
   });
 
   // Capture raw text for diagnostics if not JSON
   const text = await res.text();
   if (!res.ok) {
-    throw new Error(`Graph API error ${res.status}: ${text.slice(0, 200)}`);
+    const err = new Error(`Graph API error ${res.status}: ${text.slice(0, 200)}`);
+    err.status = res.status;
+    throw err;
   }
 
-  let data;
   try {
-    data = JSON.parse(text);
+    return JSON.parse(text);
   } catch {
     throw new Error(`Invalid JSON response: ${text.slice(0, 200)}`);
   }
+}
 
-  const items = (data.value || []).filter(
-    (f) => f.file && f.file.mimeType?.startsWith("image/")
-  );
+/** The drive an account reaches (test-connection) */
+export async function testOneDriveAccount(accountName) {
+  const settings = oneDriveSettings(accountName);
+  const drive = await graph(settings, "?$select=name,driveType,webUrl");
+  return { drive: drive.name, driveType: drive.driveType, webUrl: drive.webUrl };
+}
+
+/**
+ * OneDrive listing options of a one-drive slide:
+ *
+ *   account      accounts: entry to sign in with (default:
+ *                ONEDRIVE_* environment)
+ *   folderPath   e.g. "/Kiosk-Photos" (`folder:` works too)
+ *   recursive    descend into subfolders
+ */
+export function oneDriveListOptions(slide) {
+  return {
+    account: slide.account,
+    folderPath: slide.folderPath ?? slide.folder ?? "/Kiosk-Photos",
+    recursive: slide.recursive === true,
+  };
+}
+
+/**
+ * List images in a OneDrive/SharePoint folder (every page;
+ * subfolders too with `recursive`).
+ * @param {object} opts - { account, folderPath, recursive, order }
+ * - folderPath: e.g. "/Kiosk-Photos"
+ * - order: "random" | "sorted"
+ *
+ * Results: [{ id, name, url, folder, modifiedTime, taken }] —
+ * `url` is the hub proxy (download URLs from Graph expire after
+ * about an hour), `folder` the subfolder path ("" for the folder
+ * itself), `taken` the capture time (UTC) or null.
+ */
+export async function listOneDriveImages({
+  account = null,
+  folderPath = "/Kiosk-Photos",
+  recursive = false,
+  order = "sorted",
+} = {}) {
+  const settings = oneDriveSettings(account);
+  let items = await listOneDriveFolder((u) => graph(settings, u), {
+    drive: `${account ?? ""}:${settings.site_id}/${settings.drive_id}`,
+    folderPath,
+    recursive,
+  });
 
   if (items.length === 0) {
     console.warn(
@@ -94,18 +178,40 @@ export async function listOneDriveImages({
     );
   }
 
-  // Sort or shuffle
-  if (order === "random") items.sort(() => 0.5 - Math.random());
-  else items.sort((a, b) => a.name.localeCompare(b.name));
+  // Sort (subfolder, then name) or shuffle
+  if (order === "random") items = shuffle(items);
+  else items.sort((a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name));
 
   // Convert to consistent structure
   return items.map((f) => ({
     id: f.id,
     name: f.name,
-    url: f["@microsoft.graph.downloadUrl"], // direct file URL
+    url: proxiedImageUrl("onedrive", f.id, { account, modifiedTime: f.modifiedTime }),
+    folder: f.folder,
+    modifiedTime: f.modifiedTime,
+    taken: f.taken ?? null,
   }));
 }
 
+/**
+ * Original bytes of a OneDrive file. Graph answers /content
+ * with a redirect to a short-lived pre-authenticated URL.
+ */
+export async function downloadOneDriveImage(id, account = null) {
+  const settings = oneDriveSettings(account);
+  const token = await getAccessToken(settings);
+  const res = await fetch(`${driveUrl(settings)}/items/${encodeURIComponent(id)}/content`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+
+  if (!res.ok) {
+    const err = new Error(`Graph API error ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    err.status = res.status;
+    throw err;
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
 /**
  * CLI test (optional)
  */
@@ -0,0 +1,243 @@
+// ------------------------------------------------------------
+// 🗂️ OneDrive / SharePoint folder index (full crawl + delta)
+// ------------------------------------------------------------
+//
+// The first listing of a folder crawls it completely — every
+// @odata.nextLink page, optionally every subfolder — and
+// remembers the result together with a delta link for the
+// drive. Later listings only ask Graph what changed since then
+// and patch the index, the same way google-drive-index.js uses
+// the Drive changes API.
+//
+// Changes that can't be patched safely (a tracked folder moved,
+// renamed or deleted; a new subfolder; an expired delta token)
+// trigger a full crawl, as does an index older than
+// FULL_CRAWL_MAX_AGE_MS.
+//
+// Indexes live in runtime/cache/onedrive-index.json; the image
+// proxy only downloads items found there (listedOneDriveItem),
+// at the version recorded there.
+// ------------------------------------------------------------
+
+import path from "path";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { log } from "../../../shared/log.js";
+
+const ITEM_FIELDS = "id,name,file,folder,root,photo,parentReference,lastModifiedDateTime,deleted";
+const PAGE_SIZE = 999;
+
+// Bumped when indexed fields change: older indexes are re-crawled
+const INDEX_VERSION = 2;
+
+// Re-crawl now and then anyway (deltas can be missed, e.g.
+// after permissions change)
+const FULL_CRAWL_MAX_AGE_MS = 24 * 3600 * 1000;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "onedrive-index.json"), {
+  label: "OneDrive index",
+});
+
+/**
+ * All images under `folderPath` of drive `drive`, read with
+ * `graph(pathOrUrl)` (see onedrive-images.js):
+ *   [{ id, name, mimeType, modifiedTime, taken, folder }]
+ * `folder` is the subfolder path ("" for the folder itself);
+ * `taken` is the capture time from the photo facet (UTC, as
+ * Graph reports it), or null.
+ */
+export async function listOneDriveFolder(graph, { drive, folderPath, recursive = false }) {
+  const key = JSON.stringify([drive, folderPath, recursive]);
+  const indexes = store.load();
+  let index = indexes[key];
+
+  const fresh =
+    index?.version === INDEX_VERSION &&
+    Date.now() - Date.parse(index.crawledAt) < FULL_CRAWL_MAX_AGE_MS;
+
+  if (fresh && index.deltaLink) {
+    const ok = await applyDelta(graph, index);
+    if (!ok) index = null;
+  } else {
+    index = null;
+  }
+
+  if (!index) {
+    index = await crawl(graph, { folderPath, recursive });
+    indexes[key] = index;
+  }
+
+  store.save();
+
+  return Object.values(index.files).map(({ parent, ...f }) => ({
+    ...f,
+    folder: index.folders[parent]?.path ?? "",
+  }));
+}
+
+/**
+ * Item `id` as indexed for one of `account`'s drives, as
+ * { modifiedTime }, or null.
+ */
+export function listedOneDriveItem(id, account = null) {
+  for (const [key, index] of Object.entries(store.load())) {
+    const [drive] = JSON.parse(key);
+    if (!drive.startsWith(`${account ?? ""}:`) || !Object.hasOwn(index.files || {}, id)) continue;
+    return { modifiedTime: index.files[id].modifiedTime };
+  }
+  return null;
+}
+
+// ------------------------------------------------------------
+// Full crawl
+// ------------------------------------------------------------
+
+async function crawl(graph, { folderPath, recursive }) {
+  // Delta link first: anything changing during the crawl shows
+  // up in the next delta query
+  const latest = await graph(`/root/delta?token=latest&$select=${ITEM_FIELDS}`);
+
+  const root = await graph(
+    folderPath === "/" ? "/root" : `/root:${encodeFolderPath(folderPath)}`
+  );
+  if (!root.folder) throw new Error(`OneDrive path '${folderPath}' is not a folder`);
+
+  const index = {
+    version: INDEX_VERSION,
+    folderPath,
+    folderId: root.id,
+    recursive,
+    // id → { path, name, parent } ("" path for the root)
+    folders: { [root.id]: { path: "", name: root.name, parent: root.parentReference?.id ?? null } },
+    files: {},
+    deltaLink: latest["@odata.deltaLink"],
+    crawledAt: new Date().toISOString(),
+  };
+
+  const queue = [root.id];
+  while (queue.length) {
+    const parent = queue.shift();
+
+    for await (const item of pages(graph, `/items/${parent}/children?$top=${PAGE_SIZE}&$select=${ITEM_FIELDS}`)) {
+      if (item.folder) {
+        if (!recursive || Object.hasOwn(index.folders, item.id)) continue;
+        const base = index.folders[parent].path;
+        index.folders[item.id] = {
+          path: base ? `${base}/${item.name}` : item.name,
+          name: item.name,
+          parent,
+        };
+        queue.push(item.id);
+      } else if (isImage(item)) {
+        index.files[item.id] = pickItem(item);
+      }
+    }
+  }
+
+  log(
+    `OneDrive: crawled ${Object.keys(index.folders).length} folder(s), ` +
+      `${Object.keys(index.files).length} image(s) under ${folderPath}`
+  );
+  return index;
+}
+
+// Every item of a paged collection (follows @odata.nextLink)
+async function* pages(graph, first) {
+  let next = first;
+  while (next) {
+    const data = await graph(next);
+    yield* data.value || [];
+    next = data["@odata.nextLink"];
+  }
+}
+
+// ------------------------------------------------------------
+// Incremental update — false means "crawl again"
+// ------------------------------------------------------------
+
+async function applyDelta(graph, index) {
+  const updates = [];
+  let next = index.deltaLink;
+
+  try {
+    while (next) {
+      const data = await graph(next);
+      updates.push(...(data.value || []));
+      if (data["@odata.deltaLink"]) {
+        index.deltaLink = data["@odata.deltaLink"];
+        break;
+      }
+      next = data["@odata.nextLink"];
+    }
+  } catch (err) {
+    // 410 Gone: the delta token expired
+    if (err.status === 410) return false;
+    throw err;
+  }
+
+  const tracked = (parent) => Object.hasOwn(index.folders, parent);
+
+  for (const item of updates) {
+    const parent = item.parentReference?.id ?? null;
+
+    // A tracked folder: fine unless it moved, was renamed or went.
+    // Graph reports a folder whenever something inside changes.
+    const folder = index.folders[item.id];
+    if (folder) {
+      if (item.deleted) return false;
+      if (item.root) continue;
+      if (item.name !== folder.name || parent !== folder.parent) return false;
+      continue;
+    }
+
+    if (item.deleted) {
+      delete index.files[item.id];
+      continue;
+    }
+
+    if (item.folder) {
+      if (index.recursive && tracked(parent)) return false;
+      continue;
+    }
+
+    if (isImage(item) && tracked(parent)) {
+      index.files[item.id] = pickItem(item);
+    } else {
+      delete index.files[item.id];
+    }
+  }
+
+  // The delta covers the whole drive, not just this folder
+  if (updates.length) {
+    log(`OneDrive: checked ${updates.length} drive change(s) for ${index.folderPath}`);
+  }
+  return true;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function isImage(item) {
+  return Boolean(item.file?.mimeType?.startsWith("image/"));
+}
+
+function pickItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    mimeType: item.file.mimeType,
+    modifiedTime: item.lastModifiedDateTime,
+    taken: item.photo?.takenDateTime ?? null,
+    parent: item.parentReference?.id ?? null,
+  };
+}
+
+// "/Kiosk Photos/2025" → "/Kiosk%20Photos/2025"
+function encodeFolderPath(folderPath) {
+  const clean = folderPath.replace(/\/+$/, "");
+  return (clean.startsWith("/") ? clean : `/${clean}`)
+    .split("/")
+    .map(encodeURIComponent)
+    .join("/");
+}
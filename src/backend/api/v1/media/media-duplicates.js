@@ -0,0 +1,419 @@
+// ------------------------------------------------------------
+// 👯 Duplicate photos (perceptual hashes)
+// ------------------------------------------------------------
+//
+// The same shot often lives in a local folder, a Drive album and
+// a OneDrive folder at once. Each image gets a 64-bit difference
+// hash (dHash: is each pixel of a 9×8 greyscale thumbnail darker
+// than its neighbour) — re-encoded, resized or lightly edited
+// copies land a few bits apart:
+//
+//   local photos       by content hash (media precache jobs, or
+//                      on first showing)
+//   Drive / OneDrive   once the hub image proxy has downloaded
+//                      them (cached-only: nothing is fetched for
+//                      this)
+//
+// kept in runtime/cache/perceptual-hashes.json. Images at most
+// `threshold` bits apart (default 6) form a cluster:
+//
+//   GET /api/v1/media/duplicates
+//
+// and slideshows with `dedupe: true` (or a threshold) keep only
+// the first image of each cluster they play.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { warn } from "../../../shared/log.js";
+import { queryPhotos, photoHash } from "../photos/photo-index.js";
+import { resolvePhoto } from "../images/image-derivatives.js";
+import {
+  cachedProxyImage,
+  cachedProxyImages,
+  onProxyImageCached,
+  proxiedImageUrl,
+} from "../images/image-proxy.js";
+
+export const DEFAULT_THRESHOLD = 6;
+export const REMOTE_SOURCES = ["google", "onedrive"];
+
+const MAX_PENDING = 1000;
+// most pieces a hash is cut into for near lookups (≥ 5 bits each)
+const MAX_CHUNKS = 12;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "perceptual-hashes.json"), {
+  label: "Perceptual hashes",
+});
+
+// keys of queued / running background hashes
+const pending = new Set();
+let backlog = Promise.resolve();
+
+// Cloud downloads are hashed as they arrive
+onProxyImageCached((source, id, file, account) => hashLater(remoteKey(source, id, account), file));
+
+/** dHash of an image (file path or buffer), as 16 hex digits */
+export async function perceptualHash(input) {
+  const data = await sharp(input, { failOn: "none" })
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hex = "";
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (data[row * 9 + col] > data[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+/** Bits two hashes differ in (0–64) */
+export function hashDistance(a, b) {
+  const half = (from, to) => popcount(parseInt(a.slice(from, to), 16) ^ parseInt(b.slice(from, to), 16));
+  return half(0, 8) + half(8, 16);
+}
+
+/** Perceptual hash of a local photo (from resolvePhoto), cached */
+export async function photoPerceptualHash(photo) {
+  const key = await photoHash(photo.rel, photo.stat);
+  return known(key, null) ?? remember(key, null, await perceptualHash(photo.abs));
+}
+
+/**
+ * Hash the cached cloud images that have none yet. Returns how
+ * many were hashed.
+ */
+export async function hashCachedRemoteImages({ cancelled = () => false } = {}) {
+  let hashed = 0;
+  for (const source of REMOTE_SOURCES) {
+    for (const { id, account, file } of cachedProxyImages(source)) {
+      if (cancelled()) return hashed;
+      const key = remoteKey(source, id, account);
+      if (known(key, file)) continue;
+      try {
+        remember(key, file, await perceptualHash(file));
+        hashed++;
+      } catch (err) {
+        warn(`Perceptual hash of ${source} ${id} failed: ${err.message}`);
+      }
+    }
+  }
+  return hashed;
+}
+
+/**
+ * Forget the hashes of local photos whose content hash is not in
+ * `live` and of cloud images no longer cached.
+ */
+export function prunePerceptualHashes(live) {
+  const data = store.load();
+  let removed = 0;
+
+  for (const key of Object.keys(data.local || {})) {
+    if (live.has(key)) continue;
+    delete data.local[key];
+    removed++;
+  }
+  for (const key of Object.keys(data.remote || {})) {
+    const [source, id, account] = splitRemoteKey(key);
+    if (cachedProxyImage(source, id, account)) continue;
+    delete data.remote[key];
+    removed++;
+  }
+  if (removed) store.save();
+  return removed;
+}
+
+/** Write pending hashes now (before a CLI run exits) */
+export function flushPerceptualHashes() {
+  store.flush();
+}
+
+// ------------------------------------------------------------
+// Clusters
+// ------------------------------------------------------------
+
+/**
+ * Clusters of look-alike images among the hashed ones:
+ *
+ *   { hashed, clusters: [{ size, items: [
+ *       { source: "local", path, taken, hash, distance } |
+ *       { source: "google" | "onedrive", id, account?, url, hash, distance } ] }] }
+ *
+ * Biggest clusters first; `distance` is from the cluster's first
+ * item (a local photo when there is one). `wait`: for the first
+ * photo index scan (see queryPhotos).
+ */
+export async function findDuplicates({ threshold = DEFAULT_THRESHOLD, sources = null, wait = false } = {}) {
+  const data = store.load();
+  const items = [];
+
+  if (!sources || sources.includes("local")) {
+    for (const p of await queryPhotos({ path: "", recursive: true }, { wait })) {
+      const photo = resolvePhoto(p.path);
+      if (!photo) continue;
+      const hash = known(await photoHash(photo.rel, photo.stat).catch(() => null), null);
+      if (hash) items.push({ source: "local", path: p.path, taken: p.taken, hash });
+    }
+  }
+
+  for (const [key, entry] of Object.entries(data.remote || {})) {
+    const [source, id, account] = splitRemoteKey(key);
+    if (sources && !sources.includes(source)) continue;
+    if (!cachedProxyImage(source, id, account)) continue;
+    items.push({
+      source,
+      id,
+      ...(account ? { account } : {}),
+      url: proxiedImageUrl(source, id, { account }),
+      hash: entry.hash,
+    });
+  }
+
+  const clusters = (await clusterItems(items, threshold))
+    .filter((c) => c.length > 1)
+    .map((c) => ({
+      size: c.length,
+      items: c.map((item) => ({ ...item, distance: hashDistance(c[0].hash, item.hash) })),
+    }))
+    .sort((a, b) => b.size - a.size);
+
+  return { hashed: items.length, clusters };
+}
+
+// Single-linkage: an image close to any member of a cluster joins
+// it, merging clusters it links (identical hashes compared once).
+// Only hashes sharing a bucket are compared, and the event loop
+// gets a turn every few hundred
+async function clusterItems(items, threshold) {
+  const byHash = new Map();
+  for (const item of items) {
+    if (!byHash.has(item.hash)) byHash.set(item.hash, []);
+    byHash.get(item.hash).push(item);
+  }
+
+  const hashes = [...byHash.keys()];
+  const parent = hashes.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+  if (threshold > 0) {
+    const near = createNearIndex(threshold);
+    for (let i = 0; i < hashes.length; i++) {
+      for (const j of near.find(hashes[i])) parent[root(j)] = root(i);
+      near.add(hashes[i], i);
+      if (i % 500 === 499) await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+
+  const groups = new Map();
+  hashes.forEach((hash, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(...byHash.get(hash));
+  });
+
+  // local photos first, then by path / id
+  return [...groups.values()].map((g) =>
+    g.sort((a, b) =>
+      (a.source === "local" ? 0 : 1) - (b.source === "local" ? 0 : 1) ||
+      (a.path || a.id).localeCompare(b.path || b.id)
+    )
+  );
+}
+
+/**
+ * Hashes by value, for "which known hashes are within
+ * `threshold` bits of this one". Pigeonhole: the 64 bits are cut
+ * into threshold + 1 chunks, and two hashes that close agree on
+ * at least one whole chunk — so only hashes sharing a chunk are
+ * compared. Past MAX_CHUNKS the chunks are too short to narrow
+ * anything down and every hash is compared.
+ */
+function createNearIndex(threshold) {
+  const count = threshold + 1;
+  const cuts = Array.from({ length: count + 1 }, (_, i) => Math.round((i * 64) / count));
+  const buckets = new Map();
+
+  const keys = (hash) => {
+    if (count > MAX_CHUNKS) return [""];
+    const bits = BigInt(`0x${hash}`).toString(2).padStart(64, "0");
+    return cuts.slice(1).map((end, i) => `${i}:${bits.slice(cuts[i], end)}`);
+  };
+
+  return {
+    add(hash, value) {
+      const entry = { hash, value };
+      for (const key of keys(hash)) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(entry);
+      }
+    },
+    // values of the added hashes within `threshold` of `hash`
+    find(hash) {
+      const seen = new Set();
+      const out = [];
+      for (const key of keys(hash)) {
+        for (const entry of buckets.get(key) || []) {
+          if (seen.has(entry)) continue;
+          seen.add(entry);
+          if (hashDistance(hash, entry.hash) <= threshold) out.push(entry.value);
+        }
+      }
+      return out;
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// Slideshow dedupe
+// ------------------------------------------------------------
+
+/**
+ * Drop images that look like one already in the playlist: image
+ * slides, collage images (within their collage) and mux panel
+ * decks (within their panel). Images without a hash yet are kept
+ * (and hashed in the background).
+ *
+ * → { slides, removed }
+ */
+export async function dedupeSlides(slides, { threshold = DEFAULT_THRESHOLD } = {}) {
+  let removed = 0;
+
+  const filter = async (list, hashOf) => {
+    const seen = createNearIndex(threshold);
+    const kept = [];
+    const keptSet = new Set();
+    for (const item of list) {
+      // weighted / interleave orders repeat the same slide on purpose
+      if (!keptSet.has(item)) {
+        const hash = await hashOf(item);
+        if (hash && seen.find(hash).length) {
+          removed++;
+          continue;
+        }
+        if (hash) seen.add(hash, item);
+        keptSet.add(item);
+      }
+      kept.push(item);
+    }
+    return kept;
+  };
+
+  const visit = async (slide) => {
+    if (Array.isArray(slide.images)) {
+      const hashOf = (i) => knownHash({ ...i, type: slide.type, account: slide.account });
+      return { ...slide, images: await filter(slide.images, hashOf) };
+    }
+    if (slide.type === "mux" && Array.isArray(slide.panels)) {
+      const panels = [];
+      for (const p of slide.panels) {
+        if (!Array.isArray(p.resolvedSlides)) {
+          panels.push(p);
+          continue;
+        }
+        const deck = [];
+        for (const s of p.resolvedSlides) deck.push(await visit(s));
+        panels.push({ ...p, resolvedSlides: await filter(deck, knownHash) });
+      }
+      return { ...slide, panels };
+    }
+    return slide;
+  };
+
+  const visited = [];
+  for (const slide of slides) visited.push(await visit(slide));
+  return { slides: await filter(visited, knownHash), removed };
+}
+
+// Hash of an image slide / collage image, if known (queued if not)
+async function knownHash(item) {
+  const source = item.googleId ? "google" : item.onedriveId ? "onedrive" : null;
+
+  if (source) {
+    const key = remoteKey(source, item.googleId || item.onedriveId, item.account);
+    const file = cachedProxyImage(...splitRemoteKey(key));
+    if (!file) return null;
+    return known(key, file) ?? hashLater(key, file);
+  }
+
+  if (item.type !== "image" && item.type !== "image-folder") return null;
+  const photo = item.file && !item.file.includes("*") ? resolvePhoto(item.file) : null;
+  if (!photo) return null;
+
+  try {
+    const key = await photoHash(photo.rel, photo.stat);
+    return known(key, null) ?? hashLater(key, photo.abs);
+  } catch {
+    return null;
+  }
+}
+
+// ------------------------------------------------------------
+// Store
+// ------------------------------------------------------------
+
+// local:  { <content hash>: "<dhash>" }
+// remote: { "<source>/<id>[@<account>]": { file: <cache file name>, hash } }
+function known(key, file) {
+  if (!key) return null;
+  const data = store.load();
+  if (!file) return data.local?.[key] ?? null;
+
+  const entry = data.remote?.[key];
+  return entry && entry.file === path.basename(file) ? entry.hash : null;
+}
+
+function remember(key, file, hash) {
+  const data = store.load();
+  if (file) {
+    data.remote ||= {};
+    data.remote[key] = { file: path.basename(file), hash };
+  } else {
+    data.local ||= {};
+    data.local[key] = hash;
+  }
+  store.save();
+  return hash;
+}
+
+// remote keys carry a file, local ones are content hashes
+function hashLater(key, file) {
+  if (pending.has(key) || pending.size >= MAX_PENDING) return null;
+  pending.add(key);
+  const remote = key.includes("/");
+
+  backlog = backlog
+    .then(async () => {
+      if (!fs.existsSync(file)) return;
+      remember(key, remote ? file : null, await perceptualHash(file));
+    })
+    .catch((err) => warn(`Perceptual hash of ${path.basename(file)} failed: ${err.message}`))
+    .finally(() => pending.delete(key));
+  return null;
+}
+
+// "<source>/<id>[@<account>]"
+function remoteKey(source, id, account = null) {
+  return `${source}/${id}${account ? `@${account}` : ""}`;
+}
+
+function splitRemoteKey(key) {
+  const slash = key.indexOf("/");
+  const [id, account = null] = key.slice(slash + 1).split("@");
+  return [key.slice(0, slash), id, account];
+}
+
+function popcount(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
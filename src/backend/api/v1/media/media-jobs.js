@@ -0,0 +1,277 @@
+// ------------------------------------------------------------
+// 🧾 Media jobs — background work on the photo library
+// ------------------------------------------------------------
+//
+// Long-running media work (precaching derivatives) runs as jobs,
+// one at a time per process, each recorded as
+// runtime/cache/media-jobs/<id>.json:
+//
+//   { id, type, params, reason, state, pid,
+//     progress: { total, done, current },
+//     result, errors: [{ file, error }], errorCount,
+//     createdAt, startedAt, finishedAt }
+//
+//   state   queued → running → done | failed | cancelled
+//           (a running job whose process died reads as
+//           "interrupted")
+//
+// Both the server and `casthub media …` write here, so
+// GET /api/v1/media/jobs shows CLI runs too. The last KEEP_JOBS
+// jobs are kept.
+//
+// New or changed photos (see onPhotosChanged) queue a precache
+// of just those files; MEDIA_AUTO_PRECACHE=0 turns that off.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { onPhotosChanged } from "../photos/photo-index.js";
+import { precacheMedia } from "./media-precache.js";
+import { log, warn } from "../../../shared/log.js";
+
+export const JOB_TYPES = { precache: precacheMedia };
+
+const JOBS_DIR = path.join(RUNTIME_DIR, "cache", "media-jobs");
+const KEEP_JOBS = 50;
+const MAX_ERRORS = 100;
+const SAVE_INTERVAL_MS = 1000;
+const FINISHED = ["done", "failed", "cancelled", "interrupted"];
+// more new photos than this (a first scan, a big copy) → precache
+// the whole library instead of listing them
+const AUTO_FILES_MAX = 200;
+
+// jobs of this process, by id (queued ones in order)
+const jobs = new Map();
+const queue = [];
+let running = null;
+
+/**
+ * Queue a job; it runs after this process's earlier ones.
+ * Returns the job record (see jobFinished to wait for it).
+ */
+export function enqueueJob(type, params = {}, { reason = null } = {}) {
+  if (!JOB_TYPES[type]) {
+    throw Object.assign(new Error(`Unknown job type '${type}'`), { status: 400 });
+  }
+
+  const job = {
+    id: `${new Date().toISOString().replace(/[-:.]/g, "").slice(0, 15)}-${crypto.randomBytes(3).toString("hex")}`,
+    type,
+    params,
+    reason,
+    state: "queued",
+    pid: process.pid,
+    progress: { total: null, done: 0, current: null },
+    result: null,
+    error: null,
+    errors: [],
+    errorCount: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  let resolve;
+  const finished = new Promise((r) => (resolve = r));
+  jobs.set(job.id, { job, finished, resolve, cancelled: false, saveTimer: null });
+  queue.push(job.id);
+
+  writeJob(job);
+  pruneJobs();
+  runNext();
+  return publicJob(job);
+}
+
+/** Promise of the final record of a job of this process */
+export function jobFinished(id) {
+  return jobs.get(id)?.finished ?? Promise.resolve(readJob(id));
+}
+
+/** All recorded jobs (this process's and others'), newest first */
+export function listJobs() {
+  let files = [];
+  try {
+    files = fs.readdirSync(JOBS_DIR).filter((f) => f.endsWith(".json"));
+  } catch {
+    // no jobs yet
+  }
+
+  return files
+    .map((f) => readJob(f.slice(0, -".json".length)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/** One job, or null */
+export function getJob(id) {
+  return readJob(id);
+}
+
+/**
+ * Cancel a queued or running job of this process. Returns the
+ * job, or null when there is no such job here.
+ */
+export function cancelJob(id) {
+  const entry = jobs.get(id);
+  if (!entry) return null;
+
+  const { job } = entry;
+  if (job.state === "queued") {
+    queue.splice(queue.indexOf(id), 1);
+    finish(entry, "cancelled");
+  } else if (job.state === "running") {
+    entry.cancelled = true;
+  }
+  return publicJob(job);
+}
+
+/** Queue precaches of new / changed photos as the index finds them */
+export function startMediaJobs() {
+  if (process.env.MEDIA_AUTO_PRECACHE === "0") return;
+
+  onPhotosChanged((paths) => {
+    const pending = queue.map((id) => jobs.get(id).job).filter((j) => j.type === "precache");
+    // a whole-library precache still to come covers these too
+    if (pending.some((j) => !j.params.files && !j.params.path)) return;
+
+    // fold into a precache of new photos that hasn't started yet
+    const files = pending.find((j) => j.params.files);
+    const all = [...new Set([...(files?.params.files || []), ...paths])];
+
+    if (files && all.length <= AUTO_FILES_MAX) {
+      files.params.files = all;
+      files.reason = `${all.length} new or changed photo(s)`;
+      writeJob(files);
+    } else if (files) {
+      files.params = { prune: false };
+      files.reason = `${all.length} new or changed photos`;
+      writeJob(files);
+    } else if (paths.length > AUTO_FILES_MAX) {
+      enqueueJob("precache", { prune: false }, { reason: `${paths.length} new or changed photos` });
+    } else {
+      enqueueJob("precache", { files: paths }, { reason: `${paths.length} new or changed photo(s)` });
+    }
+  });
+}
+
+// ------------------------------------------------------------
+// Running
+// ------------------------------------------------------------
+
+async function runNext() {
+  if (running || !queue.length) return;
+
+  const entry = jobs.get(queue.shift());
+  const { job } = entry;
+  running = entry;
+
+  job.state = "running";
+  job.startedAt = new Date().toISOString();
+  writeJob(job);
+  log(`Media job ${job.id} (${job.type}) started${job.reason ? `: ${job.reason}` : ""}`);
+
+  try {
+    job.result = await JOB_TYPES[job.type](job.params, {
+      progress: (patch) => {
+        Object.assign(job.progress, patch);
+        saveSoon(entry);
+      },
+      error: (file, error) => {
+        job.errorCount++;
+        if (job.errors.length < MAX_ERRORS) job.errors.push({ file, error });
+        warn(`Media job ${job.id}: ${file}: ${error}`);
+        saveSoon(entry);
+      },
+      cancelled: () => entry.cancelled,
+    });
+    finish(entry, entry.cancelled ? "cancelled" : "done");
+  } catch (err) {
+    job.error = err.message;
+    warn(`Media job ${job.id} failed: ${err.message}`);
+    finish(entry, "failed");
+  }
+
+  running = null;
+  runNext();
+}
+
+function finish(entry, state) {
+  const { job } = entry;
+  clearTimeout(entry.saveTimer);
+  job.state = state;
+  job.finishedAt = new Date().toISOString();
+  writeJob(job);
+
+  if (state !== "failed") {
+    const r = job.result;
+    log(`Media job ${job.id} ${state}` + (r ? `: ${r.rendered} rendered, ${r.skipped} cached, ${r.failed} failed` : ""));
+  }
+  jobs.delete(job.id);
+  entry.resolve(publicJob(job));
+}
+
+function saveSoon(entry) {
+  if (entry.saveTimer) return;
+  entry.saveTimer = setTimeout(() => {
+    entry.saveTimer = null;
+    writeJob(entry.job);
+  }, SAVE_INTERVAL_MS);
+  entry.saveTimer.unref?.();
+}
+
+// ------------------------------------------------------------
+// Job files
+// ------------------------------------------------------------
+
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function writeJob(job) {
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const file = jobFile(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(publicJob(job), null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    warn(`Media job ${job.id} not saved: ${err.message}`);
+  }
+}
+
+function readJob(id) {
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  if (jobs.has(id)) return publicJob(jobs.get(id).job);
+
+  try {
+    const job = JSON.parse(fs.readFileSync(jobFile(id), "utf8"));
+    if (!FINISHED.includes(job.state) && !alive(job.pid)) job.state = "interrupted";
+    return job;
+  } catch {
+    return null;
+  }
+}
+
+function publicJob(job) {
+  return structuredClone(job);
+}
+
+// jobs of a process that is gone will never finish (this
+// process's own live jobs are in `jobs`)
+function alive(pid) {
+  if (pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+function pruneJobs() {
+  for (const job of listJobs().slice(KEEP_JOBS)) {
+    if (!FINISHED.includes(job.state)) continue;
+    fs.rmSync(jobFile(job.id), { force: true });
+  }
+}
@@ -0,0 +1,152 @@
+// ------------------------------------------------------------
+// 🧺 Media precache — render every derivative ahead of time
+// ------------------------------------------------------------
+//
+// Walks the photo index and makes sure each photo has a cached
+// derivative for every size profile the config's players are
+// sent (see imageProfiles), so the first showing of a new folder
+// is as fast as the hundredth:
+//
+//   - incremental: a photo whose content hash already has the
+//     profile's file is skipped (the index only re-hashes files
+//     whose size / mtime changed)
+//   - bounded: `concurrency` photos at a time, and never more
+//     renders than IMAGE_RENDER_CONCURRENCY
+//   - per-file errors are reported and the run goes on
+//   - each photo's attention focal point and perceptual hash
+//     are worked out too (image-focus.js, media-duplicates.js);
+//     a full run also hashes cached Drive / OneDrive downloads
+//   - a full run prunes the renders of photos that are gone
+//
+// Runs as a media job (media-jobs.js) from the server or
+// `casthub media precache`.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import { queryPhotos, scanPhotos, photoHash } from "../photos/photo-index.js";
+import {
+  imageProfiles,
+  resolvePhoto,
+  derivativeFile,
+  derivativePath,
+  pruneDerivatives,
+} from "../images/image-derivatives.js";
+import { photoFocus, pruneFocusPoints } from "../images/image-focus.js";
+import { photoPerceptualHash, hashCachedRemoteImages, prunePerceptualHashes } from "./media-duplicates.js";
+import { getLiveConfig } from "../slideshow/slideshow-live.js";
+
+export const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Precache derivatives.
+ *
+ *   params: { path, files, concurrency, prune }
+ *     path   folder under PHOTOS_DIR (default: the whole library)
+ *     files  explicit photo paths instead (new photos)
+ *     prune  drop orphaned renders (full runs only; default true)
+ *
+ *   job:    { progress(patch), error(file, message), cancelled() }
+ *
+ * → { photos, profiles, rendered, skipped, failed, pruned }
+ */
+export async function precacheMedia(params = {}, job = {}) {
+  const progress = job.progress || (() => {});
+  const fail = job.error || (() => {});
+  const cancelled = job.cancelled || (() => false);
+
+  const profiles = imageProfiles(getLiveConfig());
+  const full = !params.files && !params.path;
+
+  let photos;
+  if (params.files) {
+    photos = params.files;
+  } else {
+    await scanPhotos(params.path || "");
+    const query = { path: params.path || "", recursive: true };
+    photos = (await queryPhotos(query, { wait: true })).map((p) => p.path);
+  }
+
+  const stats = { photos: photos.length, profiles: profiles.length, rendered: 0, skipped: 0, failed: 0, pruned: 0 };
+  const total = photos.length * profiles.length;
+  let done = 0;
+  progress({ total, done });
+
+  if (!profiles.length) return stats;
+
+  const live = new Set();
+  const queue = [...photos];
+  const workers = Array.from({ length: Math.max(1, params.concurrency || DEFAULT_CONCURRENCY) }, async () => {
+    while (queue.length && !cancelled()) {
+      const rel = queue.shift();
+      progress({ current: rel });
+
+      const photo = resolvePhoto(rel);
+      if (!photo) {
+        stats.failed++;
+        done += profiles.length;
+        fail(rel, "not found");
+        progress({ done });
+        continue;
+      }
+
+      let hash;
+      try {
+        hash = await photoHash(photo.rel, photo.stat);
+        live.add(hash);
+      } catch (err) {
+        stats.failed++;
+        done += profiles.length;
+        fail(rel, err.message);
+        progress({ done });
+        continue;
+      }
+
+      for (const options of profiles) {
+        try {
+          if (fs.existsSync(derivativePath(hash, options))) {
+            stats.skipped++;
+          } else if ((await derivativeFile(photo, options)) === photo.abs) {
+            // animated GIF: served as is
+            stats.skipped++;
+          } else {
+            stats.rendered++;
+          }
+        } catch (err) {
+          stats.failed++;
+          fail(rel, `${profileName(options)}: ${err.message}`);
+        }
+        done++;
+        progress({ done });
+      }
+
+      try {
+        await photoFocus(photo);
+      } catch (err) {
+        stats.failed++;
+        fail(rel, `focal point: ${err.message}`);
+      }
+      try {
+        await photoPerceptualHash(photo);
+      } catch (err) {
+        stats.failed++;
+        fail(rel, `perceptual hash: ${err.message}`);
+      }
+    }
+  });
+  await Promise.all(workers);
+
+  progress({ current: null });
+  if (full && !cancelled()) await hashCachedRemoteImages({ cancelled });
+  if (full && params.prune !== false && !cancelled()) {
+    stats.pruned = pruneDerivatives(live);
+    pruneFocusPoints(live);
+    prunePerceptualHashes(live);
+  }
+  return stats;
+}
+
+/** "1920x1080 webp q82" */
+export function profileName({ width, height, fit, format, quality }) {
+  const box = width || height ? `${width || "auto"}x${height || "auto"}` : "full size";
+  return `${box}${fit !== "inside" ? ` ${fit}` : ""} ${format} q${quality}`;
+}
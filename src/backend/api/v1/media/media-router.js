@@ -0,0 +1,90 @@
+// ------------------------------------------------------------
+// 🧾 Media Router (API v1) — media jobs, duplicates
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import { listJobs, getJob, enqueueJob, cancelJob } from "./media-jobs.js";
+import { findDuplicates, DEFAULT_THRESHOLD, REMOTE_SOURCES } from "./media-duplicates.js";
+
+const router = Router();
+
+function sendError(res, err) {
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+// GET /api/v1/media/jobs?state=running
+// Recorded jobs, newest first (CLI runs included)
+router.get("/jobs", (req, res) => {
+  let jobs = listJobs();
+  if (req.query.state) jobs = jobs.filter((j) => j.state === req.query.state);
+  res.json({ ok: true, count: jobs.length, jobs });
+});
+
+// GET /api/v1/media/jobs/:id
+router.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: `No job '${req.params.id}'` });
+  res.json({ ok: true, job });
+});
+
+// POST /api/v1/media/jobs
+// Body: { type: "precache", path?, concurrency?, prune? }
+// Queues the job and returns at once (poll GET /jobs/:id)
+router.post("/jobs", (req, res) => {
+  const { type = "precache", path = "", concurrency, prune } = req.body || {};
+
+  if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 16)) {
+    return res.status(400).json({ error: "concurrency must be 1..16" });
+  }
+  if (prune !== undefined && typeof prune !== "boolean") {
+    return res.status(400).json({ error: "prune must be true or false" });
+  }
+  if (typeof path !== "string" || path.split("/").some((p) => p === ".." || p.startsWith("."))) {
+    return res.status(400).json({ error: "path must be a folder under the photo library" });
+  }
+
+  try {
+    const job = enqueueJob(type, { path: path.replace(/^\/+|\/+$/g, ""), concurrency, prune }, { reason: "api" });
+    res.status(202).json({ ok: true, job });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// DELETE /api/v1/media/jobs/:id
+// Cancels a queued or running job (of the server; a CLI run is
+// stopped with Ctrl-C)
+router.delete("/jobs/:id", (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (job) return res.json({ ok: true, job });
+
+  const known = getJob(req.params.id);
+  if (!known) return res.status(404).json({ error: `No job '${req.params.id}'` });
+  res.status(409).json({ error: `Job '${known.id}' is ${known.state}${known.state === "running" ? " in another process" : ""}` });
+});
+
+// GET /api/v1/media/duplicates?threshold=6&source=local,google
+// Clusters of look-alike images (local photos, and Drive /
+// OneDrive images the hub has downloaded)
+router.get("/duplicates", async (req, res) => {
+  const threshold = req.query.threshold === undefined ? DEFAULT_THRESHOLD : Number(req.query.threshold);
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > 64) {
+    return res.status(400).json({ error: "threshold must be 0..64" });
+  }
+
+  const known = ["local", ...REMOTE_SOURCES];
+  const sources = req.query.source ? [req.query.source].flat().flatMap((s) => String(s).split(",")) : null;
+  const unknown = sources?.find((s) => !known.includes(s));
+  if (unknown) {
+    return res.status(400).json({ error: `source must be one of: ${known.join(", ")}` });
+  }
+
+  try {
+    const { hashed, clusters } = await findDuplicates({ threshold, sources });
+    res.json({ ok: true, threshold, hashed, count: clusters.length, clusters });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,470 @@
+// ------------------------------------------------------------
+// 🗃️ Local Photo Index (PHOTOS_DIR, recursive, watched)
+// ------------------------------------------------------------
+//
+// Every photo under PHOTOS_DIR with its metadata:
+//
+//   { path, folder, name, size, mtime, width, height,
+//     orientation (landscape | portrait | square),
+//     taken, takenOffset, takenFrom (exif | name | file),
+//     make, model, camera, lens, gps, keywords, hash }
+//
+// `path` is relative to PHOTOS_DIR (what players put after
+// /media/photos/); width / height are as displayed, after the
+// EXIF rotation. `taken` is local wall-clock time: from EXIF,
+// else a date in the file name ("20250302-055A2848.jpg",
+// "IMG_20240501_102030.jpg"), else the file's mtime.
+//
+// The server scans in the background at startup, then follows
+// fs.watch events; a periodic rescan (PHOTO_RESCAN_MINUTES,
+// default 60, 0 = off) catches what watching misses — network
+// shares often send no events. Unchanged files (same size and
+// mtime) are never re-read. The index persists in
+// runtime/cache/photo-index.json.
+//
+// `hash` (SHA-1 of the file) keys the derivative cache, so a
+// re-copied or duplicated photo is never rendered twice.
+//
+// folder slides query it (see queryPhotos / photoQuery);
+// onPhotosChanged() tells the media jobs what to precache.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import sharp from "sharp";
+import { minimatch } from "minimatch";
+import { PHOTOS_DIR, RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { readPhotoMetadata } from "../../../shared/exif.js";
+import { log, warn } from "../../../shared/log.js";
+
+export const PHOTO_EXTS = ["jpg", "jpeg", "png", "webp", "gif"];
+export const ORIENTATIONS = ["landscape", "portrait", "square"];
+
+const PHOTO_RE = new RegExp(`\\.(${PHOTO_EXTS.join("|")})$`, "i");
+const WATCH_DEBOUNCE_MS = 2000;
+const RESCAN_MINUTES = Number(process.env.PHOTO_RESCAN_MINUTES ?? 60);
+
+// Bumped when entries gain fields: every photo is read again
+const INDEX_VERSION = 3;
+
+// YYYYMMDD / YYYY-MM-DD / YYYY_MM_DD, optionally followed by
+// HHMMSS / HH-MM-SS, not inside a longer number
+const NAME_DATE_RE =
+  /(?<!\d)((?:19|20)\d\d)[-_.]?(\d\d)[-_.]?(\d\d)(?:[-_ T]?(\d\d)[-_.:]?(\d\d)[-_.:]?(\d\d))?(?!\d)/;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "photo-index.json"), {
+  label: "Photo index",
+});
+
+let scanning = null;
+let watcher = null;
+let rescanTimer = null;
+const pending = new Set();
+let pendingTimer = null;
+let lastScan = null;
+const listeners = new Set();
+
+function index() {
+  const data = store.load();
+  if (data.version !== INDEX_VERSION) {
+    data.version = INDEX_VERSION;
+    data.photos = {};
+    delete data.scannedAt;
+  }
+  return data;
+}
+
+// ------------------------------------------------------------
+// Background indexer
+// ------------------------------------------------------------
+
+/** Scan now, then keep the index current (server startup) */
+export function startPhotoIndexer() {
+  if (watcher || rescanTimer) return;
+
+  scanPhotos().catch((err) => warn(`Photo index scan failed: ${err.message}`));
+
+  try {
+    watcher = fs.watch(PHOTOS_DIR, { recursive: true }, (event, filename) => {
+      if (!filename) return;
+      pending.add(filename.split(path.sep).join("/"));
+      clearTimeout(pendingTimer);
+      pendingTimer = setTimeout(flushPending, WATCH_DEBOUNCE_MS);
+    });
+    watcher.on("error", (err) => {
+      warn(`Photo watcher stopped (${err.message}) — relying on periodic rescans`);
+      watcher?.close();
+      watcher = null;
+    });
+  } catch (err) {
+    warn(`Cannot watch ${PHOTOS_DIR} (${err.message}) — relying on periodic rescans`);
+  }
+
+  if (RESCAN_MINUTES > 0) {
+    rescanTimer = setInterval(() => {
+      scanPhotos().catch((err) => warn(`Photo index rescan failed: ${err.message}`));
+    }, RESCAN_MINUTES * 60 * 1000);
+    rescanTimer.unref?.();
+  }
+}
+
+/**
+ * Walk PHOTOS_DIR (or one sub-folder) and bring the index up
+ * to date. Concurrent calls share one scan.
+ */
+export function scanPhotos(sub = "") {
+  if (scanning) return scanning;
+
+  scanning = (async () => {
+    const started = Date.now();
+    const data = index();
+    const seen = new Set();
+    const changed = [];
+
+    for (const rel of walk(sub)) {
+      seen.add(rel);
+      if (await indexPhoto(rel, data)) changed.push(rel);
+    }
+    const read = changed.length;
+
+    // Photos gone from disk
+    const prefix = sub ? `${sub.replace(/\/+$/, "")}/` : "";
+    let removed = 0;
+    for (const rel of Object.keys(data.photos)) {
+      if (rel.startsWith(prefix) && !seen.has(rel)) {
+        delete data.photos[rel];
+        removed++;
+      }
+    }
+
+    if (!sub) {
+      data.scannedAt = new Date().toISOString();
+      lastScan = { at: data.scannedAt, ms: Date.now() - started, read, removed };
+    }
+    store.save();
+
+    if (read || removed) {
+      log(`Photo index: ${seen.size} photo(s) under '${sub || "."}', ${read} (re)read, ${removed} removed`);
+    }
+    emitChanged(changed);
+    return seen.size;
+  })().finally(() => {
+    scanning = null;
+  });
+
+  return scanning;
+}
+
+async function flushPending() {
+  const paths = [...pending];
+  pending.clear();
+
+  // Let a running scan finish first; it may cover these already
+  if (scanning) await scanning.catch(() => {});
+
+  const data = index();
+  const changed = [];
+  for (const rel of paths) {
+    const abs = path.join(PHOTOS_DIR, rel);
+    let st = null;
+    try {
+      st = fs.statSync(abs);
+    } catch {
+      // deleted — a photo, or a folder full of them
+      delete data.photos[rel];
+      for (const key of Object.keys(data.photos)) {
+        if (key.startsWith(`${rel}/`)) delete data.photos[key];
+      }
+      continue;
+    }
+
+    if (st.isDirectory()) await scanPhotos(rel).catch(() => {});
+    else if (await indexPhoto(rel, data)) changed.push(rel);
+  }
+  store.save();
+  emitChanged(changed);
+}
+
+/**
+ * Call `listener(paths)` with the photos that were added or
+ * changed, after each scan / batch of watch events. Returns an
+ * unsubscribe function.
+ */
+export function onPhotosChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emitChanged(paths) {
+  if (!paths.length) return;
+  for (const listener of listeners) {
+    try {
+      listener(paths);
+    } catch (err) {
+      warn(`Photo change listener failed: ${err.message}`);
+    }
+  }
+}
+
+// Relative paths of every photo under `sub`
+function* walk(sub) {
+  const stack = [sub];
+  while (stack.length) {
+    const rel = stack.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(PHOTOS_DIR, rel), { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const e of entries) {
+      if (e.name.startsWith(".")) continue;
+      const child = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) stack.push(child);
+      else if (e.isFile() && PHOTO_RE.test(e.name)) yield child;
+    }
+  }
+}
+
+// (Re)reads one photo when new or changed; true if it was read
+async function indexPhoto(rel, data) {
+  if (!PHOTO_RE.test(rel)) return false;
+
+  const abs = path.join(PHOTOS_DIR, rel);
+  let st;
+  try {
+    st = fs.statSync(abs);
+  } catch {
+    delete data.photos[rel];
+    return false;
+  }
+
+  const known = data.photos[rel];
+  if (known && known.size === st.size && known.mtime === st.mtime.toISOString()) return false;
+
+  data.photos[rel] = await describePhoto(rel, st);
+  return true;
+}
+
+async function describePhoto(rel, st) {
+  const entry = {
+    path: rel,
+    folder: path.posix.dirname(rel) === "." ? "" : path.posix.dirname(rel),
+    name: path.posix.basename(rel),
+    size: st.size,
+    mtime: st.mtime.toISOString(),
+  };
+
+  try {
+    const abs = path.join(PHOTOS_DIR, rel);
+    const meta = await sharp(abs).metadata();
+    const exif = readPhotoMetadata(meta);
+    const named = exif.taken ? null : nameDate(entry.name);
+
+    // 5–8 are the rotated-by-90° orientations
+    const turned = (exif.orientation ?? 1) >= 5;
+    const width = turned ? meta.height : meta.width;
+    const height = turned ? meta.width : meta.height;
+
+    return {
+      ...entry,
+      width,
+      height,
+      orientation: width > height ? "landscape" : width < height ? "portrait" : "square",
+      taken: exif.taken ?? named ?? localTime(st.mtime),
+      takenOffset: exif.takenOffset,
+      takenFrom: exif.taken ? "exif" : named ? "name" : "file",
+      make: exif.make,
+      model: exif.model,
+      camera: cameraName(exif.make, exif.model),
+      lens: exif.lens,
+      gps: exif.gps,
+      keywords: exif.keywords,
+      hash: await hashFile(abs),
+    };
+  } catch (err) {
+    const named = nameDate(entry.name);
+    return {
+      ...entry,
+      taken: named ?? localTime(st.mtime),
+      takenFrom: named ? "name" : "file",
+      keywords: [],
+      error: err.message,
+    };
+  }
+}
+
+/**
+ * SHA-1 of photo `rel` — the indexed one while size and mtime
+ * still match `st`, else read now.
+ */
+export async function photoHash(rel, st) {
+  const known = index().photos[rel];
+  if (known?.hash && known.size === st.size && known.mtime === st.mtime.toISOString()) {
+    return known.hash;
+  }
+  return hashFile(path.join(PHOTOS_DIR, rel));
+}
+
+async function hashFile(abs) {
+  const hash = crypto.createHash("sha1");
+  await pipeline(fs.createReadStream(abs), hash);
+  return hash.digest("hex");
+}
+
+// "20250302-055A2848.jpg" → "2025-03-02T00:00:00"
+function nameDate(name) {
+  const m = name.match(NAME_DATE_RE);
+  if (!m) return null;
+
+  const [y, mo, d, h = "00", mi = "00", s = "00"] = m.slice(1);
+  const date = new Date(Date.UTC(+y, +mo - 1, +d));
+  if (date.getUTCMonth() !== +mo - 1 || date.getUTCDate() !== +d) return null;
+  if (+h > 23 || +mi > 59 || +s > 59) return null;
+
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+}
+
+// "Canon" + "Canon EOS R5" → "Canon EOS R5"
+function cameraName(make, model) {
+  if (!model) return make;
+  if (!make || model.toLowerCase().startsWith(make.split(" ")[0].toLowerCase())) return model;
+  return `${make} ${model}`;
+}
+
+function localTime(date) {
+  const p = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${p(date.getMonth() + 1)}-${p(date.getDate())}` +
+    `T${p(date.getHours())}:${p(date.getMinutes())}:${p(date.getSeconds())}`
+  );
+}
+
+export function photoIndexStatus() {
+  const data = index();
+  return {
+    root: PHOTOS_DIR,
+    count: Object.keys(data.photos).length,
+    scannedAt: data.scannedAt ?? null,
+    scanning: Boolean(scanning),
+    watching: Boolean(watcher),
+    rescanMinutes: RESCAN_MINUTES,
+    lastScan,
+    unreadable: Object.values(data.photos).filter((p) => p.error).length,
+  };
+}
+
+/** True until the first full scan of PHOTOS_DIR has finished */
+export function photoIndexBuilding() {
+  return !index().scannedAt;
+}
+
+/** Write pending index changes now (before a CLI run exits) */
+export function flushPhotoIndex() {
+  store.flush();
+}
+
+// ------------------------------------------------------------
+// Queries
+// ------------------------------------------------------------
+
+/**
+ * Photo filters of a folder slide:
+ *
+ *   path           sub-folder of PHOTOS_DIR; may be a glob
+ *                  ("trips/2024-*")
+ *   recursive      include sub-folders
+ *   match          file name glob(s), e.g. "IMG_*"
+ *   taken_after    YYYY-MM-DD or date-time (inclusive)
+ *   taken_before   YYYY-MM-DD or date-time (exclusive)
+ *   camera         camera name(s), e.g. "iPhone" (substring)
+ *   orientation    landscape | portrait | square
+ *   keywords       keyword(s); a photo needs one of them
+ */
+export function photoQuery(slide) {
+  return {
+    path: slide.path ?? "",
+    recursive: slide.recursive === true,
+    match: slide.match,
+    takenAfter: slide.taken_after,
+    takenBefore: slide.taken_before,
+    camera: slide.camera,
+    orientation: slide.orientation,
+    keywords: slide.keywords,
+  };
+}
+
+/**
+ * Index entries matching a photoQuery(), sorted by path. Before
+ * the first scan has finished this starts it in the background
+ * and answers from the photos read so far (a big library on a Pi
+ * takes minutes); `wait` waits for it instead (CLI).
+ */
+export async function queryPhotos(query = {}, { wait = false } = {}) {
+  if (photoIndexBuilding()) {
+    const scan = scanPhotos();
+    if (wait) await scan;
+    else scan.catch((err) => warn(`Photo index scan failed: ${err.message}`));
+  }
+
+  return Object.values(index().photos)
+    .filter(photoFilter(query))
+    .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true }));
+}
+
+function photoFilter({
+  path: folder = "",
+  recursive = false,
+  match,
+  takenAfter,
+  takenBefore,
+  camera,
+  orientation,
+  keywords,
+}) {
+  const dir = String(folder || "").replace(/^\/+|\/+$/g, "");
+  const dirGlob = /[*?[{]/.test(dir);
+  const inFolder = (f) => {
+    if (dirGlob) {
+      return minimatch(f, dir) || (recursive && minimatch(f, `${dir}/**`));
+    }
+    return f === dir || (recursive && (dir === "" || f.startsWith(`${dir}/`)));
+  };
+
+  const globs = list(match);
+  const cameras = list(camera).map((c) => c.toLowerCase());
+  const wanted = list(keywords).map((k) => k.toLowerCase());
+  const after = wallClock(takenAfter);
+  const before = wallClock(takenBefore);
+
+  return (p) => {
+    if (!inFolder(p.folder)) return false;
+    if (globs.length && !globs.some((g) => minimatch(p.name, g, { nocase: true }))) return false;
+    if (orientation && p.orientation !== orientation) return false;
+    if (cameras.length && !cameras.some((c) => (p.camera || "").toLowerCase().includes(c))) {
+      return false;
+    }
+    if (wanted.length && !p.keywords?.some((k) => wanted.includes(k.toLowerCase()))) return false;
+    if (after && !(p.taken >= after)) return false;
+    if (before && !(p.taken < before)) return false;
+    return true;
+  };
+}
+
+// Filter bound → "YYYY-MM-DDTHH:MM:SS" (YAML dates arrive as
+// Date objects at UTC midnight)
+function wallClock(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  const m = s.match(/^(\d{4}-\d\d-\d\d)(?:[T ](\d\d:\d\d(?::\d\d)?))?/);
+  if (!m) return null;
+  const time = m[2] ? (m[2].length === 5 ? `${m[2]}:00` : m[2]) : "00:00:00";
+  return `${m[1]}T${time}`;
+}
+
+function list(v) {
+  return [v].flat().filter((x) => x !== undefined && x !== null && x !== "").map(String);
+}
@@ -0,0 +1,64 @@
+// ------------------------------------------------------------
+// 🗃️ Photos Router (API v1) — the local photo index
+// ------------------------------------------------------------
+
+import { Router } from "express";
+import { queryPhotos, photoQuery, photoIndexStatus, photoIndexBuilding, scanPhotos } from "./photo-index.js";
+
+const router = Router();
+
+const DEFAULT_LIMIT = 500;
+
+// GET /api/v1/photos?path=trips&recursive=true&taken_after=2024-06-01
+//   &camera=iPhone&orientation=portrait&keywords=beach&match=IMG_*&limit=100
+// Same filters as a folder slide (see photoQuery); lists may be
+// given as repeated parameters or comma-separated
+router.get("/", async (req, res) => {
+  try {
+    const q = req.query;
+    const listParam = (v) => (v === undefined ? undefined : [v].flat().flatMap((x) => String(x).split(",")));
+
+    const photos = await queryPhotos(
+      photoQuery({
+        path: q.path,
+        recursive: q.recursive === "true" || q.recursive === "1",
+        match: listParam(q.match),
+        taken_after: q.taken_after,
+        taken_before: q.taken_before,
+        camera: listParam(q.camera),
+        orientation: q.orientation,
+        keywords: listParam(q.keywords),
+      })
+    );
+
+    const limit = Number(q.limit) > 0 ? Number(q.limit) : DEFAULT_LIMIT;
+    // building: the first scan is still running, photos are partial
+    res.json({
+      ok: true,
+      building: photoIndexBuilding(),
+      count: photos.length,
+      photos: photos.slice(0, limit),
+    });
+  } catch (err) {
+    console.error("❌ Photo query error:", err);
+    res.status(500).json({ error: err.message || "Photo query error" });
+  }
+});
+
+// GET /api/v1/photos/status
+router.get("/status", (req, res) => {
+  res.json({ ok: true, ...photoIndexStatus() });
+});
+
+// POST /api/v1/photos/rescan
+// Full rescan now (only new / changed files are read)
+router.post("/rescan", async (req, res) => {
+  try {
+    await scanPhotos();
+    res.json({ ok: true, ...photoIndexStatus() });
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Rescan error" });
+  }
+});
+
+export default router;
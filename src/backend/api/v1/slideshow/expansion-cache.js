@@ -0,0 +1,161 @@
+// ------------------------------------------------------------
+// 🗄️ Expansion Cache (folder listings per slideshow + source)
+// ------------------------------------------------------------
+//
+// Local folders, Google Drive and OneDrive listings are cached
+// so a player request doesn't re-list every source:
+//
+//   age < ttl                        → served as is
+//   ttl ≤ age < ttl + stale window   → served, refreshed in the
+//                                      background
+//   older / never listed             → listed, caller waits
+//
+// A failed listing never replaces a good one: the last good
+// listing is served (however old) and the failure recorded.
+// Last good listings survive restarts in
+// runtime/cache/expansions.json.
+//
+//   cache:
+//     ttl: { local: 60, google-drive: 900, one-drive: 900 }
+//     stale_while_revalidate: 3600
+// ------------------------------------------------------------
+
+import path from "path";
+import { RUNTIME_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { warn } from "../../../shared/log.js";
+
+export const CACHE_SOURCES = ["local", "google-drive", "one-drive"];
+
+const DEFAULT_TTL_SECONDS = { local: 60, "google-drive": 900, "one-drive": 900 };
+const DEFAULT_STALE_SECONDS = 3600;
+
+// Entries nobody asked for in a week (folder changed, slide
+// deleted) are dropped
+const UNUSED_MAX_AGE_MS = 7 * 24 * 3600 * 1000;
+
+const store = createJsonStore(path.join(RUNTIME_DIR, "cache", "expansions.json"), {
+  label: "Expansion cache",
+});
+
+// key → Promise of the listing in flight
+const inFlight = new Map();
+
+/** Effective TTLs from the config's cache: section */
+export function cacheSettings(config = {}) {
+  const cfg = config.cache || {};
+  return {
+    ttl: { ...DEFAULT_TTL_SECONDS, ...(cfg.ttl || {}) },
+    stale: cfg.stale_while_revalidate ?? DEFAULT_STALE_SECONDS,
+  };
+}
+
+/**
+ * Listing of one source for one slideshow. `params` identify
+ * the listing (folder ID, path, …); `list()` fetches it.
+ *
+ * Returns { items, state, listedAt, error } — state is fresh,
+ * stale, listed or fallback (a failed listing, last good one
+ * served; `error` says why).
+ */
+export async function cachedListing({ slideshow, source, params }, list, settings) {
+  const key = JSON.stringify([slideshow, source, params]);
+  const entries = store.load();
+  const entry = entries[key];
+
+  const ttlMs = (settings.ttl[source] ?? 0) * 1000;
+  const staleMs = settings.stale * 1000;
+  const age = entry ? Date.now() - Date.parse(entry.listedAt) : Infinity;
+
+  if (entry) {
+    entry.usedAt = new Date().toISOString();
+    store.save();
+  }
+
+  if (entry && age < ttlMs) {
+    return { items: entry.items, state: "fresh", listedAt: entry.listedAt };
+  }
+
+  if (entry && age < ttlMs + staleMs) {
+    refresh(key, { slideshow, source, params }, list).catch(() => {});
+    return { items: entry.items, state: "stale", listedAt: entry.listedAt };
+  }
+
+  try {
+    const items = await refresh(key, { slideshow, source, params }, list);
+    return { items, state: "listed", listedAt: entries[key].listedAt };
+  } catch (err) {
+    if (!entry) throw err;
+    return {
+      items: entry.items,
+      state: "fallback",
+      listedAt: entry.listedAt,
+      error: err.message,
+    };
+  }
+}
+
+function refresh(key, meta, list) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const job = (async () => {
+    const entries = store.load();
+    try {
+      const items = await list();
+      const now = new Date().toISOString();
+      entries[key] = { ...meta, items, listedAt: now, usedAt: now };
+      return items;
+    } catch (err) {
+      if (entries[key]) {
+        entries[key].error = err.message;
+        entries[key].errorAt = new Date().toISOString();
+        warn(`${meta.source} listing failed for '${meta.slideshow}' — keeping last good: ${err.message}`);
+      }
+      throw err;
+    } finally {
+      inFlight.delete(key);
+      prune(entries);
+      store.save();
+    }
+  })();
+
+  inFlight.set(key, job);
+  return job;
+}
+
+function prune(entries) {
+  const cutoff = Date.now() - UNUSED_MAX_AGE_MS;
+  for (const [key, entry] of Object.entries(entries)) {
+    if (Date.parse(entry.usedAt || entry.listedAt) < cutoff) delete entries[key];
+  }
+}
+
+// ------------------------------------------------------------
+// Inspection / invalidation (GET / DELETE /api/v1/slideshow/cache)
+// ------------------------------------------------------------
+
+export function listExpansionCache() {
+  return Object.values(store.load()).map(({ items, ...entry }) => ({
+    ...entry,
+    count: items.length,
+  }));
+}
+
+/**
+ * Forget cached listings — all, or those of one slideshow
+ * and/or source. Returns how many were dropped.
+ */
+export function invalidateExpansionCache({ slideshow, source } = {}) {
+  const entries = store.load();
+  let dropped = 0;
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (slideshow && entry.slideshow !== slideshow) continue;
+    if (source && entry.source !== source) continue;
+    delete entries[key];
+    dropped++;
+  }
+
+  if (dropped) store.save();
+  return dropped;
+}
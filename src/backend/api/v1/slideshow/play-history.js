@@ -0,0 +1,68 @@
+// ------------------------------------------------------------
+// 📜 Play History
+// ------------------------------------------------------------
+//
+// Players report each slide they show (POST /played); the hub
+// keeps, per slide key, when it was last shown and how often.
+// Persisted to <database>/play-history.json (or the
+// play_history table with CONFIG_STORE=sqlite) so fairness
+// survives restarts.
+//
+// Key: the expanded file (local path, Drive/OneDrive URL) when
+// there is one, else the slide ID. Expanded slides also count
+// toward their master slide ID (parentId), which is what
+// max_plays checks.
+// ------------------------------------------------------------
+
+import path from "path";
+import { DATABASE_DIR } from "../../../shared/paths.js";
+import { createJsonStore } from "../../../shared/json-store.js";
+import { usingSqlite, createTableStore } from "../../../shared/db.js";
+
+const HISTORY_FILE = path.join(DATABASE_DIR, "play-history.json");
+
+// key → { lastShown, count }
+const store = usingSqlite()
+  ? createTableStore("play_history", {
+      key: "key",
+      toRow: (key, e) => ({ key, last_shown: e.lastShown, count: e.count }),
+      fromRow: (r) => ({ lastShown: r.last_shown, count: r.count }),
+      seedFrom: HISTORY_FILE,
+    })
+  : createJsonStore(HISTORY_FILE, { label: "Play history" });
+
+export function playKey(slide) {
+  return slide?.file || slide?.id || null;
+}
+
+export function recordPlay(slide, at = Date.now()) {
+  const key = playKey(slide);
+  if (!key) return null;
+
+  const entry = bump(key, at);
+
+  const masterId = slide.parentId || slide.id;
+  if (masterId && masterId !== key) bump(masterId, at);
+
+  store.save();
+  return entry;
+}
+
+function bump(key, at) {
+  const h = store.load();
+  const entry = h[key] || { lastShown: 0, count: 0 };
+  entry.lastShown = at;
+  entry.count += 1;
+  h[key] = entry;
+  return entry;
+}
+
+export function getPlay(slide) {
+  const key = playKey(slide);
+  return (key && store.load()[key]) || null;
+}
+
+/** How often any instance of a master slide has been shown */
+export function getSlidePlays(slideId) {
+  return store.load()[slideId]?.count || 0;
+}
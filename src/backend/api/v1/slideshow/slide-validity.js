@@ -0,0 +1,93 @@
+// ------------------------------------------------------------
+// ⏳ Slide Validity (valid_from / valid_until / max_plays)
+// ------------------------------------------------------------
+//
+// Temporary slides carry their own expiry instead of being
+// commented out after the event:
+//
+//   - id: christmas_movie_1
+//     valid_from: "12-01"        # MM-DD recurs every year
+//     valid_until: "01-02"       # inclusive, may wrap new year
+//   - id: goldman1
+//     valid_until: "2026-06-30"  # YYYY-MM-DD: once
+//     max_plays: 500             # retire after 500 showings
+//
+// Dates are whole days in the slideshow's timezone. Inactive
+// slides are dropped during expansion (entries and mux panels
+// alike); the validator warns about expired ones.
+// ------------------------------------------------------------
+
+import {
+  isWithinDates,
+  localMidnights,
+  parseScheduleDate,
+} from "./slideshow-schedule.js";
+import { getSlidePlays } from "./play-history.js";
+
+/**
+ * { active: true } or { active: false, expired, reason }.
+ * `expired` means the slide will never play again (a dated
+ * valid_until has passed, or max_plays is used up).
+ */
+export function slideStatus(raw, { now = new Date(), timezone }) {
+  const from = raw.valid_from;
+  const until = raw.valid_until;
+
+  if (from || until) {
+    if (until && parseScheduleDate(until)?.year && !isWithinDates(null, until, now, timezone)) {
+      return { active: false, expired: true, reason: `expired after ${formatDate(until)}` };
+    }
+    if (from && parseScheduleDate(from)?.year && !isWithinDates(from, null, now, timezone)) {
+      return { active: false, expired: false, reason: `not valid before ${formatDate(from)}` };
+    }
+    if (!isWithinDates(from, until, now, timezone)) {
+      return {
+        active: false,
+        expired: false,
+        reason: `outside ${formatDate(from) || "…"} – ${formatDate(until) || "…"}`,
+      };
+    }
+  }
+
+  if (raw.max_plays) {
+    const plays = getSlidePlays(raw.id);
+    if (plays >= raw.max_plays) {
+      return { active: false, expired: true, reason: `played ${plays} of ${raw.max_plays} times` };
+    }
+  }
+
+  return { active: true };
+}
+
+export function isSlideActive(raw, ctx) {
+  return slideStatus(raw, ctx).active;
+}
+
+/**
+ * Next instant (ISO) at which any dated slide switches between
+ * active and inactive, or null. max_plays changes are pushed
+ * when plays are reported instead.
+ */
+export function nextValidityChange(slides, { now = new Date(), timezone }) {
+  const dated = slides.filter((s) => s && (s.valid_from || s.valid_until));
+  if (dated.length === 0) return null;
+
+  const inWindow = (s, instant) =>
+    isWithinDates(s.valid_from, s.valid_until, instant, timezone);
+
+  const current = dated.map((s) => inWindow(s, now));
+
+  for (const midnight of localMidnights(now, timezone)) {
+    if (dated.some((s, i) => inWindow(s, midnight) !== current[i])) {
+      return midnight.toISOString();
+    }
+  }
+
+  return null;
+}
+
+// js-yaml turns unquoted YYYY-MM-DD into a Date
+function formatDate(value) {
+  if (!value) return "";
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+}
@@ -0,0 +1,261 @@
+// ------------------------------------------------------------
+// 🧭 Slideshow Entry Resolution
+// ------------------------------------------------------------
+//
+// Works out WHICH master slides a slideshow plays, before any
+// provider expansion:
+//
+//   1. extends:   inherit another slideshow's include list,
+//                 overrides, vars and schedule, then apply
+//                 add: [...] / remove: [...]
+//   2. schedule:  an active block replaces the include list
+//   3. @name:     an include entry pulls in another slideshow
+//   4. queries:   "tag:weather -tag:live" etc. pick master slides
+//                 (see slideshow-query.js)
+//
+//   kitchen:
+//     extends: renovation_tour
+//     remove: [ bath_during ]
+//     add: [ pause_1, "@business_cards_show" ]
+//     overrides:
+//       kb3: { duration: 6 }
+//
+// (@ is reserved in YAML, so quote @name entries.)
+//
+// Every entry remembers where it came from so expanded slides
+// can report their origin. Cycles (extends or @refs) are
+// skipped with a warning; the validator reports them as errors.
+// ------------------------------------------------------------
+
+import { warn } from "../../../shared/log.js";
+import { evaluateSchedule, resolveTimezone } from "./slideshow-schedule.js";
+import { isSlideQuery, selectSlides } from "./slideshow-query.js";
+
+// Keys handled here rather than inherited verbatim
+const INHERIT_KEYS = ["extends", "add", "remove", "include", "overrides", "schedule", "vars"];
+
+// ------------------------------------------------------------
+// PUBLIC: entry point for a slideshow at a given instant
+// ------------------------------------------------------------
+//
+// Own include → default include → whole library, as
+// buildSlideshowForClient() has always done.
+//
+// Returns:
+//   clientCfg  — effective slideshow config (include/overrides)
+//   entries    — [{ id, overrides, origin: { slideshow, via, query? } }]
+//   entryIds   — entries[].id
+//   schedule   — { timezone, block, until } or null; `until` is
+//                also the earliest change of an @included
+//                slideshow's schedule
+//
+export function resolveSlideshowEntry(slideshow, config, now = new Date()) {
+  const master = config.slides || [];
+  const ctx = { config, now, nestedUntil: [] };
+
+  const { cfg, schedule: own } = effectiveSlideshow(slideshow, ctx);
+
+  let include = cfg.include;
+  if (!include && slideshow !== "default") {
+    const fallback = effectiveSlideshow("default", ctx);
+    include = fallback.cfg.include;
+    if (fallback.schedule?.until) ctx.nestedUntil.push(fallback.schedule.until);
+  }
+  if (!include || include.length === 0) {
+    include = master.map((s) => ({ ref: s.id, from: slideshow }));
+  }
+
+  const entries = [];
+  expandRefs(include, cfg.overrides, [slideshow], entries, ctx);
+
+  const clientCfg = {
+    ...cfg,
+    include: include.map((e) => e.ref),
+  };
+
+  // An @included slideshow switching blocks changes this one too
+  let schedule = own;
+  const until = [own?.until, ...ctx.nestedUntil].filter(Boolean).sort()[0] || null;
+  if (until !== (own?.until ?? null)) {
+    schedule = { ...(own || { timezone: resolveTimezone(cfg, config), block: null }), until };
+  }
+
+  return {
+    clientCfg,
+    entries,
+    entryIds: entries.map((e) => e.id),
+    schedule,
+  };
+}
+
+/**
+ * Slideshow names a slideshow depends on: its extends parent
+ * plus every @name in include / add / schedule includes.
+ */
+export function slideshowReferences(show) {
+  if (!show || typeof show !== "object") return [];
+
+  const lists = [
+    show.include,
+    show.add,
+    ...(Array.isArray(show.schedule) ? show.schedule.map((b) => b?.include) : []),
+  ];
+
+  const refs = lists
+    .filter(Array.isArray)
+    .flat()
+    .filter((x) => typeof x === "string" && x.startsWith("@"))
+    .map((x) => x.slice(1));
+
+  return show.extends ? [show.extends, ...refs] : refs;
+}
+
+// ------------------------------------------------------------
+// extends + schedule → effective config
+// ------------------------------------------------------------
+//
+// include entries are kept as { ref, from } so inherited ones
+// still point at the slideshow that declared them.
+//
+function effectiveSlideshow(name, ctx, chain = []) {
+  const slideshows = ctx.config.slideshows || {};
+  const own = slideshows[name] || {};
+
+  let parent = { cfg: { overrides: {} }, scheduleFrom: null };
+
+  if (own.extends) {
+    if (chain.includes(own.extends) || own.extends === name) {
+      warn(`Slideshow extends cycle: ${[...chain, name, own.extends].join(" → ")} — ignoring extends`);
+    } else if (!slideshows[own.extends]) {
+      warn(`Slideshow '${name}' extends unknown slideshow '${own.extends}'`);
+    } else {
+      // Parents merge unscheduled; the child evaluates the
+      // (possibly inherited) schedule once, in its own timezone
+      parent = effectiveSlideshow(own.extends, ctx, [...chain, name]);
+    }
+  }
+
+  const cfg = { ...parent.cfg };
+  for (const [key, value] of Object.entries(own)) {
+    if (!INHERIT_KEYS.includes(key)) cfg[key] = value;
+  }
+
+  // include: own list replaces; add/remove edit the inherited one
+  if (Array.isArray(own.include)) {
+    cfg.include = tagRefs(own.include, name);
+  }
+  if (Array.isArray(own.remove) && cfg.include) {
+    const drop = new Set(own.remove);
+    cfg.include = cfg.include.filter((e) => !drop.has(e.ref));
+  }
+  if (Array.isArray(own.add)) {
+    cfg.include = [...(cfg.include || []), ...tagRefs(own.add, name)];
+  }
+
+  cfg.overrides = mergeOverrides(parent.cfg.overrides, own.overrides);
+
+  if (parent.cfg.vars || own.vars) {
+    cfg.vars = { ...(parent.cfg.vars || {}), ...(own.vars || {}) };
+  }
+
+  let scheduleFrom = parent.scheduleFrom;
+  if (Array.isArray(own.schedule)) {
+    cfg.schedule = own.schedule;
+    scheduleFrom = name;
+  }
+
+  if (chain.length > 0) return { cfg, scheduleFrom };
+
+  return applySchedule(cfg, scheduleFrom, ctx);
+}
+
+function applySchedule(cfg, scheduleFrom, ctx) {
+  if (!Array.isArray(cfg.schedule) || cfg.schedule.length === 0) {
+    return { cfg, schedule: null };
+  }
+
+  const timezone = resolveTimezone(cfg, ctx.config);
+  const { active, info } = evaluateSchedule(cfg.schedule, timezone, ctx.now);
+
+  if (!active) return { cfg, schedule: info };
+
+  return {
+    cfg: {
+      ...cfg,
+      include: tagRefs(active.block.include || [], scheduleFrom),
+      overrides: mergeOverrides(cfg.overrides, active.block.overrides),
+    },
+    schedule: info,
+  };
+}
+
+// ------------------------------------------------------------
+// @name references → flat entry list
+// ------------------------------------------------------------
+
+function expandRefs(include, overrides, via, out, ctx) {
+  const slideshows = ctx.config.slideshows || {};
+
+  for (const { ref, from } of include) {
+    if (typeof ref !== "string") continue;
+
+    if (isSlideQuery(ref)) {
+      let matches = [];
+      try {
+        matches = selectSlides(ctx.config.slides || [], ref);
+      } catch (err) {
+        warn(`Slideshow '${from}' query '${ref}' skipped: ${err.message}`);
+      }
+
+      for (const raw of matches) {
+        out.push({ id: raw.id, overrides, origin: { slideshow: from, via, query: ref } });
+      }
+      continue;
+    }
+
+    if (!ref.startsWith("@")) {
+      out.push({ id: ref, overrides, origin: { slideshow: from, via } });
+      continue;
+    }
+
+    const name = ref.slice(1);
+
+    if (via.includes(name)) {
+      warn(`Slideshow include cycle: ${[...via, name].join(" → ")} — skipping @${name}`);
+      continue;
+    }
+    if (!slideshows[name]) {
+      warn(`Slideshow '${from}' includes unknown slideshow '@${name}'`);
+      continue;
+    }
+
+    const { cfg: nested, schedule } = effectiveSlideshow(name, ctx);
+    if (schedule?.until) ctx.nestedUntil.push(schedule.until);
+
+    // The including slideshow's overrides win over the nested ones
+    expandRefs(
+      nested.include || [],
+      mergeOverrides(nested.overrides, overrides),
+      [...via, name],
+      out,
+      ctx
+    );
+  }
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function tagRefs(list, from) {
+  return list.map((ref) => ({ ref, from }));
+}
+
+// Per-slide shallow merge: { kb3: { duration } } + { kb3: { effect } }
+function mergeOverrides(base = {}, extra = {}) {
+  const out = { ...(base || {}) };
+  for (const [sid, override] of Object.entries(extra || {})) {
+    out[sid] = { ...(out[sid] || {}), ...override };
+  }
+  return out;
+}
@@ -0,0 +1,114 @@
+// ------------------------------------------------------------
+// ⏸️ Interstitials
+// ------------------------------------------------------------
+//
+// Slides inserted on top of the expanded playlist instead of
+// being typed between include entries:
+//
+//   kitchen:
+//     interstitials:
+//       - slide: richmond_current_weather
+//         every: 8              # after every 8 slides …
+//       - slide: sonos_status
+//         every_minutes: 10     # … or at least every 10 minutes
+//         min_gap: 3            # ≥ 3 regular slides since ANY
+//                               # interstitial (default 1)
+//
+// Two interstitials are never placed back to back, and one is
+// never placed next to the same slide already in the list.
+// Players loop the list, so counts and minutes run on across the
+// loop: a list shorter than `every` (or than `every_minutes`) is
+// repeated until each rule gets its turn.
+// When several rules are due at once the first listed wins; the
+// others wait for the next free position. A rule whose slide
+// expands to several (e.g. a folder) rotates through them.
+// ------------------------------------------------------------
+
+// Longest list a short playlist is repeated into
+const MAX_CYCLE = 1000;
+
+/**
+ * rules: [{ items: [expanded slides], every, everyMinutes, minGap }]
+ */
+export function applyInterstitials(slides, rules) {
+  const active = rules.filter(
+    (r) => r.items.length > 0 && (r.every > 0 || r.everyMinutes > 0)
+  );
+  if (active.length === 0 || slides.length === 0) return slides;
+
+  const cycle = repeatForRules(slides, active);
+  const ctx = {
+    state: active.map(() => ({ count: 0, seconds: 0, next: 0 })),
+    sinceAny: 0,
+  };
+
+  // A first pass leaves the counters where the previous loop
+  // would have: the returned loop starts mid-count, not at 0
+  place(cycle, active, ctx);
+  return place(cycle, active, ctx);
+}
+
+function place(slides, active, ctx) {
+  const { state } = ctx;
+  const out = [];
+
+  slides.forEach((slide, idx) => {
+    out.push(slide);
+    ctx.sinceAny++;
+
+    const secs = durationSeconds(slide);
+    for (const st of state) {
+      st.count++;
+      st.seconds += secs;
+    }
+
+    // the list loops: the last slide is followed by the first
+    const upcoming = slides[(idx + 1) % slides.length];
+
+    for (let r = 0; r < active.length; r++) {
+      const rule = active[r];
+      const st = state[r];
+
+      const due =
+        (rule.every > 0 && st.count >= rule.every) ||
+        (rule.everyMinutes > 0 && st.seconds >= rule.everyMinutes * 60);
+      if (!due) continue;
+
+      if (ctx.sinceAny < Math.max(1, rule.minGap ?? 1)) continue;
+
+      const item = rule.items[st.next % rule.items.length];
+      if (slide.id === item.id || upcoming.id === item.id) continue;
+
+      out.push(item);
+      st.next++;
+      st.count = 0;
+      st.seconds = 0;
+      ctx.sinceAny = 0;
+      break;
+    }
+  });
+
+  return out;
+}
+
+// The list repeated until one loop is long enough (in slides and
+// seconds) for every rule to come due, up to MAX_CYCLE slides
+function repeatForRules(slides, active) {
+  const loopSeconds = slides.reduce((sum, s) => sum + durationSeconds(s), 0);
+
+  let times = 1;
+  for (const rule of active) {
+    if (rule.every > 0) times = Math.max(times, Math.ceil(rule.every / slides.length));
+    if (rule.everyMinutes > 0 && loopSeconds > 0) {
+      times = Math.max(times, Math.ceil((rule.everyMinutes * 60) / loopSeconds));
+    }
+  }
+  times = Math.min(times, Math.max(1, Math.floor(MAX_CYCLE / slides.length)));
+
+  return times > 1 ? Array.from({ length: times }, () => slides).flat() : slides;
+}
+
+function durationSeconds(slide) {
+  const d = Number(slide.duration);
+  return Number.isFinite(d) && d > 0 ? d : 0;
+}
@@ -0,0 +1,271 @@
+// ------------------------------------------------------------
+// 🔄 Live Slideshow Config (hot reload + kiosk push)
+// ------------------------------------------------------------
+//
+// Watches SLIDESHOW_CONFIG_FILE (or, with CONFIG_STORE=sqlite,
+// the database) and keeps the last config that passed
+// validation. Broken edits are logged and ignored, so kiosks
+// keep playing the last good playlist.
+//
+// Players subscribe to GET /api/v1/slideshow/events (SSE) and
+// receive a "playlist-changed" event when the version of THEIR
+// slideshow changes. Versions hash the slideshow definition
+// (settings, entries, referenced master slides), not the
+// provider listings, so random Drive ordering doesn't trigger
+// spurious reloads.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { SLIDESHOW_CONFIG_FILE, DATABASE_FILE } from "../../../shared/paths.js";
+import {
+  loadSlideshowConfig,
+  readSlideshowConfigText,
+} from "../../../shared/config-loader.js";
+import { usingSqlite, getDatabase } from "../../../shared/db.js";
+import {
+  validateSlideshowConfigText,
+  formatIssue,
+} from "./slideshow-validator.js";
+import { resolveSlideshowEntry } from "./slideshow-entry.js";
+import { resolveTimezone } from "./slideshow-schedule.js";
+import { isSlideActive } from "./slide-validity.js";
+import { resolveClientSlideshow } from "../clients/client-registry.js";
+import { log, warn } from "../../../shared/log.js";
+
+const WATCH_INTERVAL_MS = 1000;
+const HEARTBEAT_MS = 25_000;
+
+export const configEvents = new EventEmitter();
+
+let liveConfig = null;
+let liveLoadedAt = null;
+let lastRejected = null;
+let watching = false;
+
+// ------------------------------------------------------------
+// Current config (last known good)
+// ------------------------------------------------------------
+
+export function getLiveConfig() {
+  if (!liveConfig) {
+    liveConfig = loadSlideshowConfig();
+    liveLoadedAt = new Date().toISOString();
+  }
+  return structuredClone(liveConfig);
+}
+
+function configSource() {
+  return usingSqlite() ? DATABASE_FILE : SLIDESHOW_CONFIG_FILE;
+}
+
+export function getLiveStatus() {
+  return {
+    file: configSource(),
+    watching,
+    loadedAt: liveLoadedAt,
+    rejected: lastRejected,
+  };
+}
+
+// ------------------------------------------------------------
+// Reload — validate first, keep last good on failure
+// ------------------------------------------------------------
+
+export function reloadSlideshowConfig() {
+  let text;
+  try {
+    text = readSlideshowConfigText();
+  } catch (err) {
+    warn(`Config reload skipped — cannot read ${configSource()}: ${err.message}`);
+    return false;
+  }
+
+  const report = validateSlideshowConfigText(text);
+
+  if (!report.ok) {
+    lastRejected = {
+      at: new Date().toISOString(),
+      errors: report.errors,
+    };
+    warn(`Config edit rejected (${report.errors.length} error(s)) — keeping last good config`);
+    for (const e of report.errors) warn("  ", formatIssue(e, configSource()));
+    configEvents.emit("rejected", lastRejected);
+    return false;
+  }
+
+  const previous = liveConfig;
+
+  try {
+    liveConfig = loadSlideshowConfig();
+  } catch {
+    return false;
+  }
+
+  liveLoadedAt = new Date().toISOString();
+  lastRejected = null;
+  log(`Slideshow config reloaded (${report.warnings.length} warning(s))`);
+  configEvents.emit("change", { previous, current: liveConfig });
+  return true;
+}
+
+export function startConfigWatch() {
+  if (watching) return;
+  watching = true;
+
+  // data_version moves when ANOTHER connection commits, e.g.
+  // `casthub config import`; our own writes reload directly
+  if (usingSqlite()) {
+    const db = getDatabase();
+    let seen = db.pragma("data_version", { simple: true });
+
+    setInterval(() => {
+      const now = db.pragma("data_version", { simple: true });
+      if (now === seen) return;
+      seen = now;
+      reloadSlideshowConfig();
+    }, WATCH_INTERVAL_MS).unref();
+
+    log(`Watching ${DATABASE_FILE} for changes`);
+    return;
+  }
+
+  fs.watchFile(
+    SLIDESHOW_CONFIG_FILE,
+    { interval: WATCH_INTERVAL_MS },
+    (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      reloadSlideshowConfig();
+    }
+  );
+
+  log(`Watching ${SLIDESHOW_CONFIG_FILE} for changes`);
+}
+
+// ------------------------------------------------------------
+// Version of a slideshow definition
+// ------------------------------------------------------------
+//
+// Uses the same entry rules as buildSlideshowForClient(), so a
+// schedule block switching over, or a slide expiring, also
+// yields a new version.
+//
+export function slideshowVersion(slideshow, config, now = new Date()) {
+  const master = config.slides || [];
+  const { clientCfg, entries, entryIds } = resolveSlideshowEntry(slideshow, config, now);
+
+  // Collect every master slide reachable from the entry list
+  const byId = new Map(master.map((s) => [s.id, s]));
+  const used = new Map();
+  const stack = [
+    ...entryIds,
+    ...(clientCfg.interstitials || []).map((r) => r?.slide),
+  ];
+
+  while (stack.length) {
+    const id = stack.pop();
+    if (used.has(id) || !byId.has(id)) continue;
+
+    const raw = byId.get(id);
+    used.set(id, raw);
+    for (const panel of raw.panels || []) stack.push(...(panel.slides || []));
+  }
+
+  const validity = { now, timezone: resolveTimezone(clientCfg, config) };
+  const ids = [...used.keys()].sort();
+
+  const definition = {
+    settings: clientCfg,
+    vars: [config.vars, config.clients],
+    entries: entries.map(({ id, overrides, origin }) => [id, overrides, origin]),
+    slides: ids.map((id) => used.get(id)),
+    inactive: ids.filter((id) => !isSlideActive(used.get(id), validity)),
+  };
+
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(definition))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// ------------------------------------------------------------
+// ETag of an expanded slideshow
+// ------------------------------------------------------------
+//
+// slideshowVersion() only covers the definition; folder listings,
+// memories picks, shuffles and dedupe change the slides without
+// touching it. The HTTP ETag hashes what is actually sent, so a
+// revalidating player never keeps a stale expansion.
+//
+export function expansionTag(version, expanded) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(version)
+    .update(JSON.stringify(expanded))
+    .digest("hex")
+    .slice(0, 16);
+
+  return `"${hash}"`;
+}
+
+// ------------------------------------------------------------
+// SSE — GET /api/v1/slideshow/events?slideshow=x&version=y
+// ------------------------------------------------------------
+//
+// Takes the same client identity as GET / (client-host, cookie,
+// IP) when no ?slideshow= is given.
+
+const subscribers = new Set();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export function handleSlideshowEvents(req, res) {
+  const config = getLiveConfig();
+  const { slideshow } = resolveClientSlideshow(req, res, config);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 5000\n\n");
+
+  const version = slideshowVersion(slideshow, config);
+  const sub = { res, slideshow, version };
+  subscribers.add(sub);
+
+  send(res, "hello", { slideshow, version });
+
+  // The player reconnects with the version it is showing; if the
+  // config moved on while it was away, tell it straight away.
+  if (req.query.version && req.query.version !== version) {
+    send(res, "playlist-changed", { slideshow, version });
+  }
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(sub);
+  });
+}
+
+/**
+ * Tell subscribed players whose slideshow version moved. Runs
+ * on every config change, and when a slide uses up max_plays.
+ */
+export function notifyPlaylistChanges(config = getLiveConfig()) {
+  for (const sub of subscribers) {
+    const version = slideshowVersion(sub.slideshow, config);
+    if (version === sub.version) continue;
+
+    sub.version = version;
+    send(sub.res, "playlist-changed", { slideshow: sub.slideshow, version });
+  }
+}
+
+configEvents.on("change", ({ current }) => notifyPlaylistChanges(current));
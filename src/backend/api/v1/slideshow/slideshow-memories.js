@@ -0,0 +1,133 @@
+// ------------------------------------------------------------
+// 🕰️ Memories ("on this day" slides)
+// ------------------------------------------------------------
+//
+//   - id: on-this-day
+//     type: memories
+//     source: folder          # or google-drive / one-drive
+//     path: trips             # folder source; default: the whole
+//     recursive: true         #   library, sub-folders included
+//     window_days: 3          # ± days around today (default 0)
+//     fallback_days: 30       # nothing in the window → the nearest
+//                             # dates up to this far (0 = none)
+//     limit: 20               # photos per showing (default 20)
+//     order: taken            # oldest first, or random
+//     caption: true           # "3 years ago" on each photo
+//
+// Photos from earlier years whose capture date falls within
+// window_days of today's month / day (in the slideshow's
+// timezone) are picked; Drive and OneDrive slides use the same
+// source fields as google-drive / one-drive slides. Only real
+// capture dates count — EXIF, or a date in a local file's name —
+// never modification times.
+// ------------------------------------------------------------
+
+import { photoQuery } from "../photos/photo-index.js";
+import { localParts } from "./slideshow-schedule.js";
+import { shuffle } from "../../../shared/random.js";
+
+export const MEMORY_SOURCES = ["folder", "google-drive", "one-drive"];
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_FALLBACK_DAYS = 30;
+const DAY_MS = 24 * 3600 * 1000;
+
+/** Photo index query of a local memories slide */
+export function memoriesQuery(slide) {
+  return photoQuery({ ...slide, path: slide.path ?? "", recursive: slide.recursive ?? true });
+}
+
+/**
+ * Pick the memories among `items` (each with a `taken` capture
+ * time, or null) for `now`:
+ *
+ *   → { picked: [{ item, yearsAgo, daysOff, caption }], fallback }
+ *
+ * `daysOff` is how far the capture day is from today's date in
+ * its year (negative = before); `fallback` is true when nothing
+ * was inside the window and the nearest dates were used instead.
+ */
+export function pickMemories(items, slide, { now = new Date(), timezone } = {}) {
+  const today = localParts(now, timezone);
+  const windowDays = slide.window_days ?? 0;
+  const fallbackDays = slide.fallback_days ?? DEFAULT_FALLBACK_DAYS;
+  const limit = slide.limit ?? DEFAULT_LIMIT;
+
+  const candidates = [];
+  for (const item of items) {
+    const day = captureDay(item.taken, timezone);
+    if (!day) continue;
+
+    const memory = nearestAnniversary(day, today);
+    if (memory.yearsAgo >= 1) candidates.push({ item, ...memory });
+  }
+
+  let picked = shuffle(candidates.filter((c) => Math.abs(c.daysOff) <= windowDays)).slice(0, limit);
+  let fallback = false;
+
+  if (!picked.length && fallbackDays > windowDays) {
+    picked = candidates
+      .filter((c) => Math.abs(c.daysOff) <= fallbackDays)
+      .sort((a, b) => Math.abs(a.daysOff) - Math.abs(b.daysOff) || a.item.taken.localeCompare(b.item.taken))
+      .slice(0, limit);
+    fallback = picked.length > 0;
+  }
+
+  picked =
+    slide.order === "random"
+      ? shuffle(picked)
+      : picked.sort((a, b) => a.item.taken.localeCompare(b.item.taken));
+
+  return {
+    picked: picked.map((c) => ({ ...c, caption: memoryCaption(c) })),
+    fallback,
+  };
+}
+
+// "3 years ago", or "3 years ago · Oct 17" off the exact day
+export function memoryCaption({ yearsAgo, daysOff, day }) {
+  const ago = yearsAgo === 1 ? "1 year ago" : `${yearsAgo} years ago`;
+  if (!daysOff) return ago;
+
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day)).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    month: "short",
+    day: "numeric",
+  });
+  return `${ago} · ${date}`;
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+// Local photos carry wall-clock times ("2024-05-01T10:20:30");
+// OneDrive's are UTC ("…Z") and shown in the slideshow timezone
+function captureDay(taken, timezone) {
+  if (typeof taken !== "string") return null;
+
+  if (/(Z|[+-]\d\d:\d\d)$/.test(taken)) {
+    const instant = new Date(taken);
+    if (Number.isNaN(instant.getTime())) return null;
+    const { year, month, day } = localParts(instant, timezone);
+    return { year, month, day };
+  }
+
+  const m = taken.match(/^(\d{4})-(\d\d)-(\d\d)/);
+  return m ? { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) } : null;
+}
+
+// Today's month / day in the capture year, or the one either
+// side of it — Dec 30 is 3 days from Jan 2 of the next year
+function nearestAnniversary(day, today) {
+  const at = Date.UTC(day.year, day.month - 1, day.day);
+  let best = null;
+
+  for (const year of [day.year - 1, day.year, day.year + 1]) {
+    const daysOff = Math.round((at - Date.UTC(year, today.month - 1, today.day)) / DAY_MS);
+    if (!best || Math.abs(daysOff) < Math.abs(best.daysOff)) {
+      best = { yearsAgo: today.year - year, daysOff, day };
+    }
+  }
+  return best;
+}
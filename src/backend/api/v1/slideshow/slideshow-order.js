@@ -0,0 +1,86 @@
+// ------------------------------------------------------------
+// 🔀 Slideshow Ordering
+// ------------------------------------------------------------
+//
+// Per-slideshow `order:` applied to the expanded playlist:
+//
+//   order: sequential      # default — include order
+//   order: shuffle         # uniform; add seed: for repeatability
+//   order: weighted        # random; a slide with weight: 3
+//                          # plays three times per loop for every
+//                          # play of a weight: 1 slide (weight: 0
+//                          # leaves it out)
+//   order: interleave      # round-robin across include entries:
+//                          # Drive photo, local photo, weather, …
+//                          # shorter entries repeat until the
+//                          # longest one is used up
+//   order: least-recent    # never/longest-unseen first, from the
+//                          # persisted play history
+// ------------------------------------------------------------
+
+import { createRng, shuffle, weightedRepeat } from "../../../shared/random.js";
+import { getPlay } from "./play-history.js";
+
+export const ORDER_MODES = [
+  "sequential",
+  "shuffle",
+  "weighted",
+  "interleave",
+  "least-recent",
+];
+
+/**
+ * Reorder an expanded playlist.
+ *  - slides:  flat expanded list
+ *  - groups:  [{ key, slides }] — one per include entry (queries
+ *             share a key), used by interleave
+ */
+export function orderSlides(slides, groups, { order = "sequential", seed } = {}) {
+  const rng = createRng(seed);
+
+  switch (order) {
+    case "shuffle":
+      return shuffle(slides, rng);
+
+    case "weighted":
+      return weightedRepeat(slides, (s) => s.weight ?? 1, rng);
+
+    case "interleave":
+      return interleave(mergeGroups(groups));
+
+    case "least-recent":
+      return leastRecent(slides);
+
+    case "sequential":
+    default:
+      return slides;
+  }
+}
+
+function mergeGroups(groups) {
+  const byKey = new Map();
+  for (const g of groups) {
+    if (!g.slides.length) continue;
+    if (!byKey.has(g.key)) byKey.set(g.key, []);
+    byKey.get(g.key).push(...g.slides);
+  }
+  return [...byKey.values()];
+}
+
+function interleave(lists) {
+  const longest = Math.max(0, ...lists.map((l) => l.length));
+  const out = [];
+
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) out.push(list[i % list.length]);
+  }
+
+  return out;
+}
+
+function leastRecent(slides) {
+  return slides
+    .map((slide, idx) => ({ slide, idx, last: getPlay(slide)?.lastShown ?? 0 }))
+    .sort((a, b) => a.last - b.last || a.idx - b.idx)
+    .map((x) => x.slide);
+}
@@ -0,0 +1,236 @@
+// ------------------------------------------------------------
+// 🔍 Slideshow Preview (dry run of the expanded timeline)
+// ------------------------------------------------------------
+//
+// Builds a slideshow exactly as a kiosk would get it and
+// describes every slide in play order:
+//
+//   origin slide ID, source (local / google-drive / one-drive /
+//   movie / …), effective duration, overrides applied and any
+//   expansion warnings — plus the total loop length.
+//
+// Used by GET /api/v1/slideshow/preview and
+// `casthub slideshow preview <name>`.
+// ------------------------------------------------------------
+
+import { buildSlideshowForClient } from "./slideshow-service.js";
+import { resolveSlideshowEntry } from "./slideshow-entry.js";
+
+// What the player falls back to when a slide has no usable
+// duration (see renderSlide() in public/index.html)
+const PLAYER_DEFAULT_SECONDS = {
+  "remote-image": 5,
+  image: 5,
+  html: 15,
+  mux: 15,
+  youtube: 30,
+  movie: 30,
+  video: 30,
+};
+
+export async function previewSlideshow(
+  slideshow,
+  config,
+  { now = new Date(), client = null } = {}
+) {
+  const diagnostics = [];
+  const slides = await buildSlideshowForClient(slideshow, config, {
+    now,
+    client,
+    diagnostics,
+  });
+
+  const { clientCfg, entries, schedule } = resolveSlideshowEntry(slideshow, config, now);
+  const overridesFor = overrideFinder(entries, clientCfg);
+  const warnings = uniqueWarnings(diagnostics);
+
+  let at = 0;
+  const timeline = slides.map((slide, index) => {
+    const masterId = slide.parentId || slide.id;
+    const { seconds, infinite, defaulted } = effectiveDuration(slide);
+
+    const related = new Set([masterId, ...panelSlideIds(slide)]);
+    const item = {
+      index,
+      id: slide.id,
+      origin: masterId,
+      slideshow: slide.origin?.slideshow ?? slideshow,
+      via: slide.origin?.via,
+      query: slide.origin?.query,
+      interstitial: slide.origin?.interstitial || undefined,
+      type: slide.type,
+      source: sourceOf(slide),
+      duration: infinite ? "infinite" : seconds,
+      defaulted: defaulted || undefined,
+      infinite: infinite || undefined,
+      start: at,
+      overrides: overridesFor(masterId, slide.origin),
+      warnings: warnings
+        .filter((w) => related.has(w.slide))
+        .map((w) => (w.slide === masterId ? w.message : `${w.slide}: ${w.message}`)),
+    };
+
+    // Nothing after an infinite slide ever gets its turn
+    if (infinite || at === null) at = null;
+    else at += seconds;
+
+    return item;
+  });
+
+  const infinite = timeline.filter((t) => t.infinite).map((t) => t.id);
+  const placed = new Set(
+    timeline.flatMap((t) => [t.origin, ...panelSlideIds(slides[t.index])])
+  );
+
+  return {
+    slideshow,
+    schedule: schedule ?? null,
+    generatedAt: now.toISOString(),
+    count: timeline.length,
+    loopSeconds: infinite.length ? null : at,
+    infinite,
+    warnings,
+    // Warnings of slides that didn't make it into the timeline
+    dropped: warnings.filter((w) => !placed.has(w.slide)),
+    timeline,
+  };
+}
+
+// ------------------------------------------------------------
+// Duration as the player will use it
+// ------------------------------------------------------------
+
+function effectiveDuration(slide) {
+  if (String(slide.duration).toLowerCase() === "infinite") {
+    return { seconds: null, infinite: true, defaulted: false };
+  }
+
+  const n = Number(slide.duration);
+  if (n > 0) return { seconds: n, infinite: false, defaulted: false };
+
+  return {
+    seconds: PLAYER_DEFAULT_SECONDS[slide.type] ?? 10,
+    infinite: false,
+    defaulted: true,
+  };
+}
+
+// ------------------------------------------------------------
+// Where the content comes from
+// ------------------------------------------------------------
+
+export function sourceOf(slide) {
+  if (slide.googleId || slide.type === "google-drive") return "google-drive";
+  if (slide.onedriveId || slide.type === "one-drive") return "one-drive";
+
+  switch (slide.type) {
+    case "movie":
+    case "video":
+      return "movie";
+    case "youtube":
+    case "mux":
+    case "pause":
+    case "html":
+    case "webpage":
+      return slide.type;
+    case "remote-image":
+      return "remote";
+    default:
+      return "local";
+  }
+}
+
+function panelSlideIds(slide) {
+  return (slide.panels || []).flatMap((p) => p.slides || []);
+}
+
+// ------------------------------------------------------------
+// Overrides — matched back to the entry that produced a slide
+// ------------------------------------------------------------
+
+function overrideFinder(entries, clientCfg) {
+  const byEntry = new Map(
+    entries.map((e) => [entryKey(e.id, e.origin), e.overrides?.[e.id]])
+  );
+
+  return (masterId, origin) => {
+    const applied = origin?.interstitial
+      ? clientCfg.overrides?.[masterId]
+      : byEntry.get(entryKey(masterId, origin));
+    return applied && Object.keys(applied).length ? applied : undefined;
+  };
+}
+
+function entryKey(id, origin) {
+  return JSON.stringify([id, origin ?? null]);
+}
+
+// Each master slide is looked up once per use; report once
+function uniqueWarnings(diagnostics) {
+  const seen = new Set();
+  return diagnostics.filter((d) => {
+    const key = `${d.slide}\n${d.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// ------------------------------------------------------------
+// Plain-text rendering (CLI, ?format=text)
+// ------------------------------------------------------------
+
+export function formatPreview(preview) {
+  const lines = [];
+  const header = preview.schedule?.block
+    ? `Slideshow '${preview.slideshow}' (schedule block: ${preview.schedule.block})`
+    : `Slideshow '${preview.slideshow}'`;
+  lines.push(header, "");
+
+  const rows = preview.timeline.map((t) => [
+    String(t.index + 1),
+    t.start === null ? "—" : clock(t.start),
+    t.id === t.origin ? t.id : `${t.id} ← ${t.origin}`,
+    t.source,
+    t.infinite ? "∞ infinite" : `${t.duration}s${t.defaulted ? " (default)" : ""}`,
+    [
+      t.interstitial && "interstitial",
+      t.via?.length > 1 && `via ${t.via.join(" → ")}`,
+      t.overrides && `overrides ${JSON.stringify(t.overrides)}`,
+    ]
+      .filter(Boolean)
+      .join("; "),
+  ]);
+
+  const head = ["#", "at", "slide", "source", "duration", "notes"];
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const row = (cells) => cells.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd();
+
+  lines.push(row(head), row(widths.map((w) => "-".repeat(w))));
+  preview.timeline.forEach((t, i) => {
+    lines.push(row(rows[i]));
+    for (const w of t.warnings) lines.push(`     ⚠️  ${w}`);
+  });
+
+  if (preview.dropped.length) {
+    lines.push("");
+    for (const w of preview.dropped) lines.push(`⚠️  ${w.slide}: ${w.message}`);
+  }
+
+  lines.push("");
+  lines.push(
+    preview.loopSeconds === null
+      ? `${preview.count} slide(s); loop never ends — infinite: ${preview.infinite.join(", ")}`
+      : `${preview.count} slide(s); loop length ${clock(preview.loopSeconds)} (${preview.loopSeconds}s)`
+  );
+
+  return lines.join("\n");
+}
+
+function clock(seconds) {
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const mmss = `${String(m).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+  return h ? `${h}:${mmss}` : mmss;
+}
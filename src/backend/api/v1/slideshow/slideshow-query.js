@@ -0,0 +1,120 @@
+// ------------------------------------------------------------
+// 🏷️ Slide Queries (tag/type includes)
+// ------------------------------------------------------------
+//
+// An include entry may select master slides by query instead of
+// by ID. Terms are space-separated and ANDed; a leading "-"
+// negates a term; values may use globs:
+//
+//   include:
+//     - tag:renovation
+//     - tag:weather -tag:live
+//     - type:youtube sort:title
+//     - tag:contractor* sort:id:desc
+//
+// Keys:   tag:<name>   slide has a matching entry in tags:
+//         type:<type>  normalized type (google → google-drive)
+//         id:<glob>    slide ID
+//         sort:<field>[:desc]  order matches (default: library)
+// ------------------------------------------------------------
+
+import { minimatch } from "minimatch";
+import { normalizeSlide } from "./slideshow-util.js";
+
+export const QUERY_KEYS = ["tag", "type", "id", "sort"];
+
+const TERM_RE = /^(-?)([a-z]+):(.+)$/i;
+
+// Same aliases normalizeSlide() accepts
+const TYPE_ALIASES = { google: "google-drive", onedrive: "one-drive" };
+
+/**
+ * True when an include entry is a query rather than a slide ID
+ * (slide IDs never contain a colon).
+ */
+export function isSlideQuery(entry) {
+  return typeof entry === "string" && !entry.startsWith("@") && entry.includes(":");
+}
+
+/**
+ * Parse "tag:weather -tag:live sort:title" →
+ * { terms: [{ key, value, negate }], sort: { field, desc } | null }.
+ * Throws on unknown keys or malformed terms.
+ */
+export function parseSlideQuery(text) {
+  const terms = [];
+  let sort = null;
+
+  for (const raw of String(text).trim().split(/\s+/)) {
+    const m = TERM_RE.exec(raw);
+    if (!m) throw new Error(`Malformed query term '${raw}' (expected key:value)`);
+
+    const negate = m[1] === "-";
+    const key = m[2].toLowerCase();
+    const value = m[3];
+
+    if (!QUERY_KEYS.includes(key)) {
+      throw new Error(`Unknown query key '${key}' (use ${QUERY_KEYS.join(", ")})`);
+    }
+
+    if (key === "sort") {
+      if (negate) throw new Error("sort: cannot be negated (use sort:<field>:desc)");
+      const [field, dir] = value.split(":");
+      if (dir && dir !== "asc" && dir !== "desc") {
+        throw new Error(`sort direction must be asc or desc, not '${dir}'`);
+      }
+      sort = { field, desc: dir === "desc" };
+      continue;
+    }
+
+    terms.push({ key, value, negate });
+  }
+
+  if (terms.length === 0) throw new Error(`Query '${text}' selects nothing (add tag:, type: or id:)`);
+
+  return { terms, sort };
+}
+
+/**
+ * Master slides matching a query, in library order unless the
+ * query asks for a sort.
+ */
+export function selectSlides(master, query) {
+  const q = typeof query === "string" ? parseSlideQuery(query) : query;
+
+  const matches = master.filter(
+    (raw) => raw && q.terms.every((t) => termMatches(raw, t) !== t.negate)
+  );
+
+  if (q.sort) {
+    const { field, desc } = q.sort;
+    matches.sort((a, b) => {
+      const cmp = String(a[field] ?? "").localeCompare(String(b[field] ?? ""), undefined, {
+        numeric: true,
+      });
+      return desc ? -cmp : cmp;
+    });
+  }
+
+  return matches;
+}
+
+function termMatches(raw, { key, value }) {
+  const glob = (s, pattern = value) => minimatch(String(s), pattern, { nocase: true });
+
+  switch (key) {
+    case "tag":
+      return Array.isArray(raw.tags) && raw.tags.some((t) => glob(t));
+
+    case "type": {
+      const type = normalizeSlide({ ...raw, id: raw.id || "_" }).type;
+      return glob(type, TYPE_ALIASES[value.toLowerCase()] || value);
+    }
+
+    case "id":
+      return raw.id != null && glob(raw.id);
+
+    default:
+      return false;
+  }
+}
@@ -3,22 +3,66 @@
 // ------------------------------------------------------------
 
 import { Router } from "express";
-import { loadSlideshowConfig } from "../../../shared/config-loader.js";
 import { buildSlideshowForClient } from "./slideshow-service.js";
+import { previewSlideshow, formatPreview } from "./slideshow-preview.js";
+import {
+  listExpansionCache,
+  invalidateExpansionCache,
+  CACHE_SOURCES,
+} from "./expansion-cache.js";
+import { validateSlideshowConfigStore } from "./slideshow-validator.js";
+import { resolveSlideshowEntry } from "./slideshow-entry.js";
+import {
+  getLiveConfig,
+  getLiveStatus,
+  slideshowVersion,
+  expansionTag,
+  handleSlideshowEvents,
+  notifyPlaylistChanges,
+} from "./slideshow-live.js";
+import { recordPlay, getSlidePlays } from "./play-history.js";
+import { resolveTimezone } from "./slideshow-schedule.js";
+import { nextValidityChange } from "./slide-validity.js";
+import {
+  resolveClientSlideshow,
+  peekClientSlideshow,
+} from "../clients/client-registry.js";
 
 const router = Router();
 
 // GET /api/v1/slideshow?slideshow=frontporch
+// GET /api/v1/slideshow?client-host=pi4office
+// Without ?slideshow= the client's identity picks the slideshow
+// (see client-registry.js)
 router.get("/", async (req, res) => {
   try {
-    const slideshow = (req.query.slideshow || "default").toLowerCase();
+    const config = getLiveConfig();
+    const { slideshow, client } = resolveClientSlideshow(req, res, config);
 
-    const config = loadSlideshowConfig();
-    const slides = await buildSlideshowForClient(slideshow, config);
+    const now = new Date();
+    const version = slideshowVersion(slideshow, config, now);
+    const { clientCfg, schedule } = resolveSlideshowEntry(slideshow, config, now);
+    const slides = await buildSlideshowForClient(slideshow, config, { now, client });
 
+    // Players refetch at `until`: the end of the schedule block
+    // or the next valid_from / valid_until boundary
+    const validUntil = nextValidityChange(config.slides || [], {
+      now,
+      timezone: resolveTimezone(clientCfg, config),
+    });
+    const until = [schedule?.until, validUntil].filter(Boolean).sort()[0] || null;
+
+    // `version` names the definition (SSE reload notices); the
+    // ETag covers the expansion itself
+    res.set("Cache-Control", "no-cache");
+    res.set("ETag", expansionTag(version, { schedule, until, slides }));
     res.json({
       ok: true,
       slideshow,
+      client: client.id,
+      version,
+      schedule,
+      until,
       count: slides.length,
       slides,
     });
@@ -28,4 +72,82 @@ router.get("/", async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// GET /api/v1/slideshow/preview?slideshow=frontporch[&client-host=kiosk1][&format=text]
+// The expanded timeline with sources, durations, overrides and
+// warnings. Doesn't register a client or count as a visit.
+router.get("/preview", async (req, res) => {
+  try {
+    const config = getLiveConfig();
+    const { slideshow, client } = peekClientSlideshow(req.query, config);
+    const preview = await previewSlideshow(slideshow, config, { client });
+
+    if (req.query.format === "text") {
+      return res.type("text/plain").send(formatPreview(preview) + "\n");
+    }
+    res.json({ ok: true, client: client.id, ...preview });
+  } catch (err) {
+    console.error("❌ Slideshow preview error:", err);
+    res.status(500).json({ error: err.message || "Preview error" });
+  }
+});
+
+// GET /api/v1/slideshow/events?slideshow=frontporch&version=abc
+// Server-sent events: "playlist-changed" when the config edit
+// affects this slideshow
+router.get("/events", handleSlideshowEvents);
+
+// POST /api/v1/slideshow/played  { slideshow, id, parentId, file }
+// Players report each slide shown (feeds order: least-recent
+// and max_plays)
+router.post("/played", (req, res) => {
+  const { id, parentId, file } = req.body || {};
+  if (!id && !file) {
+    return res.status(400).json({ error: "Missing id or file" });
+  }
+
+  const entry = recordPlay({ id, parentId, file });
+
+  // A slide just used up its max_plays → push new playlists
+  const masterId = parentId || id;
+  const raw = (getLiveConfig().slides || []).find((s) => s.id === masterId);
+  if (raw?.max_plays && getSlidePlays(masterId) === raw.max_plays) {
+    notifyPlaylistChanges();
+  }
+
+  res.json({ ok: true, ...entry });
+});
+
+// GET /api/v1/slideshow/cache
+// Cached folder listings (local, Google Drive, OneDrive): age,
+// item count and the last listing error, if any
+router.get("/cache", (req, res) => {
+  res.json({ ok: true, entries: listExpansionCache() });
+});
+
+// DELETE /api/v1/slideshow/cache[?slideshow=frontporch][&source=google-drive]
+// Forget cached listings; the next request lists them again
+router.delete("/cache", (req, res) => {
+  const { slideshow, source } = req.query;
+  if (source && !CACHE_SOURCES.includes(source)) {
+    return res
+      .status(400)
+      .json({ error: `source must be one of: ${CACHE_SOURCES.join(", ")}` });
+  }
+
+  const dropped = invalidateExpansionCache({ slideshow, source });
+  res.json({ ok: true, dropped });
+});
+
+// GET /api/v1/slideshow/validate
+// Checks slideshow-config.yaml without building anything
+router.get("/validate", (req, res) => {
+  try {
+    const report = validateSlideshowConfigStore();
+    res.json({ ...report, live: getLiveStatus() });
+  } catch (err) {
+    console.error("❌ Slideshow validate error:", err);
+    res.status(500).json({ error: err.message || "Validate error" });
+  }
+});
+
+export default router;
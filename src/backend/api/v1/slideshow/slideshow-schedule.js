@@ -0,0 +1,341 @@
+// ------------------------------------------------------------
+// 🗓️ Slideshow Schedules
+// ------------------------------------------------------------
+//
+// A slideshow may carry schedule blocks that replace its
+// include list while they are active:
+//
+//   tv-room:
+//     timezone: America/New_York     # else top-level timezone:
+//     include: [ fireplace_30 ]      # used when no block matches
+//     schedule:
+//       - name: yule-evenings
+//         from: "12-01"              # MM-DD or YYYY-MM-DD, wraps
+//         until: "01-02"             # inclusive
+//         days: [ mon, tue, wed ]    # or weekdays / weekends
+//         time: "17:00-23:30"        # or a list; may cross midnight
+//         priority: 10               # highest wins, ties → first
+//         include: [ yule_tube_1 ]
+//         overrides: { ... }         # merged over slideshow overrides
+//
+// Blocks are evaluated in the configured timezone. The result
+// also reports `until` — the next instant the active block can
+// change — so players know when to refetch. Entry resolution
+// (which list wins) lives in slideshow-entry.js.
+// ------------------------------------------------------------
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_GROUPS = {
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+  daily: DAY_NAMES,
+};
+
+// How far ahead to look for the end of the active block
+const HORIZON_DAYS = 400;
+
+// ------------------------------------------------------------
+// PUBLIC: evaluate a schedule at a given instant
+// ------------------------------------------------------------
+//
+// Returns:
+//   active  — { block, index } of the winning block, or null
+//   info    — { timezone, block, until } for API responses
+//
+export function evaluateSchedule(blocks, timezone, now = new Date()) {
+  const active = activeBlock(blocks, now, timezone);
+
+  return {
+    active,
+    info: {
+      timezone,
+      block: active ? blockName(active.block, active.index) : null,
+      until: nextChange(blocks, now, timezone, active?.index ?? -1),
+    },
+  };
+}
+
+export function resolveTimezone(slideshowCfg, config) {
+  return (
+    slideshowCfg?.timezone ||
+    config?.timezone ||
+    process.env.TZ ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+  );
+}
+
+export function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ------------------------------------------------------------
+// Block field parsers (shared with the validator)
+// ------------------------------------------------------------
+
+/** "HH:MM-HH:MM" → { start, end } in minutes, or null */
+export function parseTimeWindow(text) {
+  const m = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/.exec(String(text));
+  if (!m) return null;
+
+  const [h1, m1, h2, m2] = m.slice(1).map(Number);
+  if (h1 > 23 || h2 > 24 || m1 > 59 || m2 > 59) return null;
+
+  const end = h2 * 60 + m2;
+  if (end > 1440) return null;
+
+  return { start: h1 * 60 + m1, end };
+}
+
+/** "MM-DD" or "YYYY-MM-DD" → { year|null, month, day }, or null */
+export function parseScheduleDate(text) {
+  // Unquoted YYYY-MM-DD arrives from js-yaml as a Date
+  if (text instanceof Date) {
+    return {
+      year: text.getUTCFullYear(),
+      month: text.getUTCMonth() + 1,
+      day: text.getUTCDate(),
+    };
+  }
+
+  const m = /^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})$/.exec(String(text).trim());
+  if (!m) return null;
+
+  const month = Number(m[2]);
+  const day = Number(m[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  return { year: m[1] ? Number(m[1]) : null, month, day };
+}
+
+/** days: [mon, weekends, …] → Set of "sun".."sat", or null */
+export function parseDays(days) {
+  const list = Array.isArray(days) ? days : [days];
+  const out = new Set();
+
+  for (const d of list) {
+    const key = String(d).toLowerCase().slice(0, 3);
+    const group = DAY_GROUPS[String(d).toLowerCase()];
+    if (group) group.forEach((x) => out.add(x));
+    else if (DAY_NAMES.includes(key)) out.add(key);
+    else return null;
+  }
+
+  return out;
+}
+
+// ------------------------------------------------------------
+// Date windows (also used for slide valid_from / valid_until)
+// ------------------------------------------------------------
+
+/** True when the local day of `instant` lies in from..until (inclusive, either optional) */
+export function isWithinDates(from, until, instant, timezone) {
+  return dateInRange(localParts(instant, timezone), from, until);
+}
+
+/** The next local midnights after `now`, up to the horizon */
+export function* localMidnights(now, timezone, days = HORIZON_DAYS) {
+  const today = localParts(now, timezone);
+
+  for (let offset = 1; offset <= days; offset++) {
+    const d = addDays(today, offset);
+    yield zonedTimeToUtc(d.year, d.month, d.day, 0, 0, timezone);
+  }
+}
+
+// ------------------------------------------------------------
+// Matching
+// ------------------------------------------------------------
+
+function blockName(block, index) {
+  return block.name || `schedule[${index}]`;
+}
+
+function activeBlock(blocks, instant, timezone) {
+  const local = localParts(instant, timezone);
+  let best = null;
+
+  blocks.forEach((block, index) => {
+    if (!block || !blockMatches(block, local)) return;
+
+    const priority = Number(block.priority) || 0;
+    if (!best || priority > best.priority) best = { block, index, priority };
+  });
+
+  return best;
+}
+
+function blockMatches(block, local) {
+  const windows = block.time
+    ? (Array.isArray(block.time) ? block.time : [block.time])
+        .map(parseTimeWindow)
+        .filter(Boolean)
+    : null;
+
+  const minute = local.hour * 60 + local.minute;
+
+  // Which calendar day does this instant belong to? For windows
+  // that cross midnight, the early-morning part belongs to the
+  // day the window started on.
+  let day = local;
+  if (windows) {
+    const hit = windows.find((w) =>
+      w.start <= w.end
+        ? minute >= w.start && minute < w.end
+        : minute >= w.start || minute < w.end
+    );
+    if (!hit) return false;
+    if (hit.start > hit.end && minute < hit.end) day = previousDay(local);
+  }
+
+  if (block.days) {
+    const days = parseDays(block.days);
+    if (days && !days.has(DAY_NAMES[day.weekday])) return false;
+  }
+
+  if (block.from || block.until) {
+    if (!dateInRange(day, block.from, block.until)) return false;
+  }
+
+  return true;
+}
+
+function dateInRange(day, fromText, untilText) {
+  const from = fromText ? parseScheduleDate(fromText) : null;
+  const until = untilText ? parseScheduleDate(untilText) : null;
+
+  // Absolute dates compare on the full date
+  if (from?.year || until?.year) {
+    const key = dateKey(day.year, day.month, day.day);
+    if (from && key < dateKey(from.year ?? day.year, from.month, from.day)) return false;
+    if (until && key > dateKey(until.year ?? day.year, until.month, until.day)) return false;
+    return true;
+  }
+
+  // Recurring MM-DD ranges, wrapping over new year
+  const md = day.month * 100 + day.day;
+  const lo = from ? from.month * 100 + from.day : 101;
+  const hi = until ? until.month * 100 + until.day : 1231;
+
+  return lo <= hi ? md >= lo && md <= hi : md >= lo || md <= hi;
+}
+
+function dateKey(y, m, d) {
+  return y * 10000 + m * 100 + d;
+}
+
+// ------------------------------------------------------------
+// When does the current selection end?
+// ------------------------------------------------------------
+//
+// Candidate instants are local midnights and every time-window
+// edge, day by day; the first candidate where a different block
+// (or none) wins is the answer.
+//
+function nextChange(blocks, now, timezone, activeIndex) {
+  const edges = new Set([0]);
+  for (const block of blocks) {
+    const times = block?.time ? (Array.isArray(block.time) ? block.time : [block.time]) : [];
+    for (const w of times.map(parseTimeWindow).filter(Boolean)) {
+      edges.add(w.start % 1440);
+      edges.add(w.end % 1440);
+    }
+  }
+  const sortedEdges = [...edges].sort((a, b) => a - b);
+
+  const today = localParts(now, timezone);
+
+  for (let offset = 0; offset <= HORIZON_DAYS; offset++) {
+    const d = addDays(today, offset);
+
+    for (const minuteOfDay of sortedEdges) {
+      const instant = zonedTimeToUtc(
+        d.year, d.month, d.day,
+        Math.floor(minuteOfDay / 60), minuteOfDay % 60,
+        timezone
+      );
+      if (instant <= now) continue;
+
+      const active = activeBlock(blocks, instant, timezone);
+      if ((active?.index ?? -1) !== activeIndex) return instant.toISOString();
+    }
+  }
+
+  return null;
+}
+
+// ------------------------------------------------------------
+// Timezone helpers (Intl only, no extra dependencies)
+// ------------------------------------------------------------
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+        weekday: "short",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/** Wall-clock { year, month, day, hour, minute, second, weekday } of an instant */
+export function localParts(instant, timezone) {
+  const parts = {};
+  for (const p of formatterFor(timezone).formatToParts(instant)) {
+    parts[p.type] = p.value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3)),
+  };
+}
+
+function tzOffsetMs(instant, timezone) {
+  const p = localParts(instant, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - tzOffsetMs(new Date(guess), timezone);
+  const second = guess - tzOffsetMs(new Date(first), timezone);
+  return new Date(second);
+}
+
+function addDays(local, n) {
+  const d = new Date(Date.UTC(local.year, local.month - 1, local.day + n));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+function previousDay(local) {
+  return addDays(local, -1);
+}
@@ -2,44 +2,91 @@
 // 🖼️ Slideshow Builder Service (API v3)
 // ------------------------------------------------------------
 
-import { listLocalPhotos } from "./slideshow-util.js";
+import { queryPhotos, photoQuery, photoIndexBuilding } from "../photos/photo-index.js";
 import { normalizeSlide, applyClientOverrides } from "./slideshow-util.js";
 
-import { listGoogleImages } from "../images/google-images.js";
-import { listOneDriveImages } from "../images/onedrive-images.js";
+import { listGoogleImages, googleListOptions } from "../images/google-images.js";
+import { listOneDriveImages, oneDriveListOptions } from "../images/onedrive-images.js";
 import { resolveMovieFile } from "../movies/movie-service.js";
+import { resolveSlideshowEntry } from "./slideshow-entry.js";
+import { orderSlides } from "./slideshow-order.js";
+import { applyInterstitials } from "./slideshow-interstitials.js";
+import { resolveTimezone } from "./slideshow-schedule.js";
+import { slideStatus } from "./slide-validity.js";
+import { substituteVars, varLookup } from "./slideshow-vars.js";
+import { cachedListing, cacheSettings } from "./expansion-cache.js";
+import { memoriesQuery, pickMemories } from "./slideshow-memories.js";
+import { applyDerivatives, imageSettings } from "../images/image-derivatives.js";
+import { applyFocus } from "../images/image-focus.js";
+import { dedupeSlides } from "../media/media-duplicates.js";
+import { shuffle, shuffleGroups } from "../../../shared/random.js";
 
 // ------------------------------------------------------------
 // BUILD SLIDESHOW FOR CLIENT
 // ------------------------------------------------------------
 
-export async function buildSlideshowForClient(slideshow, config) {
+export async function buildSlideshowForClient(
+  slideshow,
+  config,
+  { now = new Date(), client = null, diagnostics = null } = {}
+) {
   const master = config.slides || [];
-  const slideshows = config.slideshows || {};
-  const clientCfg = slideshows[slideshow] || {};
-  const defaultCfg = config.slideshows.default || {};
 
-  // ENTRY SLIDES
-  const includeIds =
-    clientCfg.include ||
-    defaultCfg.include ||
-    [];
+  // Expansion problems are logged as always; callers that want
+  // them (preview) pass a diagnostics array to collect them too
+  const note = (slide, message) => diagnostics?.push({ slide, message });
+
+  // Folder listings go through the expansion cache; a provider
+  // failure serves the last good listing
+  const cache = cacheSettings(config);
+  const listing = async (slide, source, params, list) => {
+    const res = await cachedListing({ slideshow, source, params }, list, cache);
+    if (res.state === "fallback") {
+      note(slide.id, `${source} listing failed (${res.error}) — showing last good listing from ${res.listedAt}`);
+    }
+    return res.items;
+  };
 
-  const entryIds =
-    includeIds.length > 0
-      ? includeIds
-      : master.map((s) => s.id);
+  // ENTRY SLIDES (extends → schedule block → include → default
+  // → library, with @slideshow references flattened)
+  const { clientCfg, entries } = resolveSlideshowEntry(slideshow, config, now);
 
   const expanded = [];
   const seen = new Set();
 
-  const findMaster = (id) => master.find((s) => s.id === id);
+  // Expired / not-yet-valid slides (valid_from, valid_until,
+  // max_plays) are treated as missing; ${vars} are filled in
+  // for this client, and slides that can't be are skipped
+  const validity = { now, timezone: resolveTimezone(clientCfg, config) };
+  const ctx = { note, listing, ...validity };
+  const lookup = varLookup(config, clientCfg, client);
+  const findMaster = (id) => {
+    const raw = master.find((s) => s.id === id);
+    if (!raw) {
+      note(id, "unknown slide ID — skipped");
+      return undefined;
+    }
+
+    const status = slideStatus(raw, validity);
+    if (!status.active) {
+      note(id, `inactive (${status.reason}) — skipped`);
+      return undefined;
+    }
+
+    const { value, missing } = substituteVars(raw, lookup);
+    if (missing.length) {
+      console.warn(`⚠️ Slide '${id}' skipped — undefined variable(s): ${missing.join(", ")}`);
+      note(id, `undefined variable(s): ${missing.join(", ")} — skipped`);
+      return undefined;
+    }
+    return value;
+  };
 
   // ------------------------------------------------------------
   // NEW: Resolve MUX Panels — embed resolvedSlides[] inside slide
   // ------------------------------------------------------------
 
-  async function resolveMuxPanels(slide) {
+  async function resolveMuxPanels(slide, overrideCfg = clientCfg) {
     if (!slide.panels) return slide;
 
     const resolvedPanels = [];
@@ -52,7 +99,7 @@ export async function buildSlideshowForClient(slideshow, config) {
         if (!raw) continue;
 
         let child = normalizeSlide(raw);
-        child = applyClientOverrides(child, clientCfg);
+        child = applyClientOverrides(child, overrideCfg);
 
         switch (child.type) {
           case "image":
@@ -65,21 +112,25 @@ export async function buildSlideshowForClient(slideshow, config) {
             break;
 
           case "folder":
-            resolved.push(...expandLocalFolder(child));
+            resolved.push(...(await expandLocalFolder(child, ctx)));
+            break;
+
+          case "memories":
+            resolved.push(...(await expandMemories(child, ctx)));
             break;
 
           case "google":
           case "google-drive":
-            resolved.push(...(await expandGoogle(child)));
+            resolved.push(...(await expandGoogle(child, ctx)));
             break;
 
           case "onedrive":
           case "one-drive":
-            resolved.push(...(await expandOneDrive(child)));
+            resolved.push(...(await expandOneDrive(child, ctx)));
             break;
 
           case "movie":
-            resolved.push(await expandMovie(child));
+            resolved.push(await expandMovie(child, ctx));
             break;
 
           default:
@@ -139,7 +190,14 @@ export async function buildSlideshowForClient(slideshow, config) {
 
       // LOCAL FOLDER
       case "folder": {
-        const list = expandLocalFolder(slide);
+        const list = await expandLocalFolder(slide, ctx);
+        replaceOrAppend(expanded, slide.id, list);
+        return;
+      }
+
+      // MEMORIES (on this day, any photo source)
+      case "memories": {
+        const list = await expandMemories(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
@@ -147,7 +205,7 @@ export async function buildSlideshowForClient(slideshow, config) {
       // GOOGLE DRIVE
       case "google":
       case "google-drive": {
-        const list = await expandGoogle(slide);
+        const list = await expandGoogle(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
@@ -155,14 +213,14 @@ export async function buildSlideshowForClient(slideshow, config) {
       // ONEDRIVE
       case "onedrive":
       case "one-drive": {
-        const list = await expandOneDrive(slide);
+        const list = await expandOneDrive(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
 
       // MOVIE
       case "movie": {
-        const m = await expandMovie(slide);
+        const m = await expandMovie(slide, ctx);
         expanded.push(m);
         return;
       }
@@ -194,18 +252,23 @@ export async function buildSlideshowForClient(slideshow, config) {
   // Add slide (instance mode, duplicates allowed)
   // ------------------------------------------------------------
 
-  async function addSlideInstance(slideId) {
+  async function addSlideInstance({ id: slideId, overrides, origin }) {
     const raw = findMaster(slideId);
     if (!raw) return;
 
+    // Overrides travel with the entry (nested slideshows bring
+    // their own); origin is spread into every expanded slide
+    const overrideCfg = { overrides };
+
     let slide = normalizeSlide(raw);
-    slide = applyClientOverrides(slide, clientCfg);
+    slide = applyClientOverrides(slide, overrideCfg);
+    slide.origin = origin;
 
     const type = (slide.type || "").toLowerCase();
 
     switch (type) {
       case "movie": {
-        const m = await expandMovie(slide);
+        const m = await expandMovie(slide, ctx);
         expanded.push(m);
         return;
       }
@@ -215,6 +278,7 @@ export async function buildSlideshowForClient(slideshow, config) {
           id: slide.id,
           type: "pause",
           duration: slide.duration || 1,
+          origin,
         });
         return;
 
@@ -233,27 +297,33 @@ export async function buildSlideshowForClient(slideshow, config) {
         return;
 
       case "folder": {
-        const list = expandLocalFolder(slide);
+        const list = await expandLocalFolder(slide, ctx);
+        replaceOrAppend(expanded, slide.id, list);
+        return;
+      }
+
+      case "memories": {
+        const list = await expandMemories(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
 
       case "google":
       case "google-drive": {
-        const list = await expandGoogle(slide);
+        const list = await expandGoogle(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
 
       case "onedrive":
       case "one-drive": {
-        const list = await expandOneDrive(slide);
+        const list = await expandOneDrive(slide, ctx);
         replaceOrAppend(expanded, slide.id, list);
         return;
       }
 
       case "mux": {
-        const resolved = await resolveMuxPanels(slide);
+        const resolved = await resolveMuxPanels(slide, overrideCfg);
         expanded.push(resolved);
         return;
       }
@@ -264,17 +334,64 @@ export async function buildSlideshowForClient(slideshow, config) {
     }
   }
 
-  // Expand entry slides
-  for (const id of entryIds) {
-    await addSlideInstance(id);
+  // Expand entry slides, remembering which entry produced what
+  const groups = [];
+  for (const entry of entries) {
+    const before = expanded.length;
+    await addSlideInstance(entry);
+    groups.push({
+      key: entry.origin.query ?? groups.length,
+      slides: expanded.slice(before),
+    });
   }
 
   // Inject Google / OneDrive images into MUX (kept for backwards compatibility)
-  await injectPanelAssets(expanded);
+  await injectPanelAssets(expanded, ctx);
+
+  // Interstitial slides are expanded like entries, then lifted
+  // back out of the playlist to be re-inserted by rule
+  const rules = [];
+  for (const rule of clientCfg.interstitials || []) {
+    const before = expanded.length;
+    await addSlideInstance({
+      id: rule.slide,
+      overrides: clientCfg.overrides,
+      origin: { slideshow, via: [slideshow], interstitial: true },
+    });
+    rules.push({
+      items: expanded.splice(before),
+      every: Number(rule.every) || 0,
+      everyMinutes: Number(rule.every_minutes) || 0,
+      minGap: rule.min_gap,
+    });
+  }
+
+  // Slideshow-level order: (sequential | shuffle | weighted | …)
+  let ordered = orderSlides(expanded, groups, {
+    order: clientCfg.order,
+    seed: clientCfg.seed,
+  });
+
+  // dedupe: look-alike photos (across folders, Drive, OneDrive)
+  // play once — interstitials are left alone
+  if (clientCfg.dedupe !== undefined && clientCfg.dedupe !== false) {
+    const threshold = clientCfg.dedupe === true ? undefined : clientCfg.dedupe;
+    const { slides, removed } = await dedupeSlides(ordered, { threshold });
+    if (removed) note(slideshow, `dedupe: ${removed} look-alike image(s) left out`);
+    ordered = slides;
+  }
 
-  return expanded;
+  // Local photos as resized derivatives (images: settings), each
+  // image with its focal point
+  return applyFocus(applyDerivatives(applyInterstitials(ordered, rules), imageSettings(config, client)));
 }
 
+// Expanders called on their own: no diagnostics, no cache
+const UNCACHED = {
+  note: () => {},
+  listing: (slide, source, params, list) => list(),
+};
+
 // ------------------------------------------------------------
 // Utility: Replace placeholder or append
 // ------------------------------------------------------------
@@ -288,7 +405,7 @@ function replaceOrAppend(arr, id, items) {
 // INJECT PANEL ASSETS (legacy MUX injection - retained)
 // ------------------------------------------------------------
 
-async function injectPanelAssets(expanded) {
+async function injectPanelAssets(expanded, { note, listing } = UNCACHED) {
   for (const slide of expanded) {
     if (slide.type !== "mux" || !slide.panels) continue;
 
@@ -301,29 +418,31 @@ async function injectPanelAssets(expanded) {
 
         if (ref.type === "google-drive" && !ref.images) {
           try {
-            const items = await listGoogleImages({
-              folderId: ref.folderId,
-              order: ref.order,
-            });
-            ref.images = items;
+            const params = googleListOptions(ref);
+            const items = await listing(ref, "google-drive", params, () =>
+              listGoogleImages(params)
+            );
+            ref.images = ref.order === "random" ? shuffleDrive(items, ref) : items;
           } catch (err) {
             console.error(
               `❌ Google MUX inject error for ${sid}: ${err.message}`
             );
+            note(sid, `Google Drive listing failed: ${err.message}`);
           }
         }
 
         if (ref.type === "one-drive" && !ref.images) {
           try {
-            const items = await listOneDriveImages({
-              folderPath: ref.folderPath || "/Kiosk-Photos",
-              order: ref.order,
-            });
-            ref.images = items;
+            const params = oneDriveListOptions(ref);
+            const items = await listing(ref, "one-drive", params, () =>
+              listOneDriveImages(params)
+            );
+            ref.images = ref.order === "random" ? shuffle(items) : items;
           } catch (err) {
             console.error(
               `❌ OneDrive MUX inject error for ${sid}: ${err.message}`
             );
+            note(sid, `OneDrive listing failed: ${err.message}`);
           }
         }
       }
@@ -335,49 +454,139 @@ async function injectPanelAssets(expanded) {
 // EXPAND — LOCAL FOLDER
 // ------------------------------------------------------------
 
-function expandLocalFolder(slide) {
-  if (!slide.path) return [];
+async function expandLocalFolder(slide, { note, listing } = UNCACHED) {
+  if (!slide.path) {
+    note(slide.id, "folder slide has no path");
+    return [];
+  }
 
   try {
-    const files = listLocalPhotos(slide.path);
+    const query = photoQuery(slide);
+    let photos = await listing(slide, "local", query, async () =>
+      localListing(query)
+    );
+    if (photoIndexBuilding()) {
+      note(slide.id, `photo index still being built — ${photos.length} photo(s) read so far`);
+    } else if (!photos.length) {
+      note(slide.id, `no photos in '${slide.path}' match`);
+    }
+
+    if (slide.order === "random") photos = shuffle(photos);
+    else if (slide.order === "taken") {
+      photos = [...photos].sort((a, b) => a.taken.localeCompare(b.taken));
+    }
 
     if (slide.effect === "collage") {
       return [
         {
           ...slide,
           type: "image-folder",
-          images: files.map((file) => ({
-            url: `/photos/${file.replace(/^.*[\\/]/, "")}`,
-            file,
+          images: photos.map((p) => ({
+            url: `/media/photos/${p.path}`,
+            file: p.path,
           })),
         },
       ];
     }
 
-    return files.map((file, idx) => ({
+    return photos.map((p, idx) => ({
       ...slide,
       id: `${slide.id}__${idx}`,
       parentId: slide.id,
       type: "image",
-      file,
+      file: p.path,
     }));
   } catch (err) {
     console.error(`⚠️ Cannot read folder ${slide.path}: ${err.message}`);
+    note(slide.id, `cannot read folder '${slide.path}': ${err.message}`);
     return [];
   }
 }
 
+// Shared by folder and memories slides (same cache entries)
+async function localListing(query) {
+  return (await queryPhotos(query)).map((p) => ({
+    path: p.path,
+    taken: p.taken,
+    takenFrom: p.takenFrom,
+  }));
+}
+
 // ------------------------------------------------------------
-// EXPAND — GOOGLE DRIVE
+// EXPAND — MEMORIES
 // ------------------------------------------------------------
 
-async function expandGoogle(slide) {
+async function expandMemories(slide, { note, listing, now, timezone } = UNCACHED) {
+  const source = slide.source ?? "folder";
+
   try {
-    const items = await listGoogleImages({
-      folderId: slide.folderId,
-      files: slide.files,
-      order: slide.order || "sorted",
+    let items;
+    if (source === "google-drive") {
+      const params = googleListOptions(slide);
+      items = await listing(slide, "google-drive", params, () =>
+        listGoogleImages({ ...params, order: "sorted" })
+      );
+    } else if (source === "one-drive") {
+      const params = oneDriveListOptions(slide);
+      items = await listing(slide, "one-drive", params, () =>
+        listOneDriveImages({ ...params, order: "sorted" })
+      );
+    } else {
+      const query = memoriesQuery(slide);
+      items = await listing(slide, "local", query, async () => localListing(query));
+      if (photoIndexBuilding()) note(slide.id, "photo index still being built — showing what's read so far");
+      // An mtime is no capture date
+      items = items.filter((p) => p.takenFrom !== "file");
+    }
+
+    const { picked, fallback } = pickMemories(items, slide, { now, timezone });
+    if (!picked.length) {
+      note(slide.id, `no ${source} photos from earlier years near today's date`);
+    } else if (fallback) {
+      const window = slide.window_days ? `within ${slide.window_days} day(s) of today` : "on today's date";
+      const far = Math.max(...picked.map((c) => Math.abs(c.daysOff)));
+      note(slide.id, `nothing ${window} — showing the nearest, up to ${far} day(s) away`);
+    }
+
+    return picked.map(({ item, yearsAgo, daysOff, caption }, idx) => {
+      const { source: _source, caption: showCaption, ...rest } = slide;
+      const shown = {
+        ...rest,
+        id: `${slide.id}__${idx}`,
+        parentId: slide.id,
+        caption: showCaption === false ? undefined : caption,
+        memory: { taken: item.taken, yearsAgo, daysOff },
+      };
+
+      if (source === "folder") return { ...shown, type: "image", file: item.path };
+      return {
+        ...shown,
+        type: "remote-image",
+        file: item.url,
+        name: item.name,
+        [source === "google-drive" ? "googleId" : "onedriveId"]: item.id,
+        folder: item.folder,
+      };
     });
+  } catch (err) {
+    console.error(`⚠️ Memories expand failed for '${slide.id}': ${err.message}`);
+    note(slide.id, `${source} listing failed: ${err.message}`);
+    return [];
+  }
+}
+
+// ------------------------------------------------------------
+// EXPAND — GOOGLE DRIVE
+// ------------------------------------------------------------
+
+async function expandGoogle(slide, { note, listing } = UNCACHED) {
+  try {
+    const params = googleListOptions(slide);
+    let items = await listing(slide, "google-drive", params, () =>
+      listGoogleImages({ ...params, order: "sorted" })
+    );
+    if (slide.order === "random") items = shuffleDrive(items, slide);
+    if (!items.length) note(slide.id, "Google Drive returned no images");
 
     if (slide.effect === "collage") {
       return [
@@ -388,6 +597,7 @@ async function expandGoogle(slide) {
             url: f.url,
             name: f.name,
             googleId: f.id,
+            folder: f.folder,
           })),
         },
       ];
@@ -401,23 +611,32 @@ async function expandGoogle(slide) {
       file: file.url,
       name: file.name,
       googleId: file.id,
+      folder: file.folder,
     }));
   } catch (err) {
     console.error(`⚠️ Google expand failed: ${err.message}`);
+    note(slide.id, `Google Drive listing failed: ${err.message}`);
     return [];
   }
 }
 
+// group_by_folder: subfolders shuffled as blocks
+function shuffleDrive(items, slide) {
+  return slide.group_by_folder ? shuffleGroups(items, (f) => f.folder) : shuffle(items);
+}
+
 // ------------------------------------------------------------
 // EXPAND — ONEDRIVE
 // ------------------------------------------------------------
 
-async function expandOneDrive(slide) {
+async function expandOneDrive(slide, { note, listing } = UNCACHED) {
   try {
-    const items = await listOneDriveImages({
-      folderPath: slide.folderPath || "/Kiosk-Photos",
-      order: slide.order || "sorted",
-    });
+    const params = oneDriveListOptions(slide);
+    let items = await listing(slide, "one-drive", params, () =>
+      listOneDriveImages({ ...params, order: "sorted" })
+    );
+    if (slide.order === "random") items = shuffle(items);
+    if (!items.length) note(slide.id, "OneDrive returned no images");
 
     if (slide.effect === "collage") {
       return [
@@ -428,6 +647,7 @@ async function expandOneDrive(slide) {
             url: f.url,
             name: f.name,
             onedriveId: f.id,
+            folder: f.folder,
           })),
         },
       ];
@@ -441,9 +661,11 @@ async function expandOneDrive(slide) {
       file: file.url,
       name: file.name,
       onedriveId: file.id,
+      folder: file.folder,
     }));
   } catch (err) {
     console.error(`⚠️ OneDrive expand failed: ${err.message}`);
+    note(slide.id, `OneDrive listing failed: ${err.message}`);
     return [];
   }
 }
@@ -452,7 +674,7 @@ async function expandOneDrive(slide) {
 // EXPAND — MOVIE
 // ------------------------------------------------------------
 
-async function expandMovie(slide) {
+async function expandMovie(slide, { note } = UNCACHED) {
   try {
     if (!slide.folder) {
       throw new Error(`Movie slide '${slide.id}' is missing folder property`);
@@ -470,6 +692,7 @@ async function expandMovie(slide) {
     console.error(
       `⚠️ Movie expand failed for folder '${slide.folder}': ${err.message}`
     );
+    note(slide.id, `movie not resolved: ${err.message}`);
     return slide;
   }
 }
@@ -2,38 +2,6 @@
 // 🧰 Slideshow Utility Helpers (v3, MUX-safe)
 // ------------------------------------------------------------
 
-import fs from "fs";
-import path from "path";
-import { PHOTOS_DIR } from "../../../shared/paths.js";
-
-// ------------------------------------------------------------
-// LOCAL PHOTO LISTING (IMPROVED)
-// ------------------------------------------------------------
-//
-// Accepts either:
-//   • listLocalPhotos()                → scans PHOTOS_DIR
-//   • listLocalPhotos("kitchen/*.jpg") → absolute glob-like
-//   • listLocalPhotos("kitchen")       → scans PHOTOS_DIR/kitchen
-//
-// Returns absolute file paths.
-//
-export function listLocalPhotos(folder = "") {
-  let dir = PHOTOS_DIR;
-
-  if (folder && typeof folder === "string") {
-    // Allow sub-folders under photos/
-    const sub = path.join(PHOTOS_DIR, folder);
-    if (fs.existsSync(sub) && fs.statSync(sub).isDirectory()) {
-      dir = sub;
-    }
-  }
-
-  return fs
-    .readdirSync(dir)
-    .filter((f) => /\.(jpg|jpeg|png)$/i.test(f))
-    .map((f) => path.join(dir, f));
-}
-
 // ------------------------------------------------------------
 // SLIDE NORMALIZATION (IMPROVED + MUX-SAFE)
 // ------------------------------------------------------------
@@ -66,7 +34,7 @@ export function normalizeSlide(slide) {
   // ------------------------------------------------------------
   // EXPLICIT TYPES (highest priority — never override)
   // ------------------------------------------------------------
-  if (["mux", "youtube", "html", "folder", "movie", "pause"].includes(rawType)) {
+  if (["mux", "youtube", "html", "folder", "memories", "movie", "pause"].includes(rawType)) {
     s.type = rawType;
     applyDefaults(s);
     return s;
@@ -0,0 +1,1191 @@
+// ------------------------------------------------------------
+// ✅ Slideshow Config Validator
+// ------------------------------------------------------------
+//
+// Checks slideshow-config.yaml against the slide types that
+// normalizeSlide() understands, then cross-checks references:
+//
+//   • unknown / misspelled keys        (folderid: vs folderId:)
+//   • bad values                       (duration: infinte)
+//   • duplicate slide IDs
+//   • dangling IDs in include: and mux panels[].slides
+//   • mux panels that (indirectly) contain themselves
+//   • schedule blocks (days, time windows, dates, timezone)
+//   • extends: / "@slideshow" references and their cycles
+//   • tag:/type:/id: query includes (syntax, empty results)
+//   • valid_from / valid_until / max_plays (expired slides warn)
+//   • ${VAR} references that are defined nowhere
+//   • accounts: (no secrets in the YAML) and slides' account:
+//
+// Every issue carries the YAML line/column it points at.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import { parseDocument, LineCounter, isMap, isSeq, isPair } from "yaml";
+import { SLIDESHOW_CONFIG_FILE, DATABASE_FILE } from "../../../shared/paths.js";
+import { usingSqlite } from "../../../shared/db.js";
+import { readSlideshowConfigText } from "../../../shared/config-loader.js";
+import { normalizeSlide } from "./slideshow-util.js";
+import {
+  isValidTimezone,
+  resolveTimezone,
+  parseTimeWindow,
+  parseScheduleDate,
+  parseDays,
+} from "./slideshow-schedule.js";
+import { slideStatus } from "./slide-validity.js";
+import { slideshowReferences } from "./slideshow-entry.js";
+import { isSlideQuery, parseSlideQuery, selectSlides } from "./slideshow-query.js";
+import { ORDER_MODES } from "./slideshow-order.js";
+import { CACHE_SOURCES } from "./expansion-cache.js";
+import { findVarRefs, envVar, ENV_VAR_PREFIX } from "./slideshow-vars.js";
+import { MEMORY_SOURCES } from "./slideshow-memories.js";
+import { DERIVATIVE_FITS, DERIVATIVE_FORMATS } from "../images/image-derivatives.js";
+import { MAX_SIZE } from "../images/image-proxy.js";
+import { parseFocus } from "../images/image-focus.js";
+import { ORIENTATIONS } from "../photos/photo-index.js";
+import {
+  ACCOUNT_TYPES,
+  ACCOUNT_SETTINGS,
+  ACCOUNT_NAME_RE,
+  credentialsPathProblem,
+} from "../accounts/account-registry.js";
+
+// ------------------------------------------------------------
+// Value checks — each returns an error string or null
+// ------------------------------------------------------------
+
+const isString = (v) => (typeof v === "string" ? null : "must be a string");
+
+const isNumber = (v) =>
+  typeof v === "number" && Number.isFinite(v) ? null : "must be a number";
+
+const isBoolean = (v) => (typeof v === "boolean" ? null : "must be true or false");
+
+const isStringList = (v) =>
+  Array.isArray(v) && v.every((x) => typeof x === "string")
+    ? null
+    : "must be a list of strings";
+
+const isStringOrList = (v) => (typeof v === "string" ? null : isStringList(v));
+
+const oneOf = (...values) => (v) =>
+  values.includes(v)
+    ? null
+    : `must be one of: ${values.join(", ")}${suggest(v, values)}`;
+
+function isDuration(v) {
+  if (typeof v === "number" && v >= 0) return null;
+  if (v === "infinite") return null;
+  return `must be a number of seconds or "infinite"${suggest(v, ["infinite"])}`;
+}
+
+// YYYY-MM-DD or a full ISO date-time
+const isDateTime = (v) =>
+  (typeof v === "string" || v instanceof Date) && !Number.isNaN(new Date(v).getTime())
+    ? null
+    : 'must be a date ("YYYY-MM-DD") or ISO date-time';
+
+const isScheduleDate = (v) =>
+  parseScheduleDate(v) ? null : 'must be "MM-DD" or "YYYY-MM-DD"';
+
+const isWholeNumber = (min) => (v) =>
+  Number.isInteger(v) && v >= min ? null : `must be a whole number ≥ ${min}`;
+
+const isFocus = (v) =>
+  parseFocus(v)
+    ? null
+    : 'must be attention, entropy, center, a point like "30% 20%" or "left top", or { x, y } fractions';
+
+// ------------------------------------------------------------
+// Schema
+// ------------------------------------------------------------
+
+const EFFECTS = [
+  "fade",
+  "cut",
+  "none",
+  "kenburns-zoom-in",
+  "kenburns-zoom-out",
+  "kenburns-pan-left",
+  "kenburns-pan-right",
+  "kenburns-pan-up",
+  "kenburns-pan-down",
+  "animate-smooth",
+  "collage",
+];
+
+const COMMON_FIELDS = {
+  id: isString,
+  type: isString,
+  title: isString,
+  name: isString,
+  duration: isDuration,
+  effect: isString,
+  focus: isFocus,
+  tags: isStringList,
+  weight: (v) => (typeof v === "number" && v >= 0 ? null : "must be a number ≥ 0"),
+  valid_from: isScheduleDate,
+  valid_until: isScheduleDate,
+  max_plays: (v) => (Number.isInteger(v) && v > 0 ? null : "must be a whole number > 0"),
+};
+
+const COLLAGE_FIELDS = {
+  fps: isNumber,
+  imageMaxPosition: isNumber,
+  imageMinSize: isNumber,
+  imageMaxSize: isNumber,
+  borderWidth: isNumber,
+  borderColor: isString,
+  background: isString,
+  imageInEffect: oneOf("cut", "fade", "dissolve"),
+  imageOutEffect: oneOf("fade"),
+};
+
+const ORDER = oneOf("sorted", "random");
+
+// Keyed by the type normalizeSlide() produces
+const SLIDE_SCHEMAS = {
+  image: {
+    required: ["file"],
+    fields: { file: isString, refresh: isString },
+  },
+  "remote-image": {
+    required: ["file"],
+    fields: { file: isString, refresh: isString },
+  },
+  "multi-frame": {
+    required: ["file"],
+    fields: { file: isString, fps: isNumber, repeat: isNumber, frames: isStringList },
+  },
+  video: {
+    required: ["file"],
+    fields: { file: isString, start: isNumber },
+  },
+  folder: {
+    required: ["path"],
+    fields: {
+      path: isString,
+      recursive: isBoolean,
+      order: oneOf("sorted", "random", "taken"),
+      match: isStringOrList,
+      taken_after: isDateTime,
+      taken_before: isDateTime,
+      camera: isStringOrList,
+      orientation: oneOf(...ORIENTATIONS),
+      keywords: isStringOrList,
+      ...COLLAGE_FIELDS,
+    },
+    collage: true,
+  },
+  "google-drive": {
+    required: [],
+    fields: {
+      folderId: isString,
+      files: isStringList,
+      order: ORDER,
+      drive_id: isString,
+      recursive: isBoolean,
+      group_by_folder: isBoolean,
+      account: isString,
+      match: isStringOrList,
+      mime_types: (v) =>
+        isStringList(v) ?? (v.every((m) => m.includes("/")) ? null : "must be MIME types like image/jpeg"),
+      modified_after: isDateTime,
+      modified_before: isDateTime,
+      ...COLLAGE_FIELDS,
+    },
+    collage: true,
+  },
+  "one-drive": {
+    required: [],
+    fields: {
+      folderPath: isString,
+      folder: isString,
+      account: isString,
+      order: ORDER,
+      recursive: isBoolean,
+      ...COLLAGE_FIELDS,
+    },
+    collage: true,
+  },
+  memories: {
+    required: [],
+    fields: {
+      source: oneOf(...MEMORY_SOURCES),
+      window_days: isWholeNumber(0),
+      fallback_days: isWholeNumber(0),
+      limit: isWholeNumber(1),
+      order: oneOf("taken", "random"),
+      caption: isBoolean,
+      path: isString,
+      recursive: isBoolean,
+      match: isStringOrList,
+      camera: isStringOrList,
+      orientation: oneOf(...ORIENTATIONS),
+      keywords: isStringOrList,
+      account: isString,
+      folderId: isString,
+      drive_id: isString,
+      folderPath: isString,
+      folder: isString,
+    },
+  },
+  movie: {
+    required: ["folder"],
+    fields: { folder: isString, start: isNumber },
+  },
+  mux: {
+    required: ["layout", "panels"],
+    fields: {
+      layout: (v) =>
+        typeof v === "string" && /^\d+x\d+$/.test(v)
+          ? null
+          : 'must look like "<rows>x<cols>", e.g. "2x2"',
+      panels: (v) => (Array.isArray(v) ? null : "must be a list of panels"),
+      hide_panel_titles: isBoolean,
+    },
+  },
+  html: {
+    required: ["url"],
+    fields: { url: isString },
+  },
+  webpage: {
+    required: ["url"],
+    fields: { url: isString },
+  },
+  youtube: {
+    required: ["video_id"],
+    fields: { video_id: isString, start: isNumber },
+  },
+  pause: {
+    required: [],
+    fields: {},
+  },
+};
+
+const PANEL_FIELDS = {
+  slides: isStringList,
+  panel_duration: isDuration,
+  align: isString,
+  scale: isNumber,
+  fit: oneOf("contain", "cover"),
+  title: isString,
+};
+
+const isOverrideMap = (v) =>
+  v && typeof v === "object" && !Array.isArray(v)
+    ? null
+    : "must be a map of slide ID → overridden fields";
+
+const isTimezone = (v) =>
+  typeof v === "string" && isValidTimezone(v)
+    ? null
+    : "must be an IANA timezone, e.g. America/New_York";
+
+const SLIDESHOW_FIELDS = {
+  extends: isString,
+  include: isStringList,
+  add: isStringList,
+  remove: isStringList,
+  overrides: isOverrideMap,
+  timezone: isTimezone,
+  order: oneOf(...ORDER_MODES),
+  seed: (v) =>
+    typeof v === "number" || typeof v === "string" ? null : "must be a number or string",
+  dedupe: (v) =>
+    typeof v === "boolean" || (Number.isInteger(v) && v >= 0 && v <= 64)
+      ? null
+      : "must be true, false or a bit threshold 0..64",
+  interstitials: (v) => (Array.isArray(v) ? null : "must be a list of interstitial rules"),
+  vars: (v) => isVarMap(v),
+  schedule: (v) => (Array.isArray(v) ? null : "must be a list of schedule blocks"),
+};
+
+const SCHEDULE_FIELDS = {
+  name: isString,
+  days: (v) =>
+    parseDays(v)
+      ? null
+      : "must list days (mon … sun, weekdays, weekends, daily)",
+  time: (v) =>
+    (Array.isArray(v) ? v : [v]).every(parseTimeWindow)
+      ? null
+      : 'must be "HH:MM-HH:MM" or a list of them',
+  from: isScheduleDate,
+  until: isScheduleDate,
+  priority: isNumber,
+  include: isStringList,
+  overrides: isOverrideMap,
+};
+
+const isCount = (v) =>
+  Number.isInteger(v) && v >= 0 ? null : "must be a whole number ≥ 0";
+
+const INTERSTITIAL_FIELDS = {
+  slide: isString,
+  every: isCount,
+  every_minutes: (v) => (typeof v === "number" && v > 0 ? null : "must be a number > 0"),
+  min_gap: isCount,
+};
+
+function isVarMap(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "must be a map of name → value";
+  const bad = Object.entries(v).find(([, x]) => x !== null && typeof x === "object");
+  return bad ? `'${bad[0]}' must be a string or number` : null;
+}
+
+const CLIENT_FIELDS = {
+  vars: isVarMap,
+  images: (v) => (isPlainMap(v) ? null : "must be a map of image settings"),
+};
+
+const isPixels = (v) =>
+  Number.isInteger(v) && v >= 1 && v <= MAX_SIZE ? null : `must be a whole number of pixels, 1–${MAX_SIZE}`;
+
+// images: (top level and per client) — see image-derivatives.js
+const IMAGE_FIELDS = {
+  derivatives: isBoolean,
+  width: isPixels,
+  height: isPixels,
+  fit: oneOf(...DERIVATIVE_FITS),
+  format: oneOf(...DERIVATIVE_FORMATS),
+  quality: (v) => (Number.isInteger(v) && v >= 1 && v <= 100 ? null : "must be a whole number 1–100"),
+};
+
+const isSeconds = (v) =>
+  typeof v === "number" && v >= 0 ? null : "must be a number of seconds ≥ 0";
+
+function isTtlMap(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "must be a map of source → seconds";
+  for (const [source, ttl] of Object.entries(v)) {
+    if (!CACHE_SOURCES.includes(source)) {
+      return `has unknown source '${source}'${suggest(source, CACHE_SOURCES)}`;
+    }
+    if (isSeconds(ttl)) return `'${source}' ${isSeconds(ttl)}`;
+  }
+  return null;
+}
+
+const CACHE_FIELDS = {
+  ttl: isTtlMap,
+  stale_while_revalidate: isSeconds,
+};
+
+const TOP_LEVEL_KEYS = [
+  "slides",
+  "slideshows",
+  "timezone",
+  "vars",
+  "vars_from_env",
+  "clients",
+  "cache",
+  "accounts",
+  "images",
+];
+
+// accounts: entries — settings only, secrets go in the
+// credentials file (see account-registry.js)
+const ACCOUNT_FIELDS = {
+  google: { scopes: (v) => (typeof v === "string" ? null : isStringList(v)) },
+  onedrive: Object.fromEntries(ACCOUNT_SETTINGS.onedrive.map((k) => [k, isString])),
+};
+const ACCOUNT_COMMON_FIELDS = { type: isString, credentials: credentialsPathProblem, description: isString };
+const SECRET_KEYS = ["client_secret", "private_key", "secret", "password", "token", "refresh_token"];
+
+// Slide type → account type it signs in with
+const SLIDE_ACCOUNT_TYPES = { "google-drive": "google", "one-drive": "onedrive" };
+
+// memories: keys only some sources use
+const MEMORY_KEY_SOURCES = {
+  path: ["folder"],
+  camera: ["folder"],
+  orientation: ["folder"],
+  keywords: ["folder"],
+  match: ["folder", "google-drive"],
+  account: ["google-drive", "one-drive"],
+  folderId: ["google-drive"],
+  drive_id: ["google-drive"],
+  folderPath: ["one-drive"],
+  folder: ["one-drive"],
+};
+
+// Raw `type:` values normalizeSlide() accepts (aliases included)
+const KNOWN_TYPES = [
+  ...Object.keys(SLIDE_SCHEMAS),
+  "google",
+  "onedrive",
+];
+
+// ------------------------------------------------------------
+// PUBLIC API
+// ------------------------------------------------------------
+
+/**
+ * Validate slideshow config YAML text.
+ * Returns { ok, errors[], warnings[] } where each issue is
+ * { path, message, line, column }.
+ */
+export function validateSlideshowConfigText(text) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter, prettyErrors: false });
+  const report = createReport(doc, lineCounter);
+
+  for (const err of doc.errors) {
+    const pos = lineCounter.linePos(err.pos[0]);
+    report.issues.push({
+      level: "error",
+      path: "",
+      message: `YAML syntax: ${err.message.split("\n")[0]}`,
+      line: pos.line,
+      column: pos.col,
+    });
+  }
+
+  if (doc.errors.length === 0) {
+    const cfg = doc.toJS() || {};
+    if (typeof cfg !== "object" || Array.isArray(cfg)) {
+      report.error([], "Config must be a YAML map with slides: and slideshows:");
+    } else {
+      checkConfig(cfg, report);
+    }
+  }
+
+  return report.result();
+}
+
+/**
+ * Validate the slideshow config file on disk
+ * (defaults to SLIDESHOW_CONFIG_FILE).
+ */
+export function validateSlideshowConfigFile(file = SLIDESHOW_CONFIG_FILE) {
+  if (!fs.existsSync(file)) {
+    return {
+      ok: false,
+      file,
+      errors: [{ path: "", message: `Slideshow config not found: ${file}`, line: null, column: null }],
+      warnings: [],
+    };
+  }
+
+  const text = fs.readFileSync(file, "utf8");
+  return { file, ...validateSlideshowConfigText(text) };
+}
+
+/**
+ * Validate the config the hub actually reads: the YAML file,
+ * or the database (exported as YAML) with CONFIG_STORE=sqlite.
+ */
+export function validateSlideshowConfigStore() {
+  if (!usingSqlite()) return validateSlideshowConfigFile();
+  return { file: DATABASE_FILE, ...validateSlideshowConfigText(readSlideshowConfigText()) };
+}
+
+/**
+ * Format an issue as "file:line:col  path  message".
+ */
+export function formatIssue(issue, file = "") {
+  const where =
+    issue.line != null ? `${file}:${issue.line}:${issue.column}` : file;
+  return [where, issue.path, issue.message].filter(Boolean).join("  ");
+}
+
+// ------------------------------------------------------------
+// Report helper — collects issues and resolves YAML positions
+// ------------------------------------------------------------
+
+function createReport(doc, lineCounter) {
+  const issues = [];
+
+  function locate(path, onKey) {
+    let node = doc.contents;
+    let keyNode = null;
+
+    for (const seg of path) {
+      if (isMap(node)) {
+        const pair = node.items.find(
+          (p) => isPair(p) && String(p.key?.value ?? p.key) === String(seg)
+        );
+        if (!pair) break;
+        keyNode = pair.key;
+        node = pair.value;
+      } else if (isSeq(node)) {
+        keyNode = null;
+        node = node.items[seg];
+      } else {
+        break;
+      }
+      if (!node) break;
+    }
+
+    const target = onKey && keyNode ? keyNode : node || keyNode;
+    if (!target?.range) return { line: null, column: null };
+
+    const pos = lineCounter.linePos(target.range[0]);
+    return { line: pos.line, column: pos.col };
+  }
+
+  function add(level, path, message, onKey = false) {
+    issues.push({ level, path: formatPath(path), message, ...locate(path, onKey) });
+  }
+
+  return {
+    issues,
+    error: (path, message, onKey) => add("error", path, message, onKey),
+    warn: (path, message, onKey) => add("warning", path, message, onKey),
+    result() {
+      const strip = ({ level, ...rest }) => rest;
+      const errors = issues.filter((i) => i.level === "error").map(strip);
+      const warnings = issues.filter((i) => i.level === "warning").map(strip);
+      return { ok: errors.length === 0, errors, warnings };
+    },
+  };
+}
+
+function formatPath(path) {
+  return path
+    .map((seg, i) =>
+      typeof seg === "number" ? `[${seg}]` : i === 0 ? seg : `.${seg}`
+    )
+    .join("");
+}
+
+// ------------------------------------------------------------
+// Checks
+// ------------------------------------------------------------
+
+function checkConfig(cfg, report) {
+  for (const key of Object.keys(cfg)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      report.warn([key], `Unknown top-level key '${key}'${suggest(key, TOP_LEVEL_KEYS)}`, true);
+    }
+  }
+
+  if (cfg.timezone !== undefined) {
+    const problem = isTimezone(cfg.timezone);
+    if (problem) report.error(["timezone"], `timezone ${problem}`);
+  }
+
+  if (cfg.vars !== undefined) {
+    const problem = isVarMap(cfg.vars);
+    if (problem) report.error(["vars"], `vars: ${problem}`);
+  }
+
+  if (cfg.vars_from_env !== undefined) {
+    const problem = isStringList(cfg.vars_from_env);
+    if (problem) report.error(["vars_from_env"], `vars_from_env ${problem}`);
+  }
+
+  if (cfg.cache !== undefined) {
+    if (!isPlainMap(cfg.cache)) report.error(["cache"], "cache: must be a map");
+    else checkFields(cfg.cache, CACHE_FIELDS, ["cache"], "cache", report);
+  }
+
+  if (cfg.accounts !== undefined) checkAccounts(cfg.accounts, report);
+
+  if (cfg.images !== undefined) {
+    if (!isPlainMap(cfg.images)) report.error(["images"], "images: must be a map");
+    else checkFields(cfg.images, IMAGE_FIELDS, ["images"], "images", report);
+  }
+
+  if (cfg.clients !== undefined) {
+    if (!cfg.clients || typeof cfg.clients !== "object" || Array.isArray(cfg.clients)) {
+      report.error(["clients"], "clients: must be a map of client host → settings");
+    } else {
+      for (const [host, entry] of Object.entries(cfg.clients)) {
+        if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+          report.error(["clients", host], `Client '${host}' must be a map`);
+          continue;
+        }
+        checkFields(entry, CLIENT_FIELDS, ["clients", host], `Client '${host}'`, report);
+        if (isPlainMap(entry.images)) {
+          checkFields(entry.images, IMAGE_FIELDS, ["clients", host, "images"], `Client '${host}' images`, report);
+        }
+      }
+    }
+  }
+
+  const slides = cfg.slides ?? [];
+  if (!Array.isArray(slides)) {
+    report.error(["slides"], "slides: must be a list");
+    return;
+  }
+
+  const byId = new Map();
+
+  slides.forEach((raw, idx) => {
+    const path = ["slides", idx];
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      report.error(path, "Slide must be a map");
+      return;
+    }
+
+    if (!raw.id) {
+      report.error(path, "Slide is missing id");
+    } else if (byId.has(String(raw.id))) {
+      report.error(
+        [...path, "id"],
+        `Duplicate slide id '${raw.id}' (first defined at slides[${byId.get(String(raw.id)).idx}])`
+      );
+    } else {
+      byId.set(String(raw.id), { idx, raw });
+    }
+
+    checkSlide(raw, path, report);
+  });
+
+  checkMuxReferences(slides, byId, report);
+  checkMuxCycles(slides, byId, report);
+  checkValidity(slides, cfg, report);
+
+  const slideshows = cfg.slideshows ?? {};
+  if (!slideshows || typeof slideshows !== "object" || Array.isArray(slideshows)) {
+    report.error(["slideshows"], "slideshows: must be a map of name → slideshow");
+    return;
+  }
+
+  for (const [name, show] of Object.entries(slideshows)) {
+    checkSlideshow(name, show, byId, slideshows, report);
+  }
+
+  checkSlideshowCycles(slideshows, report);
+  checkVars(slides, cfg, report);
+  checkAccountRefs(slides, cfg, report);
+}
+
+function slideType(raw) {
+  const rawType = String(raw.type || "").toLowerCase();
+  if (raw.type && !KNOWN_TYPES.includes(rawType)) return null;
+  return normalizeSlide({ ...raw, id: raw.id || "_" }).type;
+}
+
+function checkSlide(raw, path, report) {
+  const type = slideType(raw);
+  const label = raw.id ? `Slide '${raw.id}'` : "Slide";
+
+  if (!type) {
+    report.error(
+      [...path, "type"],
+      `${label}: unknown type '${raw.type}'${suggest(raw.type, KNOWN_TYPES)}`
+    );
+    return;
+  }
+
+  const schema = SLIDE_SCHEMAS[type];
+  const fields = { ...COMMON_FIELDS, ...schema.fields };
+  checkFields(raw, fields, path, `${label} (${type})`, report);
+
+  for (const key of schema.required) {
+    if (raw[key] === undefined || raw[key] === null || raw[key] === "") {
+      report.error(path, `${label} (${type}) is missing required '${key}'`);
+    }
+  }
+
+  if (raw.effect !== undefined && typeof raw.effect === "string") {
+    if (!EFFECTS.includes(raw.effect)) {
+      report.warn(
+        [...path, "effect"],
+        `${label}: unknown effect '${raw.effect}'${suggest(raw.effect, EFFECTS)}`
+      );
+    } else if (raw.effect === "collage" && !schema.collage) {
+      report.warn(
+        [...path, "effect"],
+        `${label}: effect 'collage' only applies to folder, google-drive and one-drive slides`
+      );
+    }
+  }
+
+  if (type === "google-drive" && !raw.folderId && !raw.files) {
+    report.error(path, `${label} (google-drive) needs folderId or files`);
+  }
+
+  if (type === "one-drive" && raw.folderPath !== undefined && raw.folder !== undefined) {
+    report.error(path, `${label} (one-drive) has both folderPath and folder — use one`);
+  }
+
+  if (type === "memories") checkMemories(raw, path, label, report);
+
+  if (type === "mux" && Array.isArray(raw.panels)) {
+    raw.panels.forEach((panel, pi) => {
+      const ppath = [...path, "panels", pi];
+      if (!panel || typeof panel !== "object" || Array.isArray(panel)) {
+        report.error(ppath, `${label}: panel must be a map`);
+        return;
+      }
+      checkFields(panel, PANEL_FIELDS, ppath, `${label} panel ${pi}`, report);
+      if (!Array.isArray(panel.slides) || panel.slides.length === 0) {
+        report.warn(ppath, `${label} panel ${pi} has no slides`);
+      }
+    });
+  }
+}
+
+function checkMemories(raw, path, label, report) {
+  const source = raw.source ?? "folder";
+  if (!MEMORY_SOURCES.includes(source)) return;
+
+  for (const [key, sources] of Object.entries(MEMORY_KEY_SOURCES)) {
+    if (raw[key] !== undefined && !sources.includes(source)) {
+      report.error(
+        [...path, key],
+        `${label} (memories): '${key}' only applies to source: ${sources.join(" / ")}`
+      );
+    }
+  }
+
+  if (source === "google-drive" && !raw.folderId) {
+    report.error(path, `${label} (memories) needs folderId for source: google-drive`);
+  }
+}
+
+function checkFields(obj, fields, path, label, report) {
+  const known = Object.keys(fields);
+
+  for (const [key, value] of Object.entries(obj)) {
+    const check = fields[key];
+
+    if (!check) {
+      report.error(
+        [...path, key],
+        `${label}: unknown key '${key}'${suggest(key, known)}`,
+        true
+      );
+      continue;
+    }
+
+    const problem = check(value);
+    if (problem) report.error([...path, key], `${label}: '${key}' ${problem}`);
+  }
+}
+
+// ------------------------------------------------------------
+// accounts: and the slides that use them
+// ------------------------------------------------------------
+
+function checkAccounts(accounts, report) {
+  if (!isPlainMap(accounts)) {
+    report.error(["accounts"], "accounts: must be a map of name → account");
+    return;
+  }
+
+  for (const [name, entry] of Object.entries(accounts)) {
+    const path = ["accounts", name];
+    const label = `Account '${name}'`;
+
+    if (!ACCOUNT_NAME_RE.test(name)) {
+      report.error(path, `${label}: names may only use letters, digits, - and _`);
+    }
+    if (!isPlainMap(entry)) {
+      report.error(path, `${label} must be a map`);
+      continue;
+    }
+    if (!ACCOUNT_TYPES.includes(entry.type)) {
+      report.error(
+        [...path, "type"],
+        `${label}: type must be one of: ${ACCOUNT_TYPES.join(", ")}${suggest(entry.type, ACCOUNT_TYPES)}`
+      );
+      continue;
+    }
+
+    const secrets = Object.keys(entry).filter((k) => SECRET_KEYS.includes(k));
+    for (const key of secrets) {
+      report.error(
+        [...path, key],
+        `${label}: '${key}' is a secret — keep it out of the config and store it with ` +
+          `PUT /api/v1/accounts/${name}/credentials`
+      );
+    }
+
+    const rest = Object.fromEntries(Object.entries(entry).filter(([k]) => !secrets.includes(k)));
+    checkFields(rest, { ...ACCOUNT_COMMON_FIELDS, ...ACCOUNT_FIELDS[entry.type] }, path, label, report);
+  }
+}
+
+// An unknown account only breaks that slide's listing; a
+// mismatched one is a mistake
+function checkAccountRefs(slides, cfg, report) {
+  const accounts = isPlainMap(cfg.accounts) ? cfg.accounts : {};
+
+  slides.forEach((raw, idx) => {
+    if (!raw || typeof raw !== "object" || typeof raw.account !== "string") return;
+
+    const type = slideType(raw);
+    const wanted = SLIDE_ACCOUNT_TYPES[type === "memories" ? raw.source : type];
+    const path = ["slides", idx, "account"];
+    const label = `Slide '${raw.id}'`;
+
+    if (!wanted) return;
+    if (!Object.hasOwn(accounts, raw.account)) {
+      report.warn(
+        path,
+        `${label} uses unknown account '${raw.account}'${suggest(raw.account, Object.keys(accounts))}`
+      );
+    } else if (accounts[raw.account]?.type !== wanted) {
+      report.error(
+        path,
+        `${label} (${type}) needs a ${wanted} account; '${raw.account}' is ${accounts[raw.account]?.type}`
+      );
+    }
+  });
+}
+
+// A ${VAR} must be defined somewhere: config vars, a
+// slideshow's or client's vars, or the environment the way
+// varLookup() reads it. (Which kiosk gets which value is only
+// known at build time.)
+function checkVars(slides, cfg, report) {
+  const defined = new Set([
+    ...Object.keys(isPlainMap(cfg.vars) ? cfg.vars : {}),
+    ...Object.values(isPlainMap(cfg.slideshows) ? cfg.slideshows : {}).flatMap((s) =>
+      isPlainMap(s?.vars) ? Object.keys(s.vars) : []
+    ),
+    ...Object.values(isPlainMap(cfg.clients) ? cfg.clients : {}).flatMap((c) =>
+      isPlainMap(c?.vars) ? Object.keys(c.vars) : []
+    ),
+  ]);
+
+  slides.forEach((raw, idx) => {
+    if (!raw || typeof raw !== "object") return;
+
+    const seen = new Set();
+    for (const { name, fallback } of findVarRefs(raw)) {
+      if (fallback !== undefined || seen.has(name)) continue;
+      seen.add(name);
+
+      if (!defined.has(name) && envVar(cfg, name) === undefined) {
+        report.error(
+          ["slides", idx],
+          `Slide '${raw.id}' uses undefined variable \${${name}} — define it in vars:, ` +
+            `${ENV_VAR_PREFIX}${name} or vars_from_env:${suggest(name, [...defined])}`
+        );
+      }
+    }
+  });
+}
+
+function isPlainMap(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Expired slides still parse fine but will never play again
+function checkValidity(slides, cfg, report) {
+  const timezone = resolveTimezone(null, cfg);
+  if (!isValidTimezone(timezone)) return;
+
+  slides.forEach((raw, idx) => {
+    if (!raw || typeof raw !== "object" || !raw.id) return;
+
+    const from = raw.valid_from ? parseScheduleDate(raw.valid_from) : null;
+    const until = raw.valid_until ? parseScheduleDate(raw.valid_until) : null;
+    if ((raw.valid_from && !from) || (raw.valid_until && !until)) return;
+
+    if (from?.year && until?.year) {
+      const key = (d) => d.year * 10000 + d.month * 100 + d.day;
+      if (key(from) > key(until)) {
+        report.error(
+          ["slides", idx, "valid_until"],
+          `Slide '${raw.id}': valid_until is before valid_from`
+        );
+        return;
+      }
+    }
+
+    const status = slideStatus(raw, { timezone });
+    if (status.expired) {
+      report.warn(
+        ["slides", idx],
+        `Slide '${raw.id}' ${status.reason} — it no longer plays and can be removed`
+      );
+    }
+  });
+}
+
+function checkMuxReferences(slides, byId, report) {
+  slides.forEach((raw, idx) => {
+    if (!raw || String(raw.type).toLowerCase() !== "mux") return;
+    if (!Array.isArray(raw.panels)) return;
+
+    raw.panels.forEach((panel, pi) => {
+      (panel?.slides || []).forEach((sid, si) => {
+        if (typeof sid === "string" && !byId.has(sid)) {
+          report.error(
+            ["slides", idx, "panels", pi, "slides", si],
+            `Mux '${raw.id}' panel ${pi} references unknown slide '${sid}'${suggest(sid, [...byId.keys()])}`
+          );
+        }
+      });
+    });
+  });
+}
+
+function checkMuxCycles(slides, byId, report) {
+  const children = (raw) =>
+    String(raw?.type).toLowerCase() === "mux" && Array.isArray(raw.panels)
+      ? raw.panels.flatMap((p) => p?.slides || [])
+      : [];
+
+  const state = new Map(); // id → "visiting" | "done"
+  const reported = new Set();
+
+  function visit(id, trail) {
+    if (state.get(id) === "done") return;
+
+    if (state.get(id) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      const key = [...cycle].sort().join("|");
+      if (!reported.has(key)) {
+        reported.add(key);
+        report.error(
+          ["slides", byId.get(id).idx, "panels"],
+          `Mux cycle: ${cycle.join(" → ")}`
+        );
+      }
+      return;
+    }
+
+    state.set(id, "visiting");
+    for (const child of children(byId.get(id)?.raw)) {
+      if (byId.has(child)) visit(child, [...trail, id]);
+    }
+    state.set(id, "done");
+  }
+
+  for (const id of byId.keys()) visit(id, []);
+}
+
+function checkSlideshow(name, show, byId, slideshows, report) {
+  const path = ["slideshows", name];
+
+  if (show === null) return; // "name:" with nothing under it → default
+  if (typeof show !== "object" || Array.isArray(show)) {
+    report.error(path, `Slideshow '${name}' must be a map`);
+    return;
+  }
+
+  checkFields(show, SLIDESHOW_FIELDS, path, `Slideshow '${name}'`, report);
+
+  const names = Object.keys(slideshows);
+
+  if (show.extends !== undefined && typeof show.extends === "string" && !slideshows[show.extends]) {
+    report.error(
+      [...path, "extends"],
+      `Slideshow '${name}' extends unknown slideshow '${show.extends}'${suggest(show.extends, names)}`
+    );
+  }
+
+  for (const key of ["include", "add"]) {
+    if (Array.isArray(show[key])) {
+      checkIncludeIds(name, show[key], [...path, key], byId, slideshows, report);
+    }
+  }
+
+  if (Array.isArray(show.remove) && !show.extends) {
+    report.warn([...path, "remove"], `Slideshow '${name}': remove only applies together with extends`, true);
+  }
+
+  checkOverrides(name, show.overrides, path, byId, report);
+
+  if (Array.isArray(show.interstitials)) {
+    show.interstitials.forEach((rule, ri) => {
+      const rpath = [...path, "interstitials", ri];
+      const label = `Slideshow '${name}' interstitials[${ri}]`;
+
+      if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+        report.error(rpath, `${label} must be a map`);
+        return;
+      }
+
+      checkFields(rule, INTERSTITIAL_FIELDS, rpath, label, report);
+
+      if (!rule.slide) {
+        report.error(rpath, `${label} is missing slide`);
+      } else if (typeof rule.slide === "string" && !byId.has(rule.slide)) {
+        report.error(
+          [...rpath, "slide"],
+          `${label} uses unknown slide '${rule.slide}'${suggest(rule.slide, [...byId.keys()])}`
+        );
+      }
+
+      if (!rule.every && !rule.every_minutes) {
+        report.error(rpath, `${label} needs every or every_minutes`);
+      }
+    });
+  }
+
+  if (Array.isArray(show.schedule)) {
+    show.schedule.forEach((block, bi) => {
+      const bpath = [...path, "schedule", bi];
+      const label = `Slideshow '${name}' schedule[${bi}]`;
+
+      if (!block || typeof block !== "object" || Array.isArray(block)) {
+        report.error(bpath, `${label} must be a map`);
+        return;
+      }
+
+      checkFields(block, SCHEDULE_FIELDS, bpath, label, report);
+
+      if (!Array.isArray(block.include)) {
+        report.error(bpath, `${label} is missing include`);
+      } else {
+        checkIncludeIds(name, block.include, [...bpath, "include"], byId, slideshows, report);
+      }
+
+      checkOverrides(name, block.overrides, bpath, byId, report);
+    });
+  }
+}
+
+function checkIncludeIds(name, include, path, byId, slideshows, report) {
+  const ids = [...byId.keys()];
+  const names = Object.keys(slideshows);
+
+  include.forEach((sid, i) => {
+    if (typeof sid !== "string") return;
+
+    if (isSlideQuery(sid)) {
+      try {
+        const query = parseSlideQuery(sid);
+        const library = [...byId.values()].map((v) => v.raw);
+        if (selectSlides(library, query).length === 0) {
+          report.warn([...path, i], `Slideshow '${name}' query '${sid}' matches no slides`);
+        }
+      } catch (err) {
+        report.error([...path, i], `Slideshow '${name}' query '${sid}': ${err.message}`);
+      }
+      return;
+    }
+
+    if (sid.startsWith("@")) {
+      const ref = sid.slice(1);
+      if (!slideshows[ref]) {
+        report.error(
+          [...path, i],
+          `Slideshow '${name}' includes unknown slideshow '${sid}'${suggest(ref, names)}`
+        );
+      }
+      return;
+    }
+
+    if (!byId.has(sid)) {
+      report.error(
+        [...path, i],
+        `Slideshow '${name}' includes unknown slide '${sid}'${suggest(sid, ids)}`
+      );
+    }
+  });
+}
+
+function checkOverrides(name, overrides, path, byId, report) {
+  const ids = [...byId.keys()];
+
+  if (overrides && typeof overrides === "object") {
+    for (const [sid, override] of Object.entries(overrides)) {
+      const opath = [...path, "overrides", sid];
+      const target = byId.get(sid);
+
+      if (!target) {
+        report.warn(
+          opath,
+          `Slideshow '${name}' overrides unknown slide '${sid}'${suggest(sid, ids)}`,
+          true
+        );
+        continue;
+      }
+
+      if (!override || typeof override !== "object" || Array.isArray(override)) {
+        report.error(opath, `Override for '${sid}' must be a map`);
+        continue;
+      }
+
+      const type = slideType(target.raw);
+      if (!type) continue;
+
+      checkFields(
+        override,
+        { ...COMMON_FIELDS, ...SLIDE_SCHEMAS[type].fields },
+        opath,
+        `Override for '${sid}' (${type})`,
+        report
+      );
+    }
+  }
+}
+
+// extends: and "@name" edges between slideshows must not loop
+function checkSlideshowCycles(slideshows, report) {
+  const state = new Map(); // name → "visiting" | "done"
+  const reported = new Set();
+
+  function visit(name, trail) {
+    if (state.get(name) === "done") return;
+
+    if (state.get(name) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(name)), name];
+      const key = [...cycle].sort().join("|");
+      if (!reported.has(key)) {
+        reported.add(key);
+        report.error(["slideshows", name], `Slideshow cycle: ${cycle.join(" → ")}`, true);
+      }
+      return;
+    }
+
+    state.set(name, "visiting");
+    for (const ref of slideshowReferences(slideshows[name])) {
+      if (slideshows[ref]) visit(ref, [...trail, name]);
+    }
+    state.set(name, "done");
+  }
+
+  for (const name of Object.keys(slideshows)) visit(name, []);
+}
+
+// ------------------------------------------------------------
+// "Did you mean …?" helper
+// ------------------------------------------------------------
+
+function suggest(value, candidates) {
+  if (typeof value !== "string" || !value) return "";
+
+  const lower = value.toLowerCase();
+
+  // Prefix matches win (folder → folderPath)
+  let best =
+    lower.length >= 3
+      ? candidates.find((c) => c.toLowerCase().startsWith(lower))
+      : null;
+
+  if (!best) {
+    let bestDist = Infinity;
+    for (const c of candidates) {
+      const d = distance(lower, c.toLowerCase());
+      if (d < bestDist) {
+        best = c;
+        bestDist = d;
+      }
+    }
+    if (best && bestDist > Math.max(1, Math.floor(best.length / 3))) best = null;
+  }
+
+  return best && best !== value ? ` (did you mean '${best}'?)` : "";
+}
+
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(
+        row[j] + 1,
+        row[j - 1] + 1,
+        prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      prev = tmp;
+    }
+  }
+
+  return row[b.length];
+}
@@ -0,0 +1,136 @@
+// ------------------------------------------------------------
+// 💲 Variables in slide definitions
+// ------------------------------------------------------------
+//
+// Any string in a master slide may use ${NAME} or
+// ${NAME:-fallback}; $${ is a literal "${".
+//
+//   vars:                          # config-wide
+//     city: "Richmond,VA,USA"
+//     kiosk_photos: "1xG1hbk-…"
+//
+//   clients:                       # per kiosk (client-host)
+//     kiosk1.local:
+//       vars: { city: "Norfolk,VA,USA" }
+//
+//   slideshows:
+//     pi4office:
+//       vars: { city: "Blacksburg,VA,USA" }   # per slideshow
+//
+//   - id: weather
+//     url: "/pages/weather.html?city=${city}"
+//
+// Lookup order: client → slideshow (extends included) →
+// config vars → environment. Only deliberately exposed
+// environment variables are read — slides can be written over
+// the API, so ${ONEDRIVE_CLIENT_SECRET} must not resolve:
+//
+//   CASTHUB_VAR_city=Norfolk,VA,USA      → ${city}
+//   vars_from_env: [ KIOSK_PHOTOS ]      → ${KIOSK_PHOTOS}
+//
+// A slide with a variable that resolves nowhere is skipped at
+// build time; the validator reports it as an error.
+// ------------------------------------------------------------
+
+export const ENV_VAR_PREFIX = "CASTHUB_VAR_";
+
+const VAR_RE = /\$\$\{|\$\{([A-Za-z_][\w.-]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Every ${…} in a value (recursing into lists and maps):
+ * [{ name, fallback }] — fallback is undefined without ":-".
+ */
+export function findVarRefs(value, out = []) {
+  if (typeof value === "string") {
+    for (const m of value.matchAll(VAR_RE)) {
+      if (m[1]) out.push({ name: m[1], fallback: m[2] });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((v) => findVarRefs(v, out));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((v) => findVarRefs(v, out));
+  }
+  return out;
+}
+
+/**
+ * Replace ${…} throughout a value. `lookup(name)` returns the
+ * value or undefined. Returns { value, missing: [names] }.
+ */
+export function substituteVars(value, lookup) {
+  const missing = [];
+
+  const walk = (v) => {
+    if (typeof v === "string") {
+      return v.replace(VAR_RE, (match, name, fallback) => {
+        if (!name) return "${";
+        const found = lookup(name);
+        if (found !== undefined && found !== null) return String(found);
+        if (fallback !== undefined) return fallback;
+        missing.push(name);
+        return match;
+      });
+    }
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    }
+    return v;
+  };
+
+  return { value: walk(value), missing };
+}
+
+/**
+ * Lookup function for one client playing one slideshow.
+ * `clientCfg` is the effective slideshow config (so vars are
+ * inherited through extends:); `client` is a registry entry.
+ */
+export function varLookup(config, clientCfg = {}, client = null, env = process.env) {
+  const scopes = [
+    clientVars(config, client),
+    clientCfg.vars || {},
+    config.vars || {},
+  ];
+
+  return (name) => {
+    for (const scope of scopes) {
+      if (Object.hasOwn(scope, name)) return scope[name];
+    }
+    return envVar(config, name, env);
+  };
+}
+
+/**
+ * ${name} from the environment: CASTHUB_VAR_<name>, or <name>
+ * itself when the config lists it in vars_from_env:
+ */
+export function envVar(config, name, env = process.env) {
+  const allowed = Array.isArray(config?.vars_from_env) && config.vars_from_env.includes(name);
+  return allowed ? env[name] : env[ENV_VAR_PREFIX + name];
+}
+
+/** vars: of the clients: entry for this client */
+export function clientVars(config, client) {
+  return clientEntry(config, client).vars || {};
+}
+
+/**
+ * The clients: entry for this client ({} if none) — matched like
+ * slideshow names: host, host without domain, host.local, id
+ */
+export function clientEntry(config, client) {
+  if (!client) return {};
+
+  const entries = Object.entries(config.clients || {});
+  const host = client.host;
+  const wanted = [host, host?.split(".")[0], host && `${host}.local`, client.id]
+    .filter(Boolean)
+    .map((k) => String(k).toLowerCase());
+
+  for (const key of wanted) {
+    const hit = entries.find(([name]) => name.toLowerCase() === key);
+    if (hit) return hit[1] || {};
+  }
+  return {};
+}
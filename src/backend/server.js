@@ -6,6 +6,7 @@ import { PUBLIC_DIR, MEDIA_DIR, RUNTIME_DIR, PHOTOS_DIR, PROJECT_ROOT, MOVIES_DI
 
 // API v1 Routers
 import slideshowRouter from "./api/v1/slideshow/slideshow-router.js";
+import { startConfigWatch } from "./api/v1/slideshow/slideshow-live.js";
 import movieRouter from "./api/v1/movies/movie-router.js";
 import sonosRouter from "./api/v1/sonos/sonos-router.js";
 
@@ -14,6 +15,14 @@ import wundergroundRouter from "./api/v1/weather/wunderground-router.js";
 import visualcrossingRouter from "./api/v1/weather/visualcrossing-router.js";
 import meteobridgeRouter from "./api/v1/weather/meteobridge-router.js";
 import framesRouter from "./api/v1/frames/frames-router.js";
+import clientRouter from "./api/v1/clients/client-router.js";
+import configRouter from "./api/v1/config/config-router.js";
+import imagesRouter from "./api/v1/images/images-router.js";
+import accountsRouter from "./api/v1/accounts/accounts-router.js";
+import photosRouter from "./api/v1/photos/photos-router.js";
+import { startPhotoIndexer } from "./api/v1/photos/photo-index.js";
+import mediaRouter from "./api/v1/media/media-router.js";
+import { startMediaJobs } from "./api/v1/media/media-jobs.js";
 
 dotenv.config();
 
@@ -52,7 +61,16 @@ app.use("/api/v1/weather", weatherRouter);
 app.use("/api/v1/wunder", wundergroundRouter);
 app.use("/api/v1/visualcrossing", visualcrossingRouter);
 app.use("/api/v1/meteobridge", meteobridgeRouter);
+app.use("/api/v1/clients", clientRouter);
+app.use("/api/v1/images", imagesRouter);
+app.use("/api/v1/accounts", accountsRouter);
+app.use("/api/v1/photos", photosRouter);
+app.use("/api/v1/media", mediaRouter);
+app.use("/api/v1", configRouter);
 
-app.listen(PORT, () =>
-  console.log(`🚀 API v1 server running on port ${PORT}`)
-);
+app.listen(PORT, () => {
+  console.log(`🚀 API v1 server running on port ${PORT}`);
+  startConfigWatch();
+  startMediaJobs();
+  startPhotoIndexer();
+});
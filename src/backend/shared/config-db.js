@@ -0,0 +1,98 @@
+// ------------------------------------------------------------
+// 🗄️ Slideshow Config ⇄ SQLite tables
+// ------------------------------------------------------------
+//
+// The same shape loadSlideshowConfig() returns from YAML:
+//
+//   slides[]          → slides      (order kept in position)
+//   slideshows{}      → slideshows  (minus schedule:)
+//   slideshows.*.schedule[] → schedules
+//   any other top-level key (timezone, …) → settings
+//
+// Rows keep the full entry as JSON, so keys the schema doesn't
+// know about yet round-trip untouched.
+// ------------------------------------------------------------
+
+import { getDatabase } from "./db.js";
+
+export function readConfigFromDb() {
+  const db = getDatabase();
+  const config = {};
+
+  for (const { key, value } of db.prepare("SELECT key, value FROM settings ORDER BY key").all()) {
+    config[key] = JSON.parse(value);
+  }
+
+  config.slides = db
+    .prepare("SELECT data FROM slides ORDER BY position")
+    .pluck()
+    .all()
+    .map((data) => JSON.parse(data));
+
+  const schedules = new Map();
+  for (const row of db.prepare("SELECT slideshow, data FROM schedules ORDER BY slideshow, position").all()) {
+    if (!schedules.has(row.slideshow)) schedules.set(row.slideshow, []);
+    schedules.get(row.slideshow).push(JSON.parse(row.data));
+  }
+
+  config.slideshows = {};
+  for (const row of db.prepare("SELECT name, data FROM slideshows ORDER BY position").all()) {
+    const show = JSON.parse(row.data);
+    if (schedules.has(row.name)) show.schedule = schedules.get(row.name);
+    config.slideshows[row.name] = show;
+  }
+
+  return config;
+}
+
+/** Replace the stored config with `config` (one transaction) */
+export function writeConfigToDb(config) {
+  const db = getDatabase();
+
+  const insertSetting = db.prepare("INSERT INTO settings (key, value) VALUES (?, ?)");
+  const insertSlide = db.prepare(
+    "INSERT INTO slides (id, position, type, data) VALUES (?, ?, ?, ?)"
+  );
+  const insertShow = db.prepare(
+    "INSERT INTO slideshows (name, position, data) VALUES (?, ?, ?)"
+  );
+  const insertBlock = db.prepare(
+    "INSERT INTO schedules (slideshow, position, name, priority, data) VALUES (?, ?, ?, ?, ?)"
+  );
+
+  db.transaction(() => {
+    db.exec("DELETE FROM schedules; DELETE FROM slideshows; DELETE FROM slides; DELETE FROM settings;");
+
+    for (const [key, value] of Object.entries(config)) {
+      if (key === "slides" || key === "slideshows") continue;
+      insertSetting.run(key, JSON.stringify(value));
+    }
+
+    (config.slides || []).forEach((slide, position) => {
+      insertSlide.run(String(slide.id), position, slide.type ?? null, JSON.stringify(slide));
+    });
+
+    Object.entries(config.slideshows || {}).forEach(([name, show], position) => {
+      const { schedule, ...rest } = show || {};
+      insertShow.run(name, position, JSON.stringify(rest));
+
+      (Array.isArray(schedule) ? schedule : []).forEach((block, i) => {
+        insertBlock.run(
+          name,
+          i,
+          block?.name ?? null,
+          Number.isFinite(Number(block?.priority)) ? Number(block.priority) : null,
+          JSON.stringify(block)
+        );
+      });
+    });
+  })();
+}
+
+export function configDbIsEmpty() {
+  const db = getDatabase();
+  return (
+    db.prepare("SELECT COUNT(*) FROM slides").pluck().get() === 0 &&
+    db.prepare("SELECT COUNT(*) FROM slideshows").pluck().get() === 0
+  );
+}
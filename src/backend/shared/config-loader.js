@@ -1,19 +1,26 @@
 // ------------------------------------------------------------
 // Shared Config Loader (generic)
 // ------------------------------------------------------------
+//
+// The slideshow config lives in SLIDESHOW_CONFIG_FILE (YAML),
+// or — with CONFIG_STORE=sqlite — in database/casthub.db. The
+// first sqlite start imports the YAML file. Either way the rest
+// of the hub sees the same object, and YAML text remains the
+// interchange format (validator, admin API, import/export).
+// ------------------------------------------------------------
 
 import fs from "fs";
+import path from "path";
 import yaml from "js-yaml";
+import { Document, parseDocument, isMap, isSeq, isScalar } from "yaml";
 import { SLIDESHOW_CONFIG_FILE } from "./paths.js";
+import { usingSqlite } from "./db.js";
+import { readConfigFromDb, writeConfigToDb, configDbIsEmpty } from "./config-db.js";
+import { log } from "./log.js";
 
 export function loadSlideshowConfig() {
   try {
-    if (!fs.existsSync(SLIDESHOW_CONFIG_FILE)) {
-      throw new Error(`Slideshow config not found: ${SLIDESHOW_CONFIG_FILE}`);
-    }
-
-    const text = fs.readFileSync(SLIDESHOW_CONFIG_FILE, "utf8");
-    const cfg = yaml.load(text);
+    const cfg = usingSqlite() ? loadFromDb() : loadFromFile();
 
     // Ensure new structure exists
     cfg.slideshows ||= {};
@@ -27,3 +34,79 @@ export function loadSlideshowConfig() {
     throw err;
   }
 }
+
+function loadFromFile() {
+  if (!fs.existsSync(SLIDESHOW_CONFIG_FILE)) {
+    throw new Error(`Slideshow config not found: ${SLIDESHOW_CONFIG_FILE}`);
+  }
+
+  const text = fs.readFileSync(SLIDESHOW_CONFIG_FILE, "utf8");
+  return yaml.load(text);
+}
+
+function loadFromDb() {
+  if (configDbIsEmpty() && fs.existsSync(SLIDESHOW_CONFIG_FILE)) {
+    writeConfigToDb(parseConfigText(fs.readFileSync(SLIDESHOW_CONFIG_FILE, "utf8")));
+    log(`Imported ${SLIDESHOW_CONFIG_FILE} into the database`);
+  }
+  return readConfigFromDb();
+}
+
+// ------------------------------------------------------------
+// YAML text in / out of the active store
+// ------------------------------------------------------------
+
+/** The config as YAML text (the file, or the database exported) */
+export function readSlideshowConfigText() {
+  if (!usingSqlite()) return fs.readFileSync(SLIDESHOW_CONFIG_FILE, "utf8");
+  return stringifySlideshowConfig(loadFromDb());
+}
+
+/**
+ * Replace the config with already-validated YAML text: an
+ * atomic file write, or one database transaction.
+ */
+export function writeSlideshowConfigText(text) {
+  if (usingSqlite()) {
+    writeConfigToDb(parseConfigText(text));
+    return;
+  }
+
+  const tmp = path.join(
+    path.dirname(SLIDESHOW_CONFIG_FILE),
+    `.${path.basename(SLIDESHOW_CONFIG_FILE)}.${process.pid}.tmp`
+  );
+  fs.writeFileSync(tmp, text);
+  fs.renameSync(tmp, SLIDESHOW_CONFIG_FILE);
+}
+
+/**
+ * YAML text → config object. Uses the `yaml` package so dates
+ * stay strings ("2026-12-31") instead of becoming Date objects.
+ */
+export function parseConfigText(text) {
+  return parseDocument(text).toJS() || {};
+}
+
+/** Config object → YAML laid out like the hand-written file */
+export function stringifySlideshowConfig(cfg) {
+  const doc = new Document(cfg);
+  flowScalarLists(doc.contents);
+
+  // Blank line between slides and between slideshows
+  for (const item of doc.get("slides")?.items?.slice(1) || []) item.spaceBefore = true;
+  for (const pair of doc.get("slideshows")?.items?.slice(1) || []) pair.key.spaceBefore = true;
+  for (const pair of doc.contents?.items?.slice(1) || []) pair.key.spaceBefore = true;
+
+  return doc.toString({ lineWidth: 0 });
+}
+
+/** Lists of plain values print as [ a, b ] */
+export function flowScalarLists(node) {
+  if (isSeq(node)) {
+    if (node.items.every(isScalar)) node.flow = true;
+    else node.items.forEach(flowScalarLists);
+  } else if (isMap(node)) {
+    node.items.forEach((pair) => flowScalarLists(pair.value));
+  }
+}
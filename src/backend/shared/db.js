@@ -0,0 +1,205 @@
+// ------------------------------------------------------------
+// 🗄️ SQLite Store (database/casthub.db)
+// ------------------------------------------------------------
+//
+// Enabled with CONFIG_STORE=sqlite. Holds the slideshow config
+// (see config-db.js) plus the state the hub writes itself:
+// clients and play history.
+//
+// Schema changes are appended to MIGRATIONS — never edit an
+// applied one. Each runs once, in a transaction, and is
+// recorded in schema_migrations.
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { DATABASE_FILE, CONFIG_STORE } from "./paths.js";
+import { log, warn } from "./log.js";
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial",
+    sql: `
+      CREATE TABLE settings (
+        key        TEXT PRIMARY KEY,
+        value      TEXT NOT NULL              -- JSON
+      );
+
+      CREATE TABLE slides (
+        id         TEXT PRIMARY KEY,
+        position   INTEGER NOT NULL,
+        type       TEXT,
+        data       TEXT NOT NULL              -- JSON, the full YAML entry
+      );
+
+      CREATE TABLE slideshows (
+        name       TEXT PRIMARY KEY,
+        position   INTEGER NOT NULL,
+        data       TEXT NOT NULL              -- JSON, without schedule
+      );
+
+      CREATE TABLE schedules (
+        slideshow  TEXT NOT NULL REFERENCES slideshows(name) ON DELETE CASCADE,
+        position   INTEGER NOT NULL,
+        name       TEXT,
+        priority   REAL,
+        data       TEXT NOT NULL,             -- JSON, the full block
+        PRIMARY KEY (slideshow, position)
+      );
+
+      CREATE TABLE clients (
+        id         TEXT PRIMARY KEY,
+        host       TEXT,
+        ip         TEXT,
+        user_agent TEXT,
+        first_seen TEXT,
+        last_seen  TEXT,
+        slideshow  TEXT,
+        via        TEXT
+      );
+      CREATE INDEX clients_host ON clients(host);
+
+      CREATE TABLE play_history (
+        key        TEXT PRIMARY KEY,
+        last_shown INTEGER NOT NULL,
+        count      INTEGER NOT NULL
+      );
+    `,
+  },
+];
+
+let db = null;
+
+export function usingSqlite() {
+  return CONFIG_STORE === "sqlite";
+}
+
+export function getDatabase() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DATABASE_FILE), { recursive: true });
+  db = new Database(DATABASE_FILE);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  migrate(db);
+  return db;
+}
+
+function migrate(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    database.prepare("SELECT version FROM schema_migrations").pluck().all()
+  );
+
+  for (const m of MIGRATIONS) {
+    if (applied.has(m.version)) continue;
+
+    database.transaction(() => {
+      database.exec(m.sql);
+      database
+        .prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)")
+        .run(m.version, m.name, new Date().toISOString());
+    })();
+
+    log(`Database migrated to v${m.version} (${m.name})`);
+  }
+}
+
+// ------------------------------------------------------------
+// Table-backed state with the createJsonStore() interface
+// ------------------------------------------------------------
+//
+// load() returns a plain key → value object kept in memory;
+// save() writes back (debounced) only rows that changed and
+// deletes rows whose keys were removed.
+//
+//   key       primary key column
+//   toRow     (key, value) → { column: value, … }
+//   fromRow   row → value
+//   seedFrom  JSON file (the createJsonStore() one) imported
+//             once while the table is still empty
+//
+export function createTableStore(table, { key, toRow, fromRow, seedFrom, saveDelayMs = 5000 }) {
+  let data = null;
+  let saved = new Map();   // key → JSON of the last written row
+  let saveTimer = null;
+
+  function load() {
+    if (data) return data;
+
+    data = {};
+    for (const row of getDatabase().prepare(`SELECT * FROM ${table}`).all()) {
+      data[row[key]] = fromRow(row);
+      saved.set(row[key], JSON.stringify(toRow(row[key], data[row[key]])));
+    }
+
+    if (saved.size === 0 && seedFrom && fs.existsSync(seedFrom)) {
+      try {
+        data = JSON.parse(fs.readFileSync(seedFrom, "utf8"));
+        flush();
+        log(`Imported ${Object.keys(data).length} row(s) from ${seedFrom} into ${table}`);
+      } catch (err) {
+        warn(`Could not import ${seedFrom} into ${table}: ${err.message}`);
+        data = {};
+      }
+    }
+
+    return data;
+  }
+
+  function flush() {
+    const database = getDatabase();
+    const rows = Object.entries(data).map(([k, v]) => toRow(k, v));
+    if (rows.length === 0 && saved.size === 0) return;
+
+    const columns = Object.keys(rows[0] || {});
+    const upsert = columns.length
+      ? database.prepare(
+          `INSERT INTO ${table} (${columns.join(", ")})
+           VALUES (${columns.map((c) => `@${c}`).join(", ")})
+           ON CONFLICT(${key}) DO UPDATE SET
+           ${columns.filter((c) => c !== key).map((c) => `${c} = excluded.${c}`).join(", ")}`
+        )
+      : null;
+    const remove = database.prepare(`DELETE FROM ${table} WHERE ${key} = ?`);
+
+    database.transaction(() => {
+      const next = new Map();
+      for (const row of rows) {
+        const json = JSON.stringify(row);
+        if (saved.get(row[key]) !== json) upsert.run(row);
+        next.set(row[key], json);
+      }
+      for (const k of saved.keys()) {
+        if (!next.has(k)) remove.run(k);
+      }
+      saved = next;
+    })();
+  }
+
+  function save() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        flush();
+      } catch (err) {
+        warn(`${table} save failed: ${err.message}`);
+      }
+    }, saveDelayMs);
+    saveTimer.unref?.();
+  }
+
+  return { file: null, table, load, save };
+}
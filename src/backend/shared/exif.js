@@ -0,0 +1,243 @@
+// ------------------------------------------------------------
+// 📷 EXIF / XMP / IPTC reader (for the photo index)
+// ------------------------------------------------------------
+//
+// sharp's metadata() hands over the raw EXIF, XMP and IPTC
+// blocks; this pulls out the few tags the photo index keeps:
+//
+//   capture time (+ offset), camera make / model / lens,
+//   orientation, GPS position and keywords (XMP dc:subject,
+//   IPTC 2:25 and Windows XPKeywords).
+//
+// Only the TIFF IFDs we need are walked; anything malformed
+// yields fewer fields, never an exception.
+// ------------------------------------------------------------
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  ifd0: {
+    0x010f: "Make",
+    0x0110: "Model",
+    0x0112: "Orientation",
+    0x0132: "DateTime",
+    0x8769: "ExifIFD",
+    0x8825: "GPSIFD",
+    0x9c9e: "XPKeywords",
+  },
+  exif: {
+    0x9003: "DateTimeOriginal",
+    0x9004: "DateTimeDigitized",
+    0x9011: "OffsetTimeOriginal",
+    0xa434: "LensModel",
+  },
+  gps: {
+    0x0001: "GPSLatitudeRef",
+    0x0002: "GPSLatitude",
+    0x0003: "GPSLongitudeRef",
+    0x0004: "GPSLongitude",
+    0x0005: "GPSAltitudeRef",
+    0x0006: "GPSAltitude",
+  },
+};
+
+/**
+ * Metadata from sharp's metadata() result:
+ *   { taken, takenOffset, make, model, lens, orientation,
+ *     gps: { lat, lon, alt } | null, keywords: [] }
+ * `taken` is the local wall-clock time "YYYY-MM-DDTHH:MM:SS"
+ * (EXIF has no time zone unless OffsetTimeOriginal is set).
+ */
+export function readPhotoMetadata(meta = {}) {
+  const tags = meta.exif ? parseExif(meta.exif) : {};
+
+  const taken = exifDate(tags.DateTimeOriginal || tags.DateTimeDigitized || tags.DateTime);
+  const keywords = unique([
+    ...(meta.xmp ? xmpKeywords(meta.xmp) : []),
+    ...(meta.iptc ? iptcKeywords(meta.iptc) : []),
+    ...(tags.XPKeywords ? xpKeywords(tags.XPKeywords) : []),
+  ]);
+
+  return {
+    taken,
+    takenOffset: taken && /^[+-]\d\d:\d\d$/.test(tags.OffsetTimeOriginal || "")
+      ? tags.OffsetTimeOriginal
+      : null,
+    make: clean(tags.Make),
+    model: clean(tags.Model),
+    lens: clean(tags.LensModel),
+    orientation: meta.orientation ?? tags.Orientation ?? null,
+    gps: gpsPosition(tags),
+    keywords,
+  };
+}
+
+// ------------------------------------------------------------
+// TIFF / EXIF
+// ------------------------------------------------------------
+
+export function parseExif(buffer) {
+  const out = {};
+  try {
+    // sharp includes the "Exif\0\0" APP1 prefix
+    const base = buffer.subarray(0, 6).toString("latin1") === "Exif\0\0" ? 6 : 0;
+    const tiff = buffer.subarray(base);
+
+    const order = tiff.subarray(0, 2).toString("latin1");
+    if (order !== "II" && order !== "MM") return out;
+    const le = order === "II";
+
+    const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+    const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+    const i32 = (o) => (le ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+
+    const value = (type, count, at) => {
+      const size = TYPE_SIZES[type] * count;
+      const offset = size > 4 ? u32(at) : at;
+      if (offset + size > tiff.length) return undefined;
+
+      switch (type) {
+        case 2:
+          return tiff.subarray(offset, offset + count).toString("utf8").replace(/\0+$/, "");
+        case 3:
+          return count === 1 ? u16(offset) : range(count).map((i) => u16(offset + i * 2));
+        case 4:
+          return count === 1 ? u32(offset) : range(count).map((i) => u32(offset + i * 4));
+        case 5:
+        case 10: {
+          const read = type === 5 ? u32 : i32;
+          const nums = range(count).map((i) => {
+            const d = read(offset + i * 8 + 4);
+            return d ? read(offset + i * 8) / d : 0;
+          });
+          return count === 1 ? nums[0] : nums;
+        }
+        case 1:
+        case 7:
+          return count === 1 ? tiff[offset] : tiff.subarray(offset, offset + count);
+        default:
+          return undefined;
+      }
+    };
+
+    const readIfd = (offset, names) => {
+      if (!offset || offset + 2 > tiff.length) return;
+      const n = u16(offset);
+      for (let i = 0; i < n; i++) {
+        const at = offset + 2 + i * 12;
+        if (at + 12 > tiff.length) return;
+        const name = names[u16(at)];
+        if (!name) continue;
+        const type = u16(at + 2);
+        if (!TYPE_SIZES[type]) continue;
+        out[name] = value(type, u32(at + 4), at + 8);
+      }
+    };
+
+    readIfd(u32(4), TAGS.ifd0);
+    if (out.ExifIFD) readIfd(out.ExifIFD, TAGS.exif);
+    if (out.GPSIFD) readIfd(out.GPSIFD, TAGS.gps);
+    delete out.ExifIFD;
+    delete out.GPSIFD;
+  } catch {
+    // truncated / odd EXIF: keep what was read
+  }
+  return out;
+}
+
+/** EXIF date-time "2024:05:01 10:20:30" → "2024-05-01T10:20:30" (or null) */
+export function exifDate(v) {
+  const m = typeof v === "string" && v.match(/^(\d{4}):(\d\d):(\d\d)[ T](\d\d):(\d\d):(\d\d)/);
+  if (!m || m[1] === "0000") return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+}
+
+function gpsPosition(tags) {
+  const dms = (v) =>
+    Array.isArray(v) && v.length === 3 ? v[0] + v[1] / 60 + v[2] / 3600 : null;
+
+  let lat = dms(tags.GPSLatitude);
+  let lon = dms(tags.GPSLongitude);
+  if (lat === null || lon === null || (lat === 0 && lon === 0)) return null;
+
+  if (tags.GPSLatitudeRef === "S") lat = -lat;
+  if (tags.GPSLongitudeRef === "W") lon = -lon;
+
+  let alt = typeof tags.GPSAltitude === "number" ? tags.GPSAltitude : null;
+  if (alt !== null && tags.GPSAltitudeRef === 1) alt = -alt;
+
+  return { lat: round(lat, 6), lon: round(lon, 6), alt: alt === null ? null : round(alt, 1) };
+}
+
+// ------------------------------------------------------------
+// Keywords
+// ------------------------------------------------------------
+
+// <dc:subject><rdf:Bag><rdf:li>beach</rdf:li>…
+function xmpKeywords(buffer) {
+  const xml = buffer.toString("utf8");
+  const subject = xml.match(/<dc:subject>([\s\S]*?)<\/dc:subject>/);
+  if (!subject) return [];
+  return [...subject[1].matchAll(/<rdf:li[^>]*>([^<]*)<\/rdf:li>/g)].map((m) =>
+    decodeXml(m[1]).trim()
+  );
+}
+
+// IPTC-IIM dataset 2:25 (Keywords), found inside the Photoshop
+// resource block sharp returns
+function iptcKeywords(buffer) {
+  const out = [];
+  for (let i = 0; i + 5 <= buffer.length; i++) {
+    if (buffer[i] !== 0x1c || buffer[i + 1] !== 2 || buffer[i + 2] !== 25) continue;
+    const len = buffer.readUInt16BE(i + 3);
+    out.push(buffer.subarray(i + 5, i + 5 + len).toString("utf8").trim());
+    i += 4 + len;
+  }
+  return out;
+}
+
+// Windows "Tags": UCS-2, ";"-separated
+function xpKeywords(v) {
+  const buf = Buffer.isBuffer(v) ? v : Buffer.from(Array.isArray(v) ? v : []);
+  return buf
+    .toString("utf16le")
+    .replace(/\0+$/, "")
+    .split(";")
+    .map((k) => k.trim());
+}
+
+// ------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------
+
+function decodeXml(s) {
+  return s
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function clean(v) {
+  return typeof v === "string" && v.trim() ? v.trim() : null;
+}
+
+function unique(list) {
+  const seen = new Set();
+  return list.filter((k) => {
+    const key = k.toLowerCase();
+    if (!k || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function range(n) {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
@@ -0,0 +1,56 @@
+// ------------------------------------------------------------
+// 💾 Small JSON state files (play history, client registry, …)
+// ------------------------------------------------------------
+//
+// Loaded lazily, kept in memory, written back a few seconds
+// after the last change (atomically: tmp file + rename).
+// ------------------------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { warn } from "./log.js";
+
+export function createJsonStore(file, { saveDelayMs = 5000, label = path.basename(file) } = {}) {
+  let data = null;
+  let saveTimer = null;
+
+  function load() {
+    if (data) return data;
+
+    try {
+      data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    } catch (err) {
+      warn(`${label} unreadable (${err.message}) — starting fresh`);
+      data = {};
+    }
+
+    return data;
+  }
+
+  function save() {
+    if (saveTimer) return;
+
+    saveTimer = setTimeout(write, saveDelayMs);
+    saveTimer.unref?.();
+  }
+
+  // Write a pending save now (short-lived processes, e.g. the CLI)
+  function flush() {
+    if (saveTimer) write();
+  }
+
+  function write() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      warn(`${label} save failed: ${err.message}`);
+    }
+  }
+
+  return { file, load, save, flush };
+}
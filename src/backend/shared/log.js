@@ -1,5 +1,13 @@
+// INFO goes to stdout, except under the CLI (logToStderr):
+// there stdout carries the YAML / JSON a command prints
+let info = console.log;
+
+export function logToStderr() {
+  info = console.error;
+}
+
 export function log(...args) {
-  console.log(new Date().toISOString(), "[INFO]", ...args);
+  info(new Date().toISOString(), "[INFO]", ...args);
 }
 
 export function warn(...args) {
@@ -16,7 +16,8 @@ export const PROJECT_ROOT = path.join(BACKEND_ROOT, "..","..");
 
 // Public directory (express static)
 export const PUBLIC_DIR = path.join(PROJECT_ROOT, "public");
-console.log("📁 PUBLIC_DIR resolved to:", PUBLIC_DIR);
+// stderr: CLI commands print YAML / JSON on stdout
+console.error("📁 PUBLIC_DIR resolved to:", PUBLIC_DIR);
 
 // Media directory (/media)
 export const MEDIA_DIR =  process.env.MEDIA_DIR || path.join(PROJECT_ROOT, "media");
@@ -30,6 +31,14 @@ export const VIDEOS_DIR = process.env.VIDEOS_DIR || path.join(MEDIA_DIR, "videos
 // Runtime directory (/runtime)
 export const RUNTIME_DIR = path.join(PROJECT_ROOT, "runtime");
 
+// Persistent application state (/database) — backed up, never baked into images
+export const DATABASE_DIR = process.env.DATABASE_DIR || path.join(PROJECT_ROOT, "database");
+
+// SQLite store (slides, slideshows, clients, play history) used
+// when CONFIG_STORE=sqlite; otherwise config comes from YAML
+export const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATABASE_DIR, "casthub.db");
+export const CONFIG_STORE = (process.env.CONFIG_STORE || "yaml").toLowerCase();
+
 // Slideshow configuration YAML
 export const SLIDESHOW_CONFIG_FILE = path.join(
   BACKEND_ROOT,
@@ -0,0 +1,95 @@
+// ------------------------------------------------------------
+// Shared randomness helpers
+// ------------------------------------------------------------
+//
+// Unbiased Fisher–Yates shuffles (the old
+// sort(() => 0.5 - Math.random()) trick is not uniform) with an
+// optional seed so a slideshow can reproduce its order.
+// ------------------------------------------------------------
+
+/**
+ * Returns a () => [0, 1) generator. With a seed (number or
+ * string) the sequence is repeatable (mulberry32); without one
+ * it is Math.random.
+ */
+export function createRng(seed) {
+  if (seed === undefined || seed === null || seed === "") return Math.random;
+
+  let a = typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Uniform shuffle (returns a new array).
+ */
+export function shuffle(list, rng = Math.random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Shuffle that keeps items with the same key together: the
+ * groups are shuffled, then the items inside each group.
+ */
+export function shuffleGroups(list, keyOf, rng = Math.random) {
+  const groups = new Map();
+  for (const item of list) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return shuffle([...groups.values()], rng).flatMap((g) => shuffle(g, rng));
+}
+
+/**
+ * Weighted playlist: each item is repeated in proportion to its
+ * weight (the lightest positive weight plays once, capped at
+ * maxCopies) and the copies are spread evenly, in random order,
+ * through the list. Weight ≤ 0 leaves an item out.
+ */
+export function weightedRepeat(list, weightOf, rng = Math.random, { maxCopies = 10 } = {}) {
+  const weights = list.map((item) => Number(weightOf(item)) || 0);
+  const base = Math.min(...weights.filter((w) => w > 0));
+  if (!Number.isFinite(base)) return [];
+
+  const copies = [];
+  list.forEach((item, i) => {
+    if (weights[i] <= 0) return;
+    const n = Math.min(maxCopies, Math.max(1, Math.round(weights[i] / base)));
+    // copy k of n lands somewhere in the k-th n-th of the loop
+    for (let k = 0; k < n; k++) copies.push({ item, key: (k + rng()) / n });
+  });
+  copies.sort((a, b) => a.key - b.key);
+
+  // no item right after itself when another can swap in
+  const out = copies.map((c) => c.item);
+  for (let i = 1; i < out.length; i++) {
+    const dup = out[i];
+    if (dup !== out[i - 1]) continue;
+    const j = out.findIndex(
+      (x, k) => k > i && x !== dup && x !== out[i + 1] && out[k - 1] !== dup && out[k + 1] !== dup
+    );
+    if (j > 0) [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function hashString(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
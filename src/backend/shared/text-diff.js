@@ -0,0 +1,137 @@
+// ------------------------------------------------------------
+// 🔀 Line diffs (config history, YAML edits)
+// ------------------------------------------------------------
+//
+// Plain LCS over lines after trimming the common head and tail,
+// which keeps typical config edits cheap. Good enough for files
+// of a few thousand lines; not a general-purpose diff engine.
+// ------------------------------------------------------------
+
+/**
+ * Edit script turning `a` into `b` (arrays of lines):
+ * [{ op: "equal" | "delete" | "insert", a, b, lines }]
+ * where a / b are the starting line indexes on each side.
+ */
+export function diffLines(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+
+  const ma = a.slice(head, a.length - tail);
+  const mb = b.slice(head, b.length - tail);
+  const n = ma.length;
+  const m = mb.length;
+
+  // lcs[i][j] = LCS length of ma[i..] and mb[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] =
+        ma[i] === mb[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, ai, bi, line) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.lines.push(line);
+    else ops.push({ op, a: ai, b: bi, lines: [line] });
+  };
+
+  for (let k = 0; k < head; k++) push("equal", k, k, a[k]);
+
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && ma[i] === mb[j]) {
+      push("equal", head + i, head + j, ma[i]);
+      i++;
+      j++;
+    } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      push("delete", head + i, head + j, ma[i]);
+      i++;
+    } else {
+      push("insert", head + i, head + j, mb[j]);
+      j++;
+    }
+  }
+
+  for (let k = 0; k < tail; k++) {
+    push("equal", a.length - tail + k, b.length - tail + k, a[a.length - tail + k]);
+  }
+
+  return ops;
+}
+
+/**
+ * Unified diff of two texts ("" when identical).
+ */
+export function unifiedDiff(oldText, newText, { from = "a", to = "b", context = 3 } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = diffLines(a, b);
+
+  if (ops.every((o) => o.op === "equal")) return "";
+
+  // Flatten to single-line rows, then cut hunks around changes
+  const rows = [];
+  for (const o of ops) {
+    o.lines.forEach((line, k) => {
+      rows.push({
+        op: o.op,
+        line,
+        a: o.op === "insert" ? o.a : o.a + k,
+        b: o.op === "delete" ? o.b : o.b + k,
+      });
+    });
+  }
+
+  const out = [`--- ${from}`, `+++ ${to}`];
+  let idx = 0;
+
+  while (idx < rows.length) {
+    const firstChange = rows.findIndex((r, k) => k >= idx && r.op !== "equal");
+    if (firstChange === -1) break;
+
+    const start = Math.max(idx, firstChange - context);
+    // Extend while changes are at most 2×context lines apart
+    let lastChange = firstChange;
+    for (let k = firstChange; k < rows.length; k++) {
+      if (rows[k].op !== "equal") lastChange = k;
+      else if (k - lastChange > context * 2) break;
+    }
+    const end = Math.min(rows.length - 1, lastChange + context);
+
+    const hunk = rows.slice(start, end + 1);
+    const aCount = hunk.filter((r) => r.op !== "insert").length;
+    const bCount = hunk.filter((r) => r.op !== "delete").length;
+    const aStart = aCount ? hunk.find((r) => r.op !== "insert").a + 1 : hunk[0].a;
+    const bStart = bCount ? hunk.find((r) => r.op !== "delete").b + 1 : hunk[0].b;
+
+    out.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`);
+    for (const r of hunk) {
+      out.push(`${r.op === "equal" ? " " : r.op === "delete" ? "-" : "+"}${r.line}`);
+    }
+
+    idx = end + 1;
+  }
+
+  return out.join("\n") + "\n";
+}
+
+export function splitLines(text) {
+  const lines = String(text).split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
@@ -2,6 +2,14 @@
 import { Command } from "commander";
 import discoverCmd from "./commands/discover.js";
 import launchCmd from "./commands/launch.js";
+import configCmd from "./commands/config.js";
+import slideshowCmd from "./commands/slideshow.js";
+import bundleCmd from "./commands/bundle.js";
+import mediaCmd from "./commands/media.js";
+import { logToStderr } from "../backend/shared/log.js";
+
+// stdout is for command output (config export, --json)
+logToStderr();
 
 const program = new Command();
 
@@ -13,6 +21,16 @@ program
 // ---- Commands ----
 program.addCommand(discoverCmd);
 program.addCommand(launchCmd);
+program.addCommand(configCmd);
+program.addCommand(slideshowCmd);
+program.addCommand(bundleCmd);
+program.addCommand(mediaCmd);
 
 // -------------------
-program.parse(process.argv);
+// parseAsync: actions are async; a failure ends with exit code 1
+try {
+  await program.parseAsync(process.argv);
+} catch (err) {
+  console.error(`✖ ${err.message}`);
+  process.exitCode = 1;
+}
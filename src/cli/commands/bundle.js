@@ -0,0 +1,96 @@
+// src/cli/commands/bundle.js
+import path from "path";
+import { Command, InvalidArgumentError } from "commander";
+import {
+  exportBundle,
+  importBundle,
+} from "../../backend/api/v1/config/config-bundle.js";
+
+// -----------------------------------------------------------
+// bundle export <slideshow> [file]
+// -----------------------------------------------------------
+const exportCmd = new Command("export")
+  .description("Pack a slideshow, its slides and local photos into a .tar.gz bundle")
+  .argument("<slideshow>", "Slideshow to export")
+  .argument("[file]", "Output file (default: <slideshow>.casthub.tar.gz)")
+  .option("--resize <px>", "Bundle photos resized to fit <px> instead of the originals", parsePixels)
+  .option("--snapshot-drive", "Copy Google Drive images into the bundle (slides become local folders)")
+  .action(async (slideshow, file, opts) => {
+    const out = path.resolve(file || `${slideshow}.casthub.tar.gz`);
+
+    try {
+      const result = await exportBundle(slideshow, out, {
+        resize: opts.resize,
+        snapshotDrive: opts.snapshotDrive,
+        onProgress: (msg) => console.log(`… ${msg}`),
+      });
+
+      for (const w of result.warnings) console.log(`⚠️  ${w}`);
+      for (const r of result.references) console.log(`🔗 ${r.slide}: ${r.source} (kept as reference)`);
+
+      console.log(
+        `✔ ${path.relative(process.cwd(), out) || out}: ${result.slideshows} slideshow(s), ` +
+          `${result.slides} slide(s), ${result.assets} photo(s)`
+      );
+    } catch (err) {
+      console.error(`✖ ${err.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+// -----------------------------------------------------------
+// bundle import <file>
+// -----------------------------------------------------------
+const importCmd = new Command("import")
+  .description("Merge a bundle into this hub's config (colliding IDs are renamed)")
+  .argument("<file>", "Bundle (.tar.gz)")
+  .option("--photos-dir <dir>", "Where photos go, relative to PHOTOS_DIR (default: bundles/<slideshow>)")
+  .option("--dry-run", "Show what would be added without changing anything")
+  .option("-m, --message <text>", "Config history message")
+  .action(async (file, opts) => {
+    try {
+      const result = await importBundle(path.resolve(file), {
+        photosDir: opts.photosDir,
+        dryRun: opts.dryRun,
+        message: opts.message,
+      });
+
+      const renamed = { ...result.renamed.slides, ...result.renamed.slideshows };
+      const reused = new Set([...result.reused.slides, ...result.reused.slideshows]);
+
+      for (const [from, to] of Object.entries(renamed)) {
+        if (!reused.has(from)) console.log(`↪ ${from} → ${to} (name taken)`);
+      }
+      for (const id of reused) {
+        console.log(`= ${id} (already here${renamed[id] ? ` as ${renamed[id]}` : ""}, identical)`);
+      }
+      for (const r of result.references) console.log(`🔗 ${r.slide}: ${r.source} (needs access on this hub)`);
+      for (const w of result.warnings) console.log(`⚠️  ${w.message || w}`);
+
+      console.log(
+        `${opts.dryRun ? "Would add" : "✔ Added"} slideshow '${result.slideshow}': ` +
+          `${result.added.slideshows.length} slideshow(s), ${result.added.slides.length} slide(s), ` +
+          `${result.files} photo(s) → ${result.photosDir}`
+      );
+    } catch (err) {
+      console.error(`✖ ${err.message}`);
+      for (const e of err.details?.errors || []) console.error(`   ${e.message || e}`);
+      process.exitCode = 1;
+    }
+  });
+
+function parsePixels(value) {
+  const px = Number(value);
+  if (!Number.isInteger(px) || px < 16) throw new InvalidArgumentError("Needs a pixel size of 16 or more.");
+  return px;
+}
+
+// -----------------------------------------------------------
+// Commander Command
+// -----------------------------------------------------------
+const bundle = new Command("bundle")
+  .description("Export and import portable slideshow bundles")
+  .addCommand(exportCmd)
+  .addCommand(importCmd);
+
+export default bundle;
@@ -0,0 +1,127 @@
+// src/cli/commands/config.js
+import fs from "fs";
+import path from "path";
+import { Command } from "commander";
+import {
+  validateSlideshowConfigFile,
+  validateSlideshowConfigText,
+  formatIssue,
+} from "../../backend/api/v1/slideshow/slideshow-validator.js";
+import {
+  SLIDESHOW_CONFIG_FILE,
+  DATABASE_FILE,
+  CONFIG_STORE,
+} from "../../backend/shared/paths.js";
+import {
+  parseConfigText,
+  stringifySlideshowConfig,
+} from "../../backend/shared/config-loader.js";
+import {
+  readConfigFromDb,
+  writeConfigToDb,
+  configDbIsEmpty,
+} from "../../backend/shared/config-db.js";
+import { writeConfigText } from "../../backend/api/v1/config/config-editor.js";
+
+// -----------------------------------------------------------
+// config validate [file]
+// -----------------------------------------------------------
+const validate = new Command("validate")
+  .description("Validate slideshow-config.yaml (schema + cross-references)")
+  .argument("[file]", "Config file to check", SLIDESHOW_CONFIG_FILE)
+  .option("--json", "Print the full report as JSON")
+  .action((file, opts) => {
+    const report = validateSlideshowConfigFile(path.resolve(file));
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const rel = path.relative(process.cwd(), report.file) || report.file;
+
+      for (const e of report.errors) console.log(`❌ ${formatIssue(e, rel)}`);
+      for (const w of report.warnings) console.log(`⚠️  ${formatIssue(w, rel)}`);
+
+      console.log(
+        report.ok
+          ? `✔ ${rel} is valid (${report.warnings.length} warning(s))`
+          : `✖ ${rel}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`
+      );
+    }
+
+    if (!report.ok) process.exitCode = 1;
+  });
+
+// -----------------------------------------------------------
+// config import [file]   YAML → database
+// -----------------------------------------------------------
+const importCmd = new Command("import")
+  .description(`Load a YAML config into the database (${path.relative(process.cwd(), DATABASE_FILE)})`)
+  .argument("[file]", "YAML file to import", SLIDESHOW_CONFIG_FILE)
+  .action((file) => {
+    const text = fs.readFileSync(path.resolve(file), "utf8");
+    const report = validateSlideshowConfigText(text);
+
+    if (!report.ok) {
+      for (const e of report.errors) console.log(`❌ ${formatIssue(e, file)}`);
+      console.log(`✖ Not imported: ${report.errors.length} error(s)`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const cfg = parseConfigText(text);
+
+    // The database is the live config: go through the editor, so
+    // the import is a version in the config history (rollback)
+    if (CONFIG_STORE === "sqlite") {
+      const { version } = writeConfigText(text, {
+        message: `config import: ${path.basename(file)}`,
+        source: "cli",
+      });
+      if (version) console.log(`🕰️  Config history version ${version}`);
+    } else {
+      writeConfigToDb(cfg);
+    }
+
+    console.log(
+      `✔ Imported ${cfg.slides?.length || 0} slide(s) and ` +
+        `${Object.keys(cfg.slideshows || {}).length} slideshow(s) into ${DATABASE_FILE}`
+    );
+    if (CONFIG_STORE !== "sqlite") {
+      console.log("ℹ️  The hub reads YAML until it runs with CONFIG_STORE=sqlite");
+    }
+  });
+
+// -----------------------------------------------------------
+// config export [file]   database → YAML (stdout by default)
+// -----------------------------------------------------------
+const exportCmd = new Command("export")
+  .description("Write the database config as YAML")
+  .argument("[file]", "Output file (default: stdout)")
+  .action((file) => {
+    if (configDbIsEmpty()) {
+      console.error(`✖ ${DATABASE_FILE} holds no config yet (run: casthub config import)`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const text = stringifySlideshowConfig(readConfigFromDb());
+
+    if (!file) {
+      process.stdout.write(text);
+      return;
+    }
+
+    fs.writeFileSync(path.resolve(file), text);
+    console.log(`✔ Exported to ${file}`);
+  });
+
+// -----------------------------------------------------------
+// Commander Command
+// -----------------------------------------------------------
+const config = new Command("config")
+  .description("Inspect, check, import and export the slideshow configuration")
+  .addCommand(validate)
+  .addCommand(importCmd)
+  .addCommand(exportCmd);
+
+export default config;
@@ -0,0 +1,150 @@
+// src/cli/commands/media.js
+import { Command, InvalidArgumentError } from "commander";
+import { enqueueJob, jobFinished, cancelJob, getJob, listJobs } from "../../backend/api/v1/media/media-jobs.js";
+import { flushPhotoIndex } from "../../backend/api/v1/photos/photo-index.js";
+import { flushFocusPoints } from "../../backend/api/v1/images/image-focus.js";
+import {
+  findDuplicates,
+  flushPerceptualHashes,
+  DEFAULT_THRESHOLD,
+} from "../../backend/api/v1/media/media-duplicates.js";
+import { imageProfiles } from "../../backend/api/v1/images/image-derivatives.js";
+import { profileName } from "../../backend/api/v1/media/media-precache.js";
+import { getLiveConfig } from "../../backend/api/v1/slideshow/slideshow-live.js";
+
+// -----------------------------------------------------------
+// media precache [path]
+// -----------------------------------------------------------
+const precache = new Command("precache")
+  .description("Render every player image size ahead of time (only what's missing)")
+  .argument("[path]", "Folder under the photo library (default: all of it)")
+  .option("-c, --concurrency <n>", "Photos worked on at once", parseCount, 2)
+  .option("--no-prune", "Keep renders of photos that are gone")
+  .action(async (folder = "", opts) => {
+    const profiles = imageProfiles(getLiveConfig());
+    if (!profiles.length) {
+      console.log("⚠️  Derivatives are off for every client (images.derivatives: false) — nothing to do");
+      return;
+    }
+    for (const p of profiles) console.log(`… profile ${profileName(p)}`);
+
+    const job = enqueueJob(
+      "precache",
+      { path: folder.replace(/^\/+|\/+$/g, ""), concurrency: opts.concurrency, prune: opts.prune },
+      { reason: "cli" }
+    );
+
+    // Ctrl-C: stop after the photos in hand, keep the job record honest
+    const stop = () => {
+      console.log("\n… stopping");
+      cancelJob(job.id);
+    };
+    process.once("SIGINT", stop);
+
+    const ticker = setInterval(() => printProgress(job.id), process.stdout.isTTY ? 500 : 10000);
+    const result = await jobFinished(job.id);
+    clearInterval(ticker);
+    flushPhotoIndex();
+    flushFocusPoints();
+    flushPerceptualHashes();
+    process.off("SIGINT", stop);
+    if (process.stdout.isTTY) process.stdout.write("\r\x1b[K");
+
+    for (const e of result.errors) console.log(`✖ ${e.file}: ${e.error}`);
+    if (result.errorCount > result.errors.length) {
+      console.log(`  … and ${result.errorCount - result.errors.length} more`);
+    }
+
+    if (result.state === "failed") {
+      console.error(`✖ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const r = result.result;
+    console.log(
+      `${result.state === "done" ? "✔" : "⚠️ "} ${result.state === "done" ? "Precached" : "Stopped:"} ` +
+        `${r.photos} photo(s) × ${r.profiles} size(s): ${r.rendered} rendered, ${r.skipped} already cached, ` +
+        `${r.failed} failed${r.pruned ? `, ${r.pruned} gone photo(s) pruned` : ""}`
+    );
+    if (r.failed || result.state !== "done") process.exitCode = 1;
+  });
+
+function printProgress(id) {
+  const job = getJob(id);
+  const { total, done, current } = job?.progress || {};
+  if (!total) return;
+
+  const line = `… ${done}/${total} (${Math.floor((done / total) * 100)}%)${current ? ` ${current}` : ""}`;
+  if (process.stdout.isTTY) process.stdout.write(`\r\x1b[K${line.slice(0, process.stdout.columns - 1)}`);
+  else console.log(line);
+}
+
+function parseCount(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 16) throw new InvalidArgumentError("Needs a whole number from 1 to 16.");
+  return n;
+}
+
+// -----------------------------------------------------------
+// media jobs
+// -----------------------------------------------------------
+const jobs = new Command("jobs")
+  .description("List recent media jobs (server and CLI)")
+  .option("--json", "Print the jobs as JSON")
+  .action((opts) => {
+    const list = listJobs();
+    if (opts.json) return console.log(JSON.stringify(list, null, 2));
+    if (!list.length) return console.log("No media jobs yet");
+
+    for (const j of list) {
+      const { total, done } = j.progress;
+      const r = j.result;
+      const detail = r
+        ? `${r.rendered} rendered, ${r.skipped} cached, ${r.failed} failed`
+        : total
+          ? `${done}/${total}`
+          : "";
+      console.log(
+        `${j.id}  ${j.state.padEnd(11)} ${j.type}${j.params.path ? ` ${j.params.path}` : ""}` +
+          `${j.reason ? ` (${j.reason})` : ""}${detail ? ` — ${detail}` : ""}`
+      );
+    }
+  });
+
+// -----------------------------------------------------------
+// media duplicates
+// -----------------------------------------------------------
+const duplicates = new Command("duplicates")
+  .description("List look-alike photos (hashed by media precache)")
+  .option("-t, --threshold <bits>", "Most bits two hashes may differ in", parseThreshold, DEFAULT_THRESHOLD)
+  .option("--json", "Print the clusters as JSON")
+  .action(async (opts) => {
+    const { hashed, clusters } = await findDuplicates({ threshold: opts.threshold, wait: true });
+    if (opts.json) return console.log(JSON.stringify({ hashed, clusters }, null, 2));
+
+    for (const c of clusters) {
+      console.log(`👯 ${c.size} alike:`);
+      for (const i of c.items) {
+        console.log(`   ${i.source === "local" ? i.path : `${i.source} ${i.id}`}${i.distance ? ` (${i.distance} bits off)` : ""}`);
+      }
+    }
+    console.log(`✔ ${clusters.length} cluster(s) among ${hashed} hashed image(s)`);
+  });
+
+function parseThreshold(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 64) throw new InvalidArgumentError("Needs a whole number from 0 to 64.");
+  return n;
+}
+
+// -----------------------------------------------------------
+// Commander Command
+// -----------------------------------------------------------
+const media = new Command("media")
+  .description("Prepare the photo library for the players")
+  .addCommand(precache)
+  .addCommand(jobs)
+  .addCommand(duplicates);
+
+export default media;
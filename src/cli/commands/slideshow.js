@@ -0,0 +1,49 @@
+// src/cli/commands/slideshow.js
+import { Command } from "commander";
+import { loadSlideshowConfig } from "../../backend/shared/config-loader.js";
+import { peekClientSlideshow } from "../../backend/api/v1/clients/client-registry.js";
+import {
+  previewSlideshow,
+  formatPreview,
+} from "../../backend/api/v1/slideshow/slideshow-preview.js";
+
+// -----------------------------------------------------------
+// slideshow preview <name>
+// -----------------------------------------------------------
+const preview = new Command("preview")
+  .description("Print the expanded timeline of a slideshow (sources, durations, warnings)")
+  .argument("<name>", "Slideshow name")
+  .option("--client-host <host>", "Preview as this kiosk (per-client vars)")
+  .option("--at <time>", "Preview at another moment (ISO date/time)")
+  .option("--json", "Print the preview as JSON")
+  .action(async (name, opts) => {
+    const now = opts.at ? new Date(opts.at) : new Date();
+    if (Number.isNaN(now.getTime())) {
+      console.error(`✖ Invalid --at time: ${opts.at}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const config = loadSlideshowConfig();
+    const { slideshow, client } = peekClientSlideshow(
+      { slideshow: name, "client-host": opts.clientHost },
+      config
+    );
+
+    if (!config.slideshows[slideshow]) {
+      console.warn(`⚠️  No slideshow '${name}' — previewing the default fallback`);
+    }
+
+    const result = await previewSlideshow(slideshow, config, { now, client });
+
+    console.log(opts.json ? JSON.stringify(result, null, 2) : formatPreview(result));
+  });
+
+// -----------------------------------------------------------
+// Commander Command
+// -----------------------------------------------------------
+const slideshow = new Command("slideshow")
+  .description("Inspect slideshows as the kiosks will play them")
+  .addCommand(preview);
+
+export default slideshow;